@@ -2,20 +2,59 @@
 /**
  * Usage examples:
  *   # First time setup (UI mode required for login)
- *   node burst-builder.js --tabs 1
+ *   node burst-builder.js login
  *   
  *   # Subsequent runs (can use headless mode)
  *   node burst-builder.js --tabs 5 --headless
  *   node burst-builder.js --tabs 10 --model gpt-5 --headless
  *   node burst-builder.js --tabs 20 --model claude-sonnet-4
+ *   node burst-builder.js --tabs 20 --models gpt-5-mini:60,claude-sonnet-4:30,gpt-5:10
+ *   node burst-builder.js --tabs 5 --models gpt-5,claude-sonnet-4 --matrix --prompts prompts.txt
+ *   node burst-builder.js --tabs 20 --accounts accounts.yaml --headless
+ *
+ *   # Save a session once, then run headless (e.g. in CI) with it
+ *   node burst-builder.js login --storageState state.json
+ *   node burst-builder.js --tabs 10 --storageState state.json --headless
+ *
+ *   # Check the selector profile against the live Builder UI
+ *   node burst-builder.js doctor
+ *   node burst-builder.js doctor --selectors my-selectors.yaml
+ *
+ *   # Delete the projects a run created (IDs are in the run registry)
+ *   node burst-builder.js cleanup --run 20240902-153012-a1b2c3 --dryRun
+ *   node burst-builder.js cleanup --olderThan 7d --archive
+ *
+ *   # Watch a soak run live, and let teammates poll its status
+ *   node burst-builder.js --tabs 20 --headless --duration 2h --dashboard --statusPort 7430
+ *
+ *   # Misbehave on a third of the tabs: slow 3G, offline blips and tabs reloaded or closed mid-generation
+ *   node burst-builder.js --tabs 30 --headless --duration 1h --chaos share=33%,network=slow-3g,offlineEvery=2m,reload=20%,close=10%
+ *
+ *   # Hold a conversation per tab: the first prompt creates a project, follow-ups go into its chat
+ *   node burst-builder.js --tabs 10 --headless --scenario landing-page.yaml
+ *
+ *   # Count generations whose preview logs console errors or lacks the expected text as checks_failed
+ *   node burst-builder.js --tabs 20 --headless --prompts prompts.txt --assertions checks.yaml
+ *
+ *   # Save a run before a deploy as a baseline, then fail the pipeline if the run after it regressed
+ *   node burst-builder.js --tabs 30 --headless --saveBaseline pre-deploy
+ *   node burst-builder.js --tabs 30 --headless --report after.json && node burst-builder.js compare pre-deploy after.json
+ *
+ *   # Run the "smoke" profile of burst.config.yaml, with one option overridden
+ *   node burst-builder.js --profile smoke --tabs 3
+ *
+ *   # Spread 150 tabs across two local workers and a worker on another host
+ *   node burst-builder.js worker --host 0.0.0.0 --maxTabs 40 --token secret   (on the other host)
+ *   node burst-builder.js --tabs 150 --workers local:2,http://10.0.0.5:7420 --token secret --accounts accounts.yaml --headless
  *
  * What it does:
- *  1) Opens https://builder.io/app/projects (main projects page)
+ *  1) Opens https://builder.io/app/projects (main projects page, or --baseUrl)
  *  2) Checks authentication status and handles login if needed
  *  3) Opens N tabs of the main projects page
  *  4) Selects the specified AI model from the dropdown
  *  5) Uses the main prompt interface to create new projects by submitting prompts
  *  6) Each tab creates a separate new project, providing true load testing
+ *  7) Keeps watching every tab until its generation completes, fails or times out
  *
  * Authentication Flow:
  *  - Automatically detects if login is required
@@ -23,6 +62,12 @@
  *  - In headless mode: Requires previous successful login, exits with helpful error
  *  - Validates authentication on each tab to ensure success
  *  - Uses persistent browser context to maintain login sessions
+ *  - With --accounts, each account gets its own context (userDataDir or storageState)
+ *    and is authenticated separately; tabs are spread across the accounts
+ *  - Only positive evidence counts as signed in: a signed-in response of the session API
+ *    (auth.sessionApi) or the user's avatar/account menu (auth.authenticated)
+ *  - A session that expires mid-run (session API 401/403 or a login page) fails the tab as
+ *    session_expired (auth class) instead of looking like a slow generation
  *
  * Load Testing Approach:
  *  - Creates multiple NEW projects instead of opening the same project multiple times
@@ -32,17 +77,138 @@
  *  - Configurable AI model selection for cost/quality optimization
  *
  * Space Configuration:
- *  - Always uses TLF space (API Key: e785dd8d482243ef9b7f7760850e1349)
- *  - This ensures consistent API key usage across all tabs
- *  - No space selection needed - always uses TLF space
+ *  - Without --space, tabs use whatever space the session has open
+ *  - --space selects a space by name or public API key (URL parameter, else the space switcher)
+ *  - Every account's access to every listed space is checked before any tab opens; the run fails fast without it
+ *  - Each tab verifies its space right before prompting, so projects land in the intended space
  *
  * Available Parameters:
- *  --tabs: Number of tabs to open (default: 5, max: 55)
+ *  --config: Config file of options and named profiles (default: burst.config.json/.yaml/.yml if present)
+ *  --profile: Profile of the config file to apply over its top-level options
+ *  --tabs: Number of tabs to open (default: 5, max: 55 per browser process, see --workers)
  *  --headless: Run browser in headless mode (requires previous login)
  *  --model: AI model to use (default: gpt-5-mini)
+ *  --models: Weighted model mix across tabs, e.g. gpt-5-mini:60,claude-sonnet-4:30,gpt-5:10
+ *  --matrix: Run --tabs tabs for every model in --models with the same prompt set
  *    Options: gpt-5-mini, gpt-5, claude-sonnet-4, grok-code-fast, auto
  *  --promptSelector: Custom selector for prompt button (fallback)
+ *  --selectors: Selector profile (JSON/YAML) merged over selectors/builder-default.json
  *  --userDataDir: Directory for browser user data
+ *  --storageState: Playwright storageState file with a saved session (save one with the login command);
+ *    used instead of --userDataDir
+ *  --space: Space name or API key to run in, or a weighted list to spread tabs across, e.g. TLF:2,ILC:1
+ *  --accounts: Spread tabs across accounts: a JSON/YAML accounts file, or name=path pairs,
+ *    e.g. alice=./.playwright-alice,bob=./states/bob.json (.json paths are storageState files)
+ *  --baseUrl: Builder app to target, e.g. a staging host or the bundled mock (default: https://builder.io)
+ *  --generationTimeout: Seconds to wait for each generation to finish (default: 600)
+ *  --report: Write a machine-readable run report to this path
+ *  --reportFormat: json, csv or junit (default: inferred from the --report extension, else json)
+ *  --registry: Run registry directory recording each run's projects (default: ./.burst-runs)
+ *  --saveBaseline: Also save the JSON run report as a named baseline in <registry>/baselines, for compare
+ *  --artifacts: Save a screenshot, the HTML, URL and console log of every failed tab into this directory
+ *  --trace: Also save a Playwright trace per browser context (account) with failed tabs (needs --artifacts)
+ *  --retries: Retries per failure class: a number for every class, or e.g. navigation=3,generation=1
+ *    (default: navigation=2,auth=1,selector=1,model=1,submission=1,generation=0)
+ *  --retryBackoff: Wait before the first retry, doubled for each further one: a duration or per class (default: 5s)
+ *  --maxFailureRate: Abort the run once more than this share of finished prompts failed, e.g. 0.5 or 50%
+ *  --gracePeriod: On Ctrl+C, SIGTERM or the end of --duration, wait this long for generations in flight (default: 60s)
+ *  --autoClose: Close the browser this long after the summary instead of keeping it open (AUTO_CLOSE_SECONDS also works)
+ *  --dashboard: Show a live view of the run (one row per tab, counters, latency histogram) instead of the tab log
+ *  --statusPort: Serve the same live status as JSON on http://127.0.0.1:<port>/status (0 picks a free port)
+ *  --metricsPort: Serve Prometheus metrics on http://127.0.0.1:<port>/metrics (0 picks a free port)
+ *  --otlpEndpoint: Push the same metrics to an OTLP/HTTP collector, e.g. http://127.0.0.1:4318
+ *  --otlpInterval: How often to push them (default: 10s; once more at the end of the run)
+ *  --maxCpu / --maxMemory: Host CPU and memory share above which new tabs and prompts wait (default: 90%, 100% = off;
+ *    --maxMemory is off by default outside Linux);
+ *    attempts that ran while the client was overloaded are flagged in the report
+ *  --chaos: Inject client faults into a share of the tabs: a JSON/YAML file or key=value pairs, e.g.
+ *    share=30%,network=slow-3g,latency=2s,abort=5%,reload=20%,close=10% (faults are recorded per attempt)
+ *  --har: Write one HAR file per tab (<runId>-tab-<N>.har) into this directory
+ *  --workers: Coordinate worker processes instead of running the tabs here: a number of local workers,
+ *    or e.g. local:2,http://10.0.0.5:7420 (worker command URLs)
+ *  --maxTabs: Tabs per browser process (default and max: 55)
+ *  --runId: Run ID to use instead of a generated one
+ *  --prompts: Prompt corpus file (.txt, .jsonl, .yaml) instead of PROMPT_TEXT
+ *  --scenario: Scenario file (JSON/YAML) instead of a prompt: an initial prompt, then follow-ups sent into
+ *    the project chat, with optional think times and step timeouts (see lib/scenarios.js)
+ *  --assertions: JSON/YAML file of output checks run after every completed generation (preview console errors,
+ *    error toasts, text the output must contain or exclude); failed checks are their own outcome (see lib/assertions.js)
+ *  --promptStrategy: How tabs pick prompts (or scenarios): round-robin, random or weighted (default: round-robin)
+ *  --seed: Seed for random/weighted picks and {{pick:...}} placeholders (default: random, logged)
+ *
+ * Load Profile (CLI options, or keys of a JSON/YAML file passed with --loadProfile):
+ *  --rampUp: Start tabs gradually over this duration (e.g. 120, 90s, 5m; default: 0 = burst)
+ *  --rampShape: linear (one tab at a time) or stepped (groups of tabs) (default: linear)
+ *  --rampSteps: Number of groups for a stepped ramp (default: 5)
+ *  --arrivalRate: Submit new prompts at this many per minute across all tabs (default: 0 = as fast as possible)
+ *  --duration: Soak for this long, recycling tabs after each generation, then stop the run like Ctrl+C (default: 0 = single pass)
+ *  --openBatchSize / --openBatchDelay: Burst tab-opening batches (default: 10 tabs, 2s apart)
+ *  --promptBatchSize / --promptBatchDelay: Burst prompt batches (default: 15 tabs, 1s apart)
+ *
+ * Cleanup (node burst-builder.js cleanup):
+ *  --run: Run ID(s) from the registry, comma-separated
+ *  --olderThan: Every registered run started at least this long ago (e.g. 7d, 12h; bare numbers are days)
+ *  --dryRun: Only list the projects that would be removed
+ *  --archive: Archive instead of delete
+ *  --yes: Skip the confirmation prompt (required without an interactive terminal)
+ *
+ * Compare (node burst-builder.js compare <baseline> <current>):
+ *  - Each side is a JSON run report file or the name of a baseline saved with --saveBaseline
+ *  - Diffs completion rate, failure reasons and p50/p95/p99 latency, overall and per model
+ *  --thresholds: Regression limits, e.g. completionRate=5%,failures=5%,p50=25%,p95=25%,p99=50%,minSamples=5
+ *    (the defaults; "off" disables one); the command exits 1 when a limit is exceeded
+ *
+ * Config Files and Validation:
+ *  - Options come from the config file (its top level, then the --profile), then the environment
+ *    (PROMPT_TEXT, AUTO_CLOSE_SECONDS), then the command line; each layer overrides the one before
+ *  - Unknown options, repeated flags and invalid or out-of-range values are errors before any browser
+ *    starts (--tabs abc or --tabs 100 without --workers is rejected, not turned into 5 or 55 tabs)
+ *
+ * Prompt Placeholders (PROMPT_TEXT or corpus entries):
+ *  {{tab}}, {{runId}}, {{timestamp}}, {{pick:option a|option b|option c}}
+ *
+ * Generation Tracking:
+ *  - Each tab moves through: submitted -> project_created -> streaming -> complete | failed | timed_out
+ *    (with --assertions, a complete generation whose output checks fail ends as checks_failed)
+ *  - project_created: the tab navigated to the newly created project
+ *  - streaming: the first AI output appeared in the project chat
+ *  - complete: output is present and the AI stopped working
+ *  - The final summary reports outcome counts and p50/p90/p95/p99 latencies
+ *
+ * Failure Handling:
+ *  - Failures have a stable code (e.g. model_unavailable, generation_timeout) in one of the classes
+ *    navigation, auth, selector, model, submission, generation; variable text goes to failureDetail
+ *  - Failures before the prompt went out are retried on a reloaded tab; failed generations are
+ *    resubmitted (creating another project) only when generation retries are enabled
+ *  - A tab out of retries is marked failed and the other tabs keep going
+ *
+ * Stopping a Run:
+ *  - Ctrl+C / SIGTERM: no new prompts or retries; generations in flight get --gracePeriod to finish
+ *    (Ctrl+C again stops waiting), then the summary and report are written and the browser is closed
+ *  - Generations cut off by a stop stay unfinished in their last state (skipped in JUnit), not failed
+ *  - The exit status is 130 (SIGINT) / 143 (SIGTERM) for an interrupted run and 1 for --maxFailureRate
+ *
+ * Worker (node burst-builder.js worker):
+ *  --host / --port: Where to listen for coordinators (default: 127.0.0.1:7420)
+ *  --token: Require this token from coordinators (they pass the same --token)
+ *  --maxTabs: Most tabs one run on this host may take
+ *
+ * Distributed Runs:
+ *  - The coordinator splits the tabs by worker capacity; each worker runs its block of tabs in its own
+ *    browser as run <runId>-wN and reports progress and records back (IPC locally, NDJSON over HTTP remotely)
+ *  - The coordinator prints worker output prefixed [wN], merges the records into one summary and report,
+ *    and forwards Ctrl+C / SIGTERM to every worker
+ *
+ * Node API (require('builder-burst'), see index.js and lib/burst.js):
+ *  - runBurst(options) takes the options above by name and resolves with the records and summary
+ *  - Lifecycle events: tabOpened, authChecked, modelSelected, promptSubmitted, generationComplete,
+ *    tabFailed, stopping, runComplete
+ *  - This file only parses the command line and handles signals and exit statuses
+ *
+ * Network Instrumentation:
+ *  - Every tab records its requests, responses, failures, SSE streams and WebSockets
+ *  - Requests are grouped by the endpoint patterns of the selector profile (network.endpoints)
+ *  - The summary and report show per-endpoint counts, 429/5xx responses, response latency and bytes
  *
  * Model Options:
  *  - gpt-5-mini: Quality B, Cost 0.1x (default - cost efficient)
@@ -50,624 +216,190 @@
  *  - claude-sonnet-4: Quality A, Cost 1x (highest quality)
  *  - grok-code-fast: Quality B, Cost 0.1x (fast)
  *  - auto: Automatic selection (currently: Claude Sonnet 4)
+ *  - Unknown model names are rejected before the browser starts
+ *  - A tab fails (model_unavailable) if the menu does not offer its model; the error lists what the menu offers
  *
  * First Time Setup:
- *  1. Run: node burst-builder.js --tabs 1
+ *  1. Run: node burst-builder.js login (add --storageState state.json to save the session to a file)
  *  2. Complete login in the browser window when prompted
  *  3. After successful login, you can use --headless for subsequent runs
  *
  * Assumptions:
  *  - The main prompt interface is available on the projects page
  *  - Each prompt submission will create a new project
- *  - Browser user data is persisted in USER_DATA_DIR for session management
+ *  - Browser user data is persisted in --userDataDir (or a --storageState file) for session management
  */
 
-const { chromium } = require('playwright');
+const os = require('os');
 const minimist = require('minimist');
-const crypto = require('crypto');
-
-
-const args = minimist(process.argv.slice(2), {
-  string: ['promptSelector', 'userDataDir', 'model'],
-  boolean: ['headless'],
-  default: {
-    tabs: 5,
-    headless: false,
-    promptSelector: '', // optional override
-    userDataDir: './.playwright-user',
-    model: 'gpt-5-mini' // default to GPT-5 Mini for cost efficiency
-  }
-});
+const { EventEmitter } = require('events');
+const { RUN_ERROR_CODES, runBurst } = require('./lib/burst');
+const { runDoctor } = require('./lib/doctor');
+const { runCleanup } = require('./lib/cleanup');
+const { runLogin } = require('./lib/login');
+const { runCompare } = require('./lib/compare');
+const { resolveConfig } = require('./lib/config');
+const { applyConfigFile } = require('./lib/config-file');
+const { describeSelectorProfile } = require('./lib/selectors');
+const { parseDuration, sleep } = require('./lib/duration');
+const { formatMs } = require('./lib/stats');
+const { isWorkerProcess, startWorkerServer } = require('./lib/workers');
+const { createDashboard } = require('./lib/dashboard');
 
-const TABS = Math.max(1, Math.min(Number(args.tabs) || 5, 55)); // Increased limit to 55 for large-scale testing
-const PROMPT_SELECTOR_OVERRIDE = args.promptSelector?.trim();
-const USER_DATA_DIR = args.userDataDir;
-const HEADLESS = Boolean(args.headless);
-const MODEL = args.model?.toLowerCase();
+// Commands: run (default) starts a burst, doctor checks the selector profile against the live UI,
+// cleanup deletes (or archives) the projects recorded in the run registry, login saves a signed-in
+// session, compare diffs a run report against a baseline, worker serves runs to a coordinator on another host
+const COMMANDS = ['run', 'doctor', 'cleanup', 'login', 'compare', 'worker'];
 
-console.log(`Tabs: ${TABS}`);
-console.log(`Headless: ${HEADLESS}`);
-console.log(`Model: ${MODEL}`);
-console.log(`Space: TLF (API Key: e785dd8d482243ef9b7f7760850e1349)`);
-console.log(`Load Testing: Creating ${TABS} new projects via main prompt interface`);
+// Environment variables and the options they set; the command line overrides them
+const ENV_OPTIONS = { PROMPT_TEXT: 'promptText', AUTO_CLOSE_SECONDS: 'autoClose' };
 
-// Heuristics for “project is ready”
-const READY_CHECKS = [
-  // App shell loaded
-  () => document.querySelector('[data-testid="app-shell"], [data-qa="app-shell"]'),
-  // Common nav in Projects UI
-  () => document.querySelector('nav, [role="navigation"]'),
-  // Any substantial app frame
-  () => document.querySelector('#root, main, [data-testid], [data-qa]')
-];
+// Function to turn the command line into the command and its options (defaults come from lib/config).
+// The options are the environment ones overridden by the command line ones; the config file is laid under them in main
+const parseArgs = (argv) => {
+  const booleans = ['headless', 'matrix', 'dryRun', 'archive', 'yes', 'trace', 'dashboard'];
+  const args = minimist(argv, {
+    string: ['config', 'profile', 'baseUrl', 'promptSelector', 'promptText', 'selectors', 'userDataDir', 'storageState', 'accounts', 'space', 'model', 'models', 'report', 'reportFormat', 'har', 'artifacts', 'prompts', 'scenario', 'assertions', 'promptStrategy', 'seed', 'loadProfile', 'rampUp', 'rampShape', 'duration', 'registry', 'run', 'olderThan', 'retries', 'retryBackoff', 'maxFailureRate', 'gracePeriod', 'autoClose', 'workers', 'host', 'token', 'runId', 'otlpEndpoint', 'otlpInterval', 'chaos', 'saveBaseline', 'baseline', 'current', 'thresholds'],
+    boolean: booleans,
+    alias: { olderThan: 'older-than', dryRun: 'dry-run' }
+  });
+  const { _: positional, 'older-than': olderThanAlias, 'dry-run': dryRunAlias, ...options } = args;
+  // minimist sets every boolean flag; only the ones on the command line may override the config file
+  const flagGiven = (name) => argv.some(arg => new RegExp(`^--(no-)?(${name}|${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)})(=|$)`).test(arg));
+  for (const flag of booleans) if (!flagGiven(flag)) delete options[flag];
+  const envOptions = Object.fromEntries(Object.entries(ENV_OPTIONS)
+    .filter(([variable]) => process.env[variable])
+    .map(([variable, option]) => [option, process.env[variable]]));
+  return {
+    command: String(positional[0] || 'run'),
+    // compare <baseline> <current>
+    args: positional.slice(1).map(String),
+    options: { ...envOptions, ...options }
+  };
+};
 
-// Heuristics for “prompt” control (tries in order)
-const PROMPT_CANDIDATES = [
-  // ARIA role + name
-  { type: 'role', name: /prompt/i },
-  // Common text button
-  { type: 'text', text: /prompt/i },
-  // Possible data-testid hooks
-  { type: 'css', selector: '[data-testid="prompt"], [data-qa="prompt"]' },
-];
+// `worker`: serve runs to a coordinator on another host, one at a time
+const runWorkerServer = (options) => {
+  const config = resolveConfig(options, 'worker');
+  console.log(`Selectors: ${describeSelectorProfile(config.selectors)}`);
+  const { workerHost: host, workerPort: port, workerToken: token, maxTabsPerProcess: maxTabs } = config;
+  const worker = startWorkerServer({ script: __filename, host, port, maxTabs, token });
+  worker.server.on('listening', () => {
+    console.log(`Worker listening on http://${host}:${port} (up to ${maxTabs} tabs per run${token ? ', token required' : ''})`);
+    if (!token && !['127.0.0.1', 'localhost', '::1'].includes(host)) {
+      console.warn('⚠️  No --token: anyone who can reach this port can start runs with your sessions');
+    }
+    console.log(`Coordinate from another host with: node burst-builder.js --workers http://<this host>:${port} ...`);
+  });
+  worker.server.on('error', (error) => {
+    console.error(`❌ Worker could not listen on ${host}:${port}: ${error.message}`);
+    process.exit(1);
+  });
 
-const PROMPT_TEXT = process.env.PROMPT_TEXT || "Generate a modern landing page design";
+  // Ctrl+C stops the current run (again: stop waiting for its generations), then the server
+  let closing = false;
+  const onSignal = (signal) => {
+    if (worker.busy()) worker.stop(signal);
+    if (closing) return;
+    closing = true;
+    console.log(`\nReceived ${signal}: shutting down the worker${worker.busy() ? ' once the current run has reported' : ''}`);
+    worker.server.close(() => process.exit(0));
+    worker.server.closeIdleConnections();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+};
 
-// Function to check if user is authenticated
-const checkAuthentication = async (page, tabIndex) => {
-  try {
-    console.log(`[tab ${tabIndex+1}] Checking authentication status...`);
-    
-    // Wait for page to load
-    await page.waitForLoadState('domcontentloaded', { timeout: 30000 });
-    
-    // Wait a bit more for dynamic content to load
-    await page.waitForTimeout(2000);
-    
-    // Check for explicit login/signin buttons (strong indicator of not authenticated)
-    const loginSelectors = [
-      'button:has-text("Sign in")',
-      'button:has-text("Login")',
-      'button:has-text("Log in")',
-      'a:has-text("Sign in")',
-      'a:has-text("Login")',
-      'a:has-text("Log in")',
-      'button[type="submit"]:has-text("Sign")',
-      'button[type="submit"]:has-text("Login")'
-    ];
-    
-    // Check for login buttons first
-    for (const selector of loginSelectors) {
-      try {
-        const element = await page.locator(selector).first();
-        if (await element.isVisible()) {
-          console.log(`[tab ${tabIndex+1}] Found explicit login button: ${selector}`);
-          return { authenticated: false, reason: 'login_required' };
-        }
-      } catch (e) {
-        // Continue checking
-      }
-    }
-    
-    // Check for authenticated indicators (more permissive)
-    const authSelectors = [
-      // Main prompt interface (strongest indicator)
-      'div[contenteditable="true"][role="textbox"].tiptap.ProseMirror',
-      'button[title="Select AI model"]',
-      // Builder.io specific elements
-      'button:has-text("What should we build?")',
-      'input[placeholder*="Ask"]',
-      'textarea[placeholder*="Ask"]',
-      // General authenticated page indicators
-      'nav',
-      '[role="navigation"]',
-      '[data-testid="app-shell"]',
-      // User account indicators
-      '[data-testid*="user"]',
-      '[data-testid*="profile"]',
-      '[data-testid*="account"]',
-      'button[aria-label*="user"]',
-      'button[aria-label*="profile"]',
-      'button[aria-label*="account"]'
-    ];
-    
-    // Check for authenticated indicators
-    for (const selector of authSelectors) {
-      try {
-        const element = await page.locator(selector).first();
-        if (await element.isVisible()) {
-          console.log(`[tab ${tabIndex+1}] Found authenticated indicator: ${selector}`);
-          return { authenticated: true, reason: 'authenticated' };
-        }
-      } catch (e) {
-        // Continue checking
-      }
-    }
-    
-    // If we reach here, check if we're on a Builder.io page (not a login page)
-    const currentUrl = page.url();
-    if (currentUrl.includes('builder.io') && !currentUrl.includes('login') && !currentUrl.includes('signin')) {
-      console.log(`[tab ${tabIndex+1}] On Builder.io page without explicit login buttons, assuming authenticated`);
-      return { authenticated: true, reason: 'on_builder_page' };
-    }
-    
-    // If we can't determine, be more permissive in headless mode
-    if (HEADLESS) {
-      console.log(`[tab ${tabIndex+1}] In headless mode, assuming authenticated (user should have logged in previously)`);
-      return { authenticated: true, reason: 'headless_assumption' };
-    }
-    
-    console.log(`[tab ${tabIndex+1}] Could not determine authentication status, assuming not authenticated`);
-    return { authenticated: false, reason: 'unknown' };
-    
-  } catch (error) {
-    console.log(`[tab ${tabIndex+1}] Error checking authentication: ${error.message}`);
-    // In headless mode, be more permissive
-    if (HEADLESS) {
-      console.log(`[tab ${tabIndex+1}] Error in headless mode, assuming authenticated`);
-      return { authenticated: true, reason: 'headless_error_assumption' };
-    }
-    return { authenticated: false, reason: 'error' };
-  }
+// Exit status of a finished run: 128 + signal when interrupted, 1 when aborted or a worker
+// failed, null when it went to the end
+const exitStatus = (result) => {
+  if (result.interrupted) return 128 + (os.constants.signals[result.interrupted] || 0);
+  if (result.aborted || result.workers?.some(worker => worker.exitCode !== 0)) return 1;
+  return null;
 };
 
-// Function to handle authentication flow
-const handleAuthentication = async (page, tabIndex) => {
+// `run`: a burst through runBurst, stopped by Ctrl+C / SIGTERM
+const runCommand = async ({ autoClose, dashboard, ...options }) => {
+  // AUTO_CLOSE_SECONDS is the older way to set --autoClose
+  let autoCloseMs;
   try {
-    console.log(`[tab ${tabIndex+1}] Starting authentication flow...`);
-    
-    // Check current authentication status
-    const authStatus = await checkAuthentication(page, tabIndex);
-    
-    if (authStatus.authenticated) {
-      console.log(`[tab ${tabIndex+1}] Already authenticated, proceeding with load test`);
-      return { success: true, authenticated: true };
-    }
-    
-    console.log(`[tab ${tabIndex+1}] Authentication status: ${authStatus.reason}`);
-    
-    // If in headless mode, be more permissive
-    if (HEADLESS) {
-      // Only fail if we explicitly found login buttons
-      if (authStatus.reason === 'login_required') {
-        console.error(`[tab ${tabIndex+1}] ERROR: Explicit login required but running in headless mode.`);
-        console.error(`[tab ${tabIndex+1}] Please run without --headless flag first to complete login:`);
-        console.error(`[tab ${tabIndex+1}]   node burst-builder.js --tabs 1`);
-        console.error(`[tab ${tabIndex+1}] After successful login, you can use --headless for subsequent runs.`);
-        return { success: false, authenticated: false, reason: 'headless_login_required' };
-      } else {
-        // In headless mode, assume authenticated if no explicit login buttons found
-        console.log(`[tab ${tabIndex+1}] In headless mode, proceeding with load test (assuming authenticated)`);
-        return { success: true, authenticated: true };
-      }
-    }
-    
-    // In UI mode, wait for user to complete login
-    console.log(`[tab ${tabIndex+1}] Please complete login in the browser window...`);
-    console.log(`[tab ${tabIndex+1}] Waiting for authentication to complete...`);
-    
-    // Wait for authentication to complete (poll every 5 seconds for up to 5 minutes)
-    const maxWaitTime = 5 * 60 * 1000; // 5 minutes
-    const pollInterval = 5000; // 5 seconds
-    const startTime = Date.now();
-    
-    while (Date.now() - startTime < maxWaitTime) {
-      await page.waitForTimeout(pollInterval);
-      
-      const currentAuthStatus = await checkAuthentication(page, tabIndex);
-      if (currentAuthStatus.authenticated) {
-        console.log(`[tab ${tabIndex+1}] Authentication completed successfully!`);
-        return { success: true, authenticated: true };
-      }
-      
-      console.log(`[tab ${tabIndex+1}] Still waiting for authentication... (${Math.round((Date.now() - startTime) / 1000)}s elapsed)`);
-    }
-    
-    console.error(`[tab ${tabIndex+1}] Authentication timeout after 5 minutes`);
-    return { success: false, authenticated: false, reason: 'timeout' };
-    
+    autoCloseMs = parseDuration(autoClose);
   } catch (error) {
-    console.log(`[tab ${tabIndex+1}] Error in authentication flow: ${error.message}`);
-    // In headless mode, be more permissive with errors
-    if (HEADLESS) {
-      console.log(`[tab ${tabIndex+1}] Error in headless mode, proceeding with load test`);
-      return { success: true, authenticated: true };
-    }
-    return { success: false, authenticated: false, reason: 'error' };
+    throw Object.assign(error, { message: `--autoClose (or AUTO_CLOSE_SECONDS): ${error.message}`, code: 'invalid_options' });
   }
-};
 
-// Function to select AI model
-const selectModel = async (page, tabIndex, model) => {
-  try {
-    console.log(`[tab ${tabIndex+1}] Selecting AI model: ${model}`);
-    
-    // Try multiple selectors for the model dropdown button
-    const dropdownSelectors = [
-      'button[title="Select AI model"]',
-      'button:has-text("Sonnet")',
-      'button:has(svg.tabler-icon-chevron-down)',
-      'button[type="button"]:has(span:has-text("Sonnet"))',
-      'button:has(span:has(svg))'
-    ];
-    
-    let modelDropdown = null;
-    for (const selector of dropdownSelectors) {
-      try {
-        const element = await page.locator(selector).first();
-        if (await element.isVisible()) {
-          modelDropdown = element;
-          console.log(`[tab ${tabIndex+1}] Found model dropdown with selector: ${selector}`);
-          break;
-        }
-      } catch (e) {
-        // Continue to next selector
-      }
-    }
-    
-    if (modelDropdown) {
-      await modelDropdown.click();
-      await page.waitForTimeout(1000);
-      console.log(`[tab ${tabIndex+1}] Opened model dropdown`);
-      
-      // Select the specific model based on the model parameter
-      let modelSelector = '';
-      switch (model) {
-        case 'gpt-5-mini':
-          modelSelector = 'li[role="menuitem"]:has-text("GPT-5 Mini")';
-          break;
-        case 'gpt-5':
-          modelSelector = 'li[role="menuitem"]:has-text("GPT-5")';
-          break;
-        case 'claude-sonnet-4':
-          modelSelector = 'li[role="menuitem"]:has-text("Claude Sonnet 4")';
-          break;
-        case 'grok-code-fast':
-          modelSelector = 'li[role="menuitem"]:has-text("Grok Code Fast")';
-          break;
-        case 'auto':
-          modelSelector = 'li[role="menuitem"]:has-text("Auto")';
-          break;
-        default:
-          console.log(`[tab ${tabIndex+1}] Unknown model: ${model}, using GPT-5 Mini as fallback`);
-          modelSelector = 'li[role="menuitem"]:has-text("GPT-5 Mini")';
-      }
-      
-      // Click the model option
-      const modelOption = await page.locator(modelSelector).first();
-      if (await modelOption.isVisible()) {
-        await modelOption.click();
-        await page.waitForTimeout(500);
-        console.log(`[tab ${tabIndex+1}] Successfully selected model: ${model}`);
-        return true;
-      } else {
-        console.log(`[tab ${tabIndex+1}] Model option not found: ${model}`);
-        
-        // Debug: List available options
-        try {
-          const allOptions = await page.locator('li[role="menuitem"]').all();
-          console.log(`[tab ${tabIndex+1}] Available model options:`);
-          for (let i = 0; i < Math.min(allOptions.length, 5); i++) {
-            try {
-              const text = await allOptions[i].textContent();
-              console.log(`[tab ${tabIndex+1}] Option ${i}: "${text?.trim()}"`);
-            } catch (e) {
-              console.log(`[tab ${tabIndex+1}] Could not read option ${i}`);
-            }
-          }
-        } catch (e) {
-          console.log(`[tab ${tabIndex+1}] Could not list available options: ${e.message}`);
-        }
-        return false;
-      }
+  // The first signal stops the run, the second stops waiting for the generations in flight;
+  // once the results are out, a signal closes the browser and quits
+  const stop = new AbortController();
+  const cancel = new AbortController();
+  let finished = null;
+  const onSignal = (signal) => {
+    if (finished) {
+      console.log(`\nReceived ${signal}: closing the browser...`);
+      finished.close().finally(() => process.exit(0));
+    } else if (!stop.signal.aborted) {
+      stop.abort(signal);
+    } else if (!cancel.signal.aborted) {
+      cancel.abort(signal);
     } else {
-      console.log(`[tab ${tabIndex+1}] Model dropdown not found with any selector`);
-      
-      // Debug: Check what buttons are available
-      try {
-        const allButtons = await page.locator('button').all();
-        console.log(`[tab ${tabIndex+1}] Found ${allButtons.length} buttons on page`);
-        for (let i = 0; i < Math.min(allButtons.length, 5); i++) {
-          try {
-            const title = await allButtons[i].getAttribute('title');
-            const text = await allButtons[i].textContent();
-            console.log(`[tab ${tabIndex+1}] Button ${i}: title="${title}", text="${text?.trim()}"`);
-          } catch (e) {
-            console.log(`[tab ${tabIndex+1}] Could not inspect button ${i}`);
-          }
-        }
-      } catch (e) {
-        console.log(`[tab ${tabIndex+1}] Could not inspect buttons: ${e.message}`);
-      }
-      return false;
+      console.log(`\nReceived ${signal}: writing the results first...`);
     }
-  } catch (error) {
-    console.log(`[tab ${tabIndex+1}] Error selecting model: ${error.message}`);
-    return false;
-  }
-};
-
-
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  // A worker run whose coordinator went away stops like on SIGTERM
+  if (isWorkerProcess()) process.on('disconnect', () => onSignal('SIGTERM'));
 
-(async () => {
-  const browser = await chromium.launchPersistentContext(USER_DATA_DIR, {
-    headless: HEADLESS,
-    channel: 'chrome', // use the Chrome build if available
-    viewport: { width: 1440, height: 900 },
-    // Optimize for large-scale operations
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--no-first-run',
-      '--no-zygote',
-      '--disable-gpu',
-      '--disable-background-timer-throttling',
-      '--disable-backgrounding-occluded-windows',
-      '--disable-renderer-backgrounding',
-      '--disable-features=TranslateUI',
-      '--disable-ipc-flooding-protection',
-      '--max_old_space_size=4096' // Increase memory limit
-    ]
+  const events = new EventEmitter();
+  events.on('stopping', ({ inFlight }) => {
+    if (stop.signal.aborted && !cancel.signal.aborted && inFlight) console.log('Press Ctrl+C again to stop waiting.');
   });
-
-  // 1) Open dashboard to ensure session is "warmed" and handle authentication
-  const dash = await browser.newPage();
-  
-  // Navigate to main projects page to use the main prompt interface
-  console.log('Navigating to main projects page (TLF space - API key: e785dd8d482243ef9b7f7760850e1349)...');
+  // --dashboard takes over the terminal while the tabs run
+  if (dashboard && !process.stdout.isTTY) console.warn('⚠️  --dashboard needs a terminal; logging as usual');
+  const view = dashboard && !isWorkerProcess() ? createDashboard(events) : null;
+  // A worker run closes its browser once it has reported; an aborted or interrupted run closes right away
+  let result;
   try {
-    await dash.goto('https://builder.io/app/projects', { waitUntil: 'load', timeout: 120_000 });
-    console.log('Successfully navigated to main projects page');
-  } catch (error) {
-    console.log('Main projects page navigation failed:', error.message);
-    throw error;
-  }
-  
-  // 2) Handle authentication flow
-  console.log('\n=== AUTHENTICATION CHECK ===');
-  const authResult = await handleAuthentication(dash, 0);
-  
-  if (!authResult.success) {
-    if (authResult.reason === 'headless_login_required') {
-      console.error('\n❌ AUTHENTICATION FAILED: Cannot complete login in headless mode');
-      console.error('Please run the following command first to complete login:');
-      console.error('  node burst-builder.js --tabs 1');
-      console.error('After successful login, you can use --headless for subsequent runs.');
-      await browser.close();
-      process.exit(1);
-    } else {
-      console.error(`\n❌ AUTHENTICATION FAILED: ${authResult.reason}`);
-      await browser.close();
-      process.exit(1);
-    }
+    result = await runBurst({ ...options, events, signal: stop.signal, cancelSignal: cancel.signal, keepOpen: !isWorkerProcess() });
+  } finally {
+    view?.stop();
   }
-  
-  console.log('✅ Authentication successful, proceeding with load test...\n');
+  const status = exitStatus(result);
+  if (status !== null || isWorkerProcess() || result.workers) process.exit(status ?? 0);
+  finished = result;
 
-  // 3) Open N tabs of the main projects page for creating new projects
-  const pages = [];
-  const BATCH_SIZE = Math.min(10, TABS); // Process tabs in batches of 10 to prevent overwhelming
-  
-  console.log(`Opening ${TABS} tabs to main projects page in batches of ${BATCH_SIZE}...`);
-  
-  for (let batchStart = 0; batchStart < TABS; batchStart += BATCH_SIZE) {
-    const batchEnd = Math.min(batchStart + BATCH_SIZE, TABS);
-    const batchNumber = Math.floor(batchStart / BATCH_SIZE) + 1;
-    const totalBatches = Math.ceil(TABS / BATCH_SIZE);
-    
-    console.log(`\n=== Processing Batch ${batchNumber}/${totalBatches} (tabs ${batchStart + 1}-${batchEnd}) ===`);
-    
-    // Process this batch
-    for (let i = batchStart; i < batchEnd; i++) {
-      const p = await browser.newPage();
-      
-      // Navigate to main projects page with cache busting to ensure fresh sessions
-      const cacheBust = `?loadtest=${crypto.randomUUID()}&i=${i+1}`;
-      try {
-        await p.goto('https://builder.io/app/projects' + cacheBust, { waitUntil: 'domcontentloaded', timeout: 120_000 });
-        console.log(`[tab ${i+1}/${TABS}] Successfully navigated to main projects page`);
-        
-        // Quick authentication check for this tab
-        const tabAuthStatus = await checkAuthentication(p, i);
-        if (!tabAuthStatus.authenticated) {
-          console.warn(`[tab ${i+1}/${TABS}] WARNING: Tab may not be authenticated (${tabAuthStatus.reason})`);
-          console.warn(`[tab ${i+1}/${TABS}] This tab may fail during project creation`);
-        } else {
-          console.log(`[tab ${i+1}/${TABS}] Tab authentication confirmed`);
-        }
-      } catch (error) {
-        console.error(`[tab ${i+1}/${TABS}] CRITICAL: Failed to navigate to main projects page: ${error.message}`);
-        console.error(`[tab ${i+1}/${TABS}] This suggests authentication issues or network problems.`);
-        throw error;
-      }
-      
-      pages.push(p);
-      // Stagger slightly to avoid thundering herd
-      await p.waitForTimeout(100); // Reduced delay for faster batch processing
-    }
-    
-    // Wait between batches to prevent overwhelming the system
-    if (batchEnd < TABS) {
-      console.log(`Batch ${batchNumber} complete. Waiting 2 seconds before next batch...`);
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    }
+  // Keep the browser open so you can observe. Press Ctrl+C to close it and quit.
+  // If you prefer auto-close after a while, pass --autoClose (or set AUTO_CLOSE_SECONDS).
+  if (autoCloseMs > 0) {
+    console.log(`Auto-closing in ${formatMs(autoCloseMs)}...`);
+    await sleep(autoCloseMs);
+    await result.close();
+    process.exit(0);
+  } else {
+    console.log('Leave this running to sustain load. Ctrl+C to close the browser and exit.');
   }
+};
 
-  // 4) Wait for each tab to be "ready"
-  await Promise.all(pages.map(async (p) => {
-    await p.waitForLoadState('domcontentloaded', { timeout: 120_000 });
-    // Custom "ready" poll in page context
-    await p.waitForFunction((checks) => checks.some(fnStr => {
-      try { return (new Function(`return (${fnStr})();`))(); } catch { return false; }
-    }), READY_CHECKS.map(fn => fn.toString()), { timeout: 120_000, polling: 500 });
-    
-    // Additional wait for Builder interface to be fully interactive
-    console.log(`[tab] Waiting for Builder interface to be ready...`);
-    try {
-      // Wait for either the prompt input or some other Builder UI element
-      await p.waitForFunction(() => {
-        // Check for prompt input
-        const promptInput = document.querySelector('input[placeholder*="Ask"], textarea[placeholder*="Ask"], input[placeholder*="Fusion"], textarea[placeholder*="Fusion"]');
-        if (promptInput) return true;
-        
-        // Check for Builder navigation
-        const nav = document.querySelector('nav, [role="navigation"], [data-testid="app-shell"]');
-        if (nav) return true;
-        
-        // Check for any input field
-        const anyInput = document.querySelector('input, textarea');
-        if (anyInput) return true;
-        
-        return false;
-      }, { timeout: 30000, polling: 1000 });
-      console.log(`[tab] Builder interface appears ready`);
-    } catch (e) {
-      console.log(`[tab] Timeout waiting for Builder interface: ${e.message}`);
-    }
-  }));
-
-  // 5) Create new projects using the main prompt interface
-  const triggerOnPage = async (p, idx) => {
-    console.log(`[tab ${idx+1}] Starting new project creation...`);
-    
-    // Wait for the main prompt interface to fully load
-    await p.waitForTimeout(5000);
-    
-    try {
-      // First, select the AI model
-      const modelSelected = await selectModel(p, idx, MODEL);
-      if (!modelSelected) {
-        console.log(`[tab ${idx+1}] Model selection failed, continuing with default model`);
-      }
-      
-      console.log(`[tab ${idx+1}] Looking for main prompt input field...`);
-      
-      // Target the specific ProseMirror contenteditable div from the main projects page
-      const promptInput = await p.locator('div[contenteditable="true"][role="textbox"].tiptap.ProseMirror').first();
-      
-      if (await promptInput.isVisible()) {
-        console.log(`[tab ${idx+1}] Found main prompt input field`);
-        
-        // Click to focus the contenteditable div
-        await promptInput.click();
-        await p.waitForTimeout(500);
-        
-        // Type the prompt text to create a new project
-        await promptInput.type(PROMPT_TEXT, { delay: 150 });
-        
-        // Wait for text to be fully typed
-        await p.waitForTimeout(1000);
-        
-        // Look for the send button with the specific selector
-        const sendButton = await p.locator('button[type="button"][title="Send message"]').first();
-        
-        if (await sendButton.isVisible()) {
-          // Check if button is enabled (not disabled)
-          const isDisabled = await sendButton.getAttribute('disabled');
-          if (!isDisabled) {
-            await sendButton.click();
-            console.log(`[tab ${idx+1}] Successfully clicked send button to create new project`);
-            return true;
-          } else {
-            console.log(`[tab ${idx+1}] Send button is disabled, trying Enter key instead`);
-            await promptInput.press('Enter');
-            console.log(`[tab ${idx+1}] Pressed Enter to submit prompt`);
-            return true;
-          }
-        } else {
-          console.log(`[tab ${idx+1}] Send button not found, trying Enter key`);
-          await promptInput.press('Enter');
-          console.log(`[tab ${idx+1}] Pressed Enter to submit prompt`);
-          return true;
-        }
-      } else {
-        console.log(`[tab ${idx+1}] Main prompt input field not found`);
-        
-        // Debug: Check what's actually on the page
-        try {
-          const allContentEditable = await p.locator('[contenteditable="true"]').all();
-          console.log(`[tab ${idx+1}] Found ${allContentEditable.length} contenteditable elements`);
-          
-          for (let i = 0; i < Math.min(allContentEditable.length, 3); i++) {
-            try {
-              const className = await allContentEditable[i].getAttribute('class');
-              const role = await allContentEditable[i].getAttribute('role');
-              const visible = await allContentEditable[i].isVisible();
-              console.log(`[tab ${idx+1}] ContentEditable ${i}: class="${className}", role="${role}", visible=${visible}`);
-            } catch (e) {
-              console.log(`[tab ${idx+1}] Could not inspect contenteditable ${i}: ${e.message}`);
-            }
-          }
-        } catch (e) {
-          console.log(`[tab ${idx+1}] Could not inspect contenteditable elements: ${e.message}`);
-        }
-      }
-    } catch (error) {
-      console.log(`[tab ${idx+1}] Error with main prompt interface: ${error.message}`);
-    }
-
-    // If user provided a selector override, use that as fallback
-    if (PROMPT_SELECTOR_OVERRIDE) {
-      try {
-        const ok = await p.$(PROMPT_SELECTOR_OVERRIDE);
-        if (ok && await ok.isVisible()) {
-          await ok.click({ timeout: 15_000 });
-          console.log(`[tab ${idx+1}] Used override selector for prompt.`);
-          return true;
-        }
-      } catch (e) {
-        console.log(`[tab ${idx+1}] Override selector failed: ${e.message}`);
-      }
-    }
-
-    console.warn(`[tab ${idx+1}] Could not find the main prompt interface. Make sure you're on the correct page.`);
-    return false;
-  };
-
-  // Process prompts in batches to prevent overwhelming the system
-  console.log(`\n=== Starting Prompt Injection for ${TABS} tabs ===`);
-  const results = [];
-  const PROMPT_BATCH_SIZE = Math.min(15, TABS); // Process prompts in smaller batches
-  
-  for (let batchStart = 0; batchStart < pages.length; batchStart += PROMPT_BATCH_SIZE) {
-    const batchEnd = Math.min(batchStart + PROMPT_BATCH_SIZE, pages.length);
-    const batchNumber = Math.floor(batchStart / PROMPT_BATCH_SIZE) + 1;
-    const totalBatches = Math.ceil(pages.length / PROMPT_BATCH_SIZE);
-    
-    console.log(`\n--- Prompt Batch ${batchNumber}/${totalBatches} (tabs ${batchStart + 1}-${batchEnd}) ---`);
-    
-    const batchPages = pages.slice(batchStart, batchEnd);
-    const batchResults = await Promise.all(batchPages.map((p, i) => triggerOnPage(p, batchStart + i)));
-    results.push(...batchResults);
-    
-    // Progress update
-    const completedTabs = results.length;
-    const successCount = results.filter(Boolean).length;
-    console.log(`Progress: ${completedTabs}/${TABS} tabs processed, ${successCount} successful`);
-    
-    // Small delay between prompt batches
-    if (batchEnd < pages.length) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+const main = async (argv = process.argv.slice(2)) => {
+  const { command, args, options: givenOptions } = parseArgs(argv);
+  try {
+    if (!COMMANDS.includes(command)) throw Object.assign(new Error(`Unknown command "${command}". Available commands: ${COMMANDS.join(', ')}`), { code: 'invalid_options' });
+    const { options, file, profile } = applyConfigFile(givenOptions);
+    if (file) console.log(`Config file: ${file}${profile ? `, profile "${profile}"` : ''}`);
+    if (command === 'worker') return runWorkerServer(options);
+    if (command === 'doctor') process.exit(await runDoctor(options) ? 0 : 1);
+    if (command === 'cleanup') process.exit(await runCleanup(options) ? 0 : 1);
+    if (command === 'login') process.exit(await runLogin(options) ? 0 : 1);
+    if (command === 'compare') process.exit(await runCompare({ baseline: args[0], current: args[1], ...options }) ? 0 : 1);
+    await runCommand(options);
+  } catch (error) {
+    // A bad option, a failed login and the like end the run with their message; anything else is a crash
+    if (error.code === 'interrupted') process.exit(128 + (os.constants.signals[error.signal] || 0));
+    console.error(RUN_ERROR_CODES.includes(error.code) ? `❌ ${error.message}` : error);
+    process.exit(1);
   }
+};
 
-  const okCount = results.filter(Boolean).length;
-  console.log(`\n=== FINAL RESULTS ===`);
-  console.log(`Successfully triggered prompts on ${okCount}/${TABS} tabs (${Math.round(okCount/TABS*100)}% success rate)`);
+if (require.main === module) main();
 
-  // Keep the browser open so you can observe. Press Ctrl+C to quit.
-  // If you prefer auto-close after N seconds, set AUTO_CLOSE_SECONDS.
-  const AUTO_CLOSE_SECONDS = Number(process.env.AUTO_CLOSE_SECONDS || 0);
-  if (AUTO_CLOSE_SECONDS > 0) {
-    console.log(`Auto-closing in ${AUTO_CLOSE_SECONDS}s...`);
-    await new Promise(r => setTimeout(r, AUTO_CLOSE_SECONDS * 1000));
-    await browser.close();
-  } else {
-    console.log('Leave this running to sustain load. Ctrl+C to exit.');
-  }
-})().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+module.exports = { ...require('./index'), main };
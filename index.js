@@ -0,0 +1,43 @@
+// Node API of builder-burst: the commands of the CLI as functions, and the Builder page helpers
+// they use. See lib/burst.js for runBurst's options, events and result.
+
+const { RUN_ERROR_CODES, runBurst } = require('./lib/burst');
+const { runDoctor } = require('./lib/doctor');
+const { runCleanup } = require('./lib/cleanup');
+const { runLogin } = require('./lib/login');
+const { runCompare } = require('./lib/compare');
+const { DEFAULT_OPTIONS, resolveConfig } = require('./lib/config');
+const { applyConfigFile } = require('./lib/config-file');
+const { openSessions } = require('./lib/browser');
+const { watchSession, checkAuthentication, handleAuthentication, selectModel, selectSpace, watchGeneration } = require('./lib/builder-page');
+const { TAB_STATES } = require('./lib/tab-state');
+const { FAILURE_CLASSES, FAILURE_CODES } = require('./lib/failures');
+const { createRunStatus } = require('./lib/status');
+const { createDashboard } = require('./lib/dashboard');
+const { createRunMetrics, renderPrometheus } = require('./lib/metrics');
+
+module.exports = {
+  runBurst,
+  RUN_ERROR_CODES,
+  runDoctor,
+  runCleanup,
+  runLogin,
+  runCompare,
+  DEFAULT_OPTIONS,
+  resolveConfig,
+  applyConfigFile,
+  openSessions,
+  watchSession,
+  checkAuthentication,
+  handleAuthentication,
+  selectModel,
+  selectSpace,
+  watchGeneration,
+  TAB_STATES,
+  FAILURE_CLASSES,
+  FAILURE_CODES,
+  createRunStatus,
+  createDashboard,
+  createRunMetrics,
+  renderPrometheus
+};
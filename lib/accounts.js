@@ -0,0 +1,133 @@
+// Accounts: the logged-in sessions tabs are spread across.
+//
+// Each account is its own browser context, backed either by a persistent profile
+// directory (userDataDir) or by a Playwright storageState file. Running several
+// accounts in one burst spreads the load over per-user rate limits and quotas.
+//
+// --accounts takes a JSON/YAML file:
+//
+//   - name: alice
+//     userDataDir: ./.playwright-alice
+//   - name: bob
+//     storageState: ./states/bob.json
+//     weight: 2
+//
+// or an inline list, where a .json path is a storageState file and anything else
+// a userDataDir: alice=./.playwright-alice,bob=./states/bob.json
+
+const fs = require('fs');
+const path = require('path');
+const { readDataFile, isYamlFile } = require('./files');
+const { spreadWithinGroups } = require('./allocation');
+
+const DEFAULT_ACCOUNT_NAME = 'default';
+const ACCOUNT_KEYS = ['name', 'userDataDir', 'storageState', 'weight'];
+
+// The single account used when --accounts is not given: the --storageState session if
+// there is one, else the --userDataDir profile
+const defaultAccounts = ({ userDataDir, storageState }) => [
+  storageState
+    ? { name: DEFAULT_ACCOUNT_NAME, storageState, weight: 1 }
+    : { name: DEFAULT_ACCOUNT_NAME, userDataDir, weight: 1 }
+];
+
+// The command that saves a fresh session for an account
+const loginCommand = (account) => account.storageState
+  ? `node burst-builder.js login --storageState ${account.storageState}`
+  : `node burst-builder.js login --userDataDir ${account.userDataDir}`;
+
+const validateAccounts = (accounts, source) => {
+  if (!Array.isArray(accounts) || !accounts.length) {
+    throw new Error(`${source}: expected a non-empty list of accounts`);
+  }
+  const names = new Set();
+  const dirs = new Set();
+  return accounts.map((account, i) => {
+    const where = `${source}: account ${i + 1}`;
+    if (!account || typeof account !== 'object' || Array.isArray(account)) throw new Error(`${where} must be an object`);
+    const unknown = Object.keys(account).filter(key => !ACCOUNT_KEYS.includes(key));
+    if (unknown.length) throw new Error(`${where}: unknown keys: ${unknown.join(', ')}. Supported: ${ACCOUNT_KEYS.join(', ')}`);
+
+    const name = typeof account.name === 'string' ? account.name.trim() : '';
+    if (!name) throw new Error(`${where}: "name" is required`);
+    if (names.has(name)) throw new Error(`${source}: account "${name}" is listed more than once`);
+    names.add(name);
+
+    if (Boolean(account.userDataDir) === Boolean(account.storageState)) {
+      throw new Error(`${source}: account "${name}" needs exactly one of userDataDir or storageState`);
+    }
+    if (account.storageState && !fs.existsSync(account.storageState)) {
+      throw new Error(`${source}: storageState file for account "${name}" not found: ${account.storageState}`);
+    }
+    if (account.userDataDir) {
+      // Chrome locks a profile directory, so two contexts cannot share one
+      const dir = path.resolve(account.userDataDir);
+      if (dirs.has(dir)) throw new Error(`${source}: userDataDir ${account.userDataDir} is used by more than one account`);
+      dirs.add(dir);
+    }
+
+    const weight = account.weight === undefined ? 1 : Number(account.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`${source}: invalid weight for account "${name}": ${JSON.stringify(account.weight)} (expected a positive number)`);
+    }
+    return account.userDataDir
+      ? { name, userDataDir: account.userDataDir, weight }
+      : { name, storageState: account.storageState, weight };
+  });
+};
+
+// Read an accounts file; relative paths are resolved against the file's directory
+const loadAccountsFile = (file) => {
+  const data = readDataFile(file);
+  const accounts = (data && !Array.isArray(data) && typeof data === 'object') ? data.accounts : data;
+  const withResolvedPaths = (account) => {
+    if (!account || typeof account !== 'object') return account;
+    const resolved = { ...account };
+    for (const key of ['userDataDir', 'storageState']) {
+      if (typeof resolved[key] === 'string' && resolved[key] && !path.isAbsolute(resolved[key])) {
+        resolved[key] = path.join(path.dirname(file), resolved[key]);
+      }
+    }
+    return resolved;
+  };
+  return validateAccounts(Array.isArray(accounts) ? accounts.map(withResolvedPaths) : accounts, file);
+};
+
+// Parse "alice=./.playwright-alice,bob=./states/bob.json"
+const parseAccountList = (spec) => validateAccounts(
+  String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const eq = part.indexOf('=');
+    if (eq < 1) throw new Error(`--accounts: expected name=path, got "${part}"`);
+    const name = part.slice(0, eq).trim();
+    const location = part.slice(eq + 1).trim();
+    return path.extname(location).toLowerCase() === '.json'
+      ? { name, storageState: location }
+      : { name, userDataDir: location };
+  }),
+  '--accounts'
+);
+
+// --accounts value: an accounts file, or an inline name=path list
+const loadAccounts = (spec) => {
+  const value = String(spec).trim();
+  const isFile = !value.includes('=') && (isYamlFile(value) || path.extname(value).toLowerCase() === '.json');
+  return isFile ? loadAccountsFile(value) : parseAccountList(value);
+};
+
+// One account per tab, in proportion to the account weights. Accounts are spread
+// within each model's tabs, so every model runs on the same account mix instead of
+// one model landing on one account (in matrix mode a prompt row shares one account).
+const assignAccounts = (accounts, tabModels) => spreadWithinGroups(accounts, tabModels);
+
+const describeAccount = (account) => account.userDataDir
+  ? `${account.name} (userDataDir ${account.userDataDir})`
+  : `${account.name} (storageState ${account.storageState})`;
+
+module.exports = {
+  DEFAULT_ACCOUNT_NAME,
+  defaultAccounts,
+  loginCommand,
+  loadAccounts,
+  assignAccounts,
+  describeAccount
+};
@@ -0,0 +1,46 @@
+// Spreading tabs across weighted entries (models, accounts).
+
+// Spread `count` slots across the entries in proportion to their `weight`
+// (largest remainder), interleaved so every entry is represented early in a ramp.
+// Returns one entry per slot.
+const spreadByWeight = (entries, count) => {
+  const totalWeight = entries.reduce((sum, { weight }) => sum + weight, 0);
+  const shares = entries.map((entry) => {
+    const exact = count * entry.weight / totalWeight;
+    return { entry, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let unassigned = count - shares.reduce((sum, share) => sum + share.count, 0);
+  for (const share of [...shares].sort((a, b) => b.remainder - a.remainder)) {
+    if (unassigned-- <= 0) break;
+    share.count++;
+  }
+
+  // Smooth weighted round-robin over the counts gives each entry exactly `count` slots
+  const current = shares.map(() => 0);
+  const assignment = [];
+  for (let i = 0; i < count; i++) {
+    let best = 0;
+    shares.forEach((share, j) => {
+      current[j] += share.count;
+      if (current[j] > current[best]) best = j;
+    });
+    current[best] -= count;
+    assignment.push(shares[best].entry);
+  }
+  return assignment;
+};
+
+// spreadByWeight within each group of slots that share a key in `groupKeys`, so every
+// group gets the same mix. Slots of a group are taken in `orderKeys` order when given
+// (then by slot), which keeps this spread independent of an earlier one.
+const spreadWithinGroups = (entries, groupKeys, orderKeys = null) => {
+  const assignment = new Array(groupKeys.length);
+  for (const group of new Set(groupKeys)) {
+    const slots = groupKeys.map((key, i) => key === group ? i : -1).filter(i => i >= 0);
+    if (orderKeys) slots.sort((a, b) => String(orderKeys[a]).localeCompare(String(orderKeys[b])) || a - b);
+    spreadByWeight(entries, slots.length).forEach((entry, j) => { assignment[slots[j]] = entry; });
+  }
+  return assignment;
+};
+
+module.exports = { spreadByWeight, spreadWithinGroups };
@@ -0,0 +1,62 @@
+// Failure artifacts: what a failed tab looked like when it failed.
+//
+// For each failure we save a full-page screenshot, the page HTML, the URL and the
+// browser console log of the tab, named <runId>-<name>.* inside the artifacts
+// directory (e.g. 20240902-153012-a1b2c3-tab-7.png). The returned paths are stored
+// on the tab record, so reports link to them.
+
+const fs = require('fs');
+const path = require('path');
+
+// Console lines kept per page; a tab that loops through a long soak keeps the latest ones
+const MAX_CONSOLE_LINES = 2000;
+
+// Artifact name for a tab record: tab-7, tab-7-3 for the third iteration of a recycled tab,
+// tab-7-retry1 for the first retry of a failed generation
+const tabArtifactName = (record) => `tab-${record.tab}${record.iteration > 1 ? `-${record.iteration}` : ''}${record.attempt > 1 ? `-retry${record.attempt - 1}` : ''}`;
+
+const createArtifactWriter = ({ dir, runId }) => {
+  const consoleLogs = new WeakMap(); // page -> console lines
+
+  // Start buffering a page's console messages and uncaught errors
+  const watchConsole = (page) => {
+    const lines = [];
+    consoleLogs.set(page, lines);
+    const push = (line) => {
+      lines.push(`${new Date().toISOString()} ${line}`);
+      if (lines.length > MAX_CONSOLE_LINES) lines.shift();
+    };
+    page.on('console', (message) => push(`[${message.type()}] ${message.text()}`));
+    page.on('pageerror', (error) => push(`[pageerror] ${error.message}`));
+  };
+
+  // Save screenshot, HTML, URL and console log of `page`. Each file is best effort: a crashed
+  // page may still give us its URL and console log. Resolves with the written paths.
+  const capture = async (page, name) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const base = path.join(dir, `${runId}-${name}`);
+    const written = {};
+    const attempt = async (key, file, write) => {
+      try {
+        await write(file);
+        written[key] = file;
+      } catch (error) {
+        console.log(`Could not save ${key} artifact ${file}: ${error.message.split('\n')[0]}`);
+      }
+    };
+    await attempt('screenshot', `${base}.png`, (file) => page.screenshot({ path: file, fullPage: true, timeout: 30_000 }));
+    await attempt('html', `${base}.html`, async (file) => fs.writeFileSync(file, await page.content()));
+    await attempt('url', `${base}.url.txt`, async (file) => fs.writeFileSync(file, `${page.url()}\n`));
+    await attempt('consoleLog', `${base}.console.log`, async (file) => fs.writeFileSync(file, (consoleLogs.get(page) || []).join('\n') + '\n'));
+    return written;
+  };
+
+  const tracePath = (contextName) => path.join(dir, `${runId}-${contextName}.trace.zip`);
+
+  return { dir, watchConsole, capture, tracePath };
+};
+
+module.exports = {
+  tabArtifactName,
+  createArtifactWriter
+};
@@ -0,0 +1,257 @@
+// Output checks (--assertions): a generation that completed can still be broken, e.g. an
+// error banner instead of the app, an empty preview or a reply cut off halfway. Once a generation
+// completes, these checks run on its tab; when one fails, the attempt moves on to the
+// checks_failed outcome with what was seen as evidence.
+//
+// Assertions file (JSON or YAML), every key optional:
+//   noConsoleErrors: true        # the preview iframe logged no console errors
+//   noErrorToasts: true          # no error toast showed up during the generation
+//   nonEmptyPreview: true        # the preview iframe rendered some text
+//   contains:                    # text the output must contain: a string or a /regex/flags
+//     - pricing
+//     - /\$\d+/
+//   excludes:                    # text the output must not contain
+//     - Something went wrong
+//   in: [message, preview]       # output the text checks look at: the AI message, the preview text (default: both)
+//   previewTimeout: 15s          # how long to wait for the preview iframe (default: 15s)
+//
+// Console errors and toasts are collected in the page itself (an init script in every frame),
+// so those raised before the check ran count too.
+
+const { readDataFile } = require('./files');
+const { parseDuration, sleep } = require('./duration');
+const { findFirstVisible } = require('./selectors');
+const { TAB_STATES } = require('./tab-state');
+
+const ASSERTION_KEYS = ['noConsoleErrors', 'noErrorToasts', 'nonEmptyPreview', 'contains', 'excludes', 'in', 'previewTimeout'];
+const TEXT_SOURCES = ['message', 'preview'];
+const DEFAULT_PREVIEW_TIMEOUT = '15s';
+// Late console errors of a preview that just loaded still count
+const PREVIEW_SETTLE_MS = 2000;
+const EVIDENCE_LENGTH = 200;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// "pricing" matches that text, "/pric(e|ing)/i" the regular expression
+const parseTextCheck = (value, key) => {
+  if (typeof value !== 'string' || !value) throw new Error(`${key} entries must be non-empty strings, got ${JSON.stringify(value)}`);
+  const regex = value.match(/^\/(.+)\/([a-z]*)$/s);
+  if (!regex) return { label: JSON.stringify(value), find: (text) => { const at = text.indexOf(value); return at === -1 ? null : { at, length: value.length }; } };
+  let pattern;
+  try {
+    pattern = new RegExp(regex[1], regex[2].replace('g', ''));
+  } catch (error) {
+    throw new Error(`${key}: invalid regular expression ${value}: ${error.message}`);
+  }
+  return { label: value, find: (text) => { const match = pattern.exec(text); return match ? { at: match.index, length: match[0].length } : null; } };
+};
+
+const asList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// Load and validate an assertions file into { noConsoleErrors, noErrorToasts, nonEmptyPreview,
+// contains: [{ label, find }], excludes: [...], in: [...], previewTimeoutMs }
+const loadAssertions = (file) => {
+  const doc = readDataFile(file);
+  if (!isPlainObject(doc)) throw new Error(`${file}: expected an object of assertions`);
+  const fail = (message) => { throw new Error(`${file}: ${message}`); };
+  const unknown = Object.keys(doc).filter(key => !ASSERTION_KEYS.includes(key));
+  if (unknown.length) fail(`unknown keys: ${unknown.join(', ')}. Supported: ${ASSERTION_KEYS.join(', ')}`);
+  for (const key of ['noConsoleErrors', 'noErrorToasts', 'nonEmptyPreview']) {
+    if (doc[key] !== undefined && typeof doc[key] !== 'boolean') fail(`${key} must be true or false, got ${JSON.stringify(doc[key])}`);
+  }
+  const sources = asList(doc.in ?? TEXT_SOURCES);
+  const unknownSources = sources.filter(source => !TEXT_SOURCES.includes(source));
+  if (!sources.length || unknownSources.length) fail(`in must list ${TEXT_SOURCES.join(' and/or ')}, got ${JSON.stringify(doc.in)}`);
+
+  const textChecks = (key) => {
+    try {
+      return asList(doc[key]).map(value => parseTextCheck(value, key));
+    } catch (error) {
+      return fail(error.message);
+    }
+  };
+  let previewTimeoutMs;
+  try {
+    previewTimeoutMs = parseDuration(doc.previewTimeout ?? DEFAULT_PREVIEW_TIMEOUT);
+  } catch (error) {
+    fail(`previewTimeout: ${error.message}`);
+  }
+  const assertions = {
+    noConsoleErrors: Boolean(doc.noConsoleErrors),
+    noErrorToasts: Boolean(doc.noErrorToasts),
+    nonEmptyPreview: Boolean(doc.nonEmptyPreview),
+    contains: textChecks('contains'),
+    excludes: textChecks('excludes'),
+    in: sources,
+    previewTimeoutMs
+  };
+  if (!assertions.noConsoleErrors && !assertions.noErrorToasts && !assertions.nonEmptyPreview && !assertions.contains.length && !assertions.excludes.length) {
+    fail('no checks; set noConsoleErrors, noErrorToasts, nonEmptyPreview, contains or excludes');
+  }
+  return assertions;
+};
+
+// Names of the checks, as they show up in the summary and report
+const checkNames = (assertions) => [
+  assertions.noConsoleErrors && 'noConsoleErrors',
+  assertions.noErrorToasts && 'noErrorToasts',
+  assertions.nonEmptyPreview && 'nonEmptyPreview',
+  ...assertions.contains.map(check => `contains ${check.label}`),
+  ...assertions.excludes.map(check => `excludes ${check.label}`)
+].filter(Boolean);
+
+// e.g. "noConsoleErrors, contains "pricing", excludes /error/i (in message, preview)"
+const describeAssertions = (assertions) => {
+  const textChecks = assertions.contains.length + assertions.excludes.length;
+  return `${checkNames(assertions).join(', ')}${textChecks ? ` (in ${assertions.in.join(', ')})` : ''}`;
+};
+
+// Runs in every frame of a tab before its own scripts: keeps the frame's console errors and,
+// in the top frame, the error toasts it showed, with the time they appeared
+const collectEvidence = ({ toastSelector }) => {
+  if (window.__burstEvidence) return;
+  const evidence = { consoleErrors: [], toasts: [] };
+  window.__burstEvidence = evidence;
+  const addError = (text) => evidence.consoleErrors.push({ at: Date.now(), text: String(text).slice(0, 500) });
+  const consoleError = console.error;
+  console.error = (...args) => {
+    addError(args.map(arg => (arg instanceof Error ? arg.stack || arg.message : String(arg))).join(' '));
+    return consoleError.apply(console, args);
+  };
+  window.addEventListener('error', (event) => addError(event.message || 'error event'));
+  window.addEventListener('unhandledrejection', (event) => addError(`Unhandled rejection: ${event.reason?.message || event.reason}`));
+  if (window !== window.top || !toastSelector) return;
+  const seen = new Map();
+  const scan = () => {
+    for (const toast of document.querySelectorAll(toastSelector)) {
+      if (!seen.has(toast)) {
+        seen.set(toast, { at: Date.now(), text: '' });
+        evidence.toasts.push(seen.get(toast));
+      }
+      seen.get(toast).text = (toast.textContent || '').trim().slice(0, 500);
+    }
+  };
+  new MutationObserver(scan).observe(document, { childList: true, subtree: true, characterData: true });
+};
+
+// Function to make a tab collect the console errors and toasts the checks look at.
+// Call before the tab loads its first page
+const watchEvidence = async (page, selectors) => {
+  await page.addInitScript(collectEvidence, { toastSelector: selectors.toast.error.join(', ') });
+};
+
+const evidenceSince = async (frame, since) => {
+  const evidence = await frame.evaluate(() => window.__burstEvidence || { consoleErrors: [], toasts: [] }).catch(() => null);
+  if (!evidence) return { consoleErrors: [], toasts: [] };
+  return {
+    consoleErrors: evidence.consoleErrors.filter(entry => entry.at >= since),
+    toasts: evidence.toasts.filter(entry => entry.at >= since)
+  };
+};
+
+// The preview iframe's frame, waiting up to timeoutMs for it to show up and load; null without one
+const findPreview = async (page, selectors, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const selector = await findFirstVisible(page, selectors.preview.frame);
+    const frame = selector && await page.locator(selector).first().elementHandle().then(handle => handle?.contentFrame()).catch(() => null);
+    if (frame) {
+      await frame.waitForLoadState('load', { timeout: Math.max(1000, deadline - Date.now()) }).catch(() => {});
+      return frame;
+    }
+    if (Date.now() >= deadline) return null;
+    await sleep(500);
+  }
+};
+
+// Text of the chat's latest AI message
+const latestMessage = async (page, selectors) => {
+  for (const selector of selectors.generation.output) {
+    const count = await page.locator(selector).count().catch(() => 0);
+    if (count) return page.locator(selector).nth(count - 1).innerText().catch(() => '');
+  }
+  return '';
+};
+
+const excerpt = (text, { at, length }) => {
+  const start = Math.max(0, at - 40);
+  return `…${text.slice(start, at + length + 40).replace(/\s+/g, ' ')}…`;
+};
+
+const clip = (text) => (text.length > EVIDENCE_LENGTH ? `${text.slice(0, EVIDENCE_LENGTH)}…` : text);
+
+// Function to run the output checks on the tab of a completed generation.
+// Returns the checks as [{ name, passed, evidence }]; evidence is what a failed check saw
+const checkOutput = async (page, record, assertions, selectors) => {
+  const since = record.timestamps.submitted;
+  const needsPreview = assertions.noConsoleErrors || assertions.nonEmptyPreview ||
+    ((assertions.contains.length || assertions.excludes.length) && assertions.in.includes('preview'));
+  const preview = needsPreview ? await findPreview(page, selectors, assertions.previewTimeoutMs) : null;
+  if (preview) await sleep(PREVIEW_SETTLE_MS);
+  const previewText = preview ? await preview.evaluate(() => document.body?.innerText || '').catch(() => '') : '';
+  const checks = [];
+  const check = (name, evidence) => checks.push({ name, passed: !evidence, evidence: evidence || null });
+
+  if (assertions.noConsoleErrors) {
+    const { consoleErrors } = preview ? await evidenceSince(preview, since) : { consoleErrors: [] };
+    check('noConsoleErrors', !preview
+      ? 'preview iframe not found'
+      : consoleErrors.length && `${consoleErrors.length} console error(s): ${clip(consoleErrors.slice(0, 3).map(entry => entry.text).join(' | '))}`);
+  }
+  if (assertions.noErrorToasts) {
+    const { toasts } = await evidenceSince(page.mainFrame(), since);
+    // A toast still on screen counts even if the collector missed it (e.g. across a navigation)
+    const visible = await findFirstVisible(page, selectors.toast.error);
+    const texts = toasts.map(toast => toast.text || '(no text)');
+    if (visible && !texts.length) texts.push(await page.locator(visible).first().innerText().catch(() => '(no text)'));
+    check('noErrorToasts', texts.length && `${texts.length} error toast(s): ${clip(texts.join(' | '))}`);
+  }
+  if (assertions.nonEmptyPreview) {
+    check('nonEmptyPreview', !preview ? 'preview iframe not found' : !previewText.trim() && 'preview rendered no text');
+  }
+
+  const sources = {
+    message: assertions.in.includes('message') ? await latestMessage(page, selectors) : null,
+    preview: assertions.in.includes('preview') ? previewText : null
+  };
+  const found = (textCheck) => {
+    for (const [source, text] of Object.entries(sources)) {
+      const match = text === null ? null : textCheck.find(text);
+      if (match) return `found in ${source}: ${excerpt(text, match)}`;
+    }
+    return null;
+  };
+  for (const textCheck of assertions.contains) {
+    check(`contains ${textCheck.label}`, !found(textCheck) && `not found in ${assertions.in.join(' or ')}`);
+  }
+  for (const textCheck of assertions.excludes) check(`excludes ${textCheck.label}`, found(textCheck));
+  return checks;
+};
+
+// Summary for the report: attempts whose output was checked, how many failed and how
+// often each check failed
+const summarizeChecks = (records, assertions) => {
+  const checked = records.filter(record => record.checks);
+  const byCheck = Object.fromEntries(checkNames(assertions).map(name => [name, 0]));
+  for (const record of checked) {
+    for (const { name, passed } of record.checks) if (!passed) byCheck[name] = (byCheck[name] || 0) + 1;
+  }
+  return {
+    checked: checked.length,
+    failed: checked.filter(record => record.state === TAB_STATES.CHECKS_FAILED).length,
+    byCheck
+  };
+};
+
+// e.g. "noErrorToasts: 1 error toast(s): ...; contains "pricing": not found in message or preview"
+const formatFailedChecks = (checks) => (checks || []).filter(c => !c.passed).map(c => `${c.name}: ${c.evidence}`).join('; ');
+
+module.exports = {
+  ASSERTION_KEYS,
+  loadAssertions,
+  describeAssertions,
+  watchEvidence,
+  checkOutput,
+  summarizeChecks,
+  formatFailedChecks
+};
@@ -0,0 +1,199 @@
+// Baselines and run report comparison.
+//
+// A run started with --saveBaseline <name> keeps its JSON report as <registry>/baselines/<name>.json.
+// compareReports diffs two JSON run reports: completion rate, the share of every failure reason and
+// p50/p95/p99 latency, overall and per model. A change beyond the thresholds is a regression.
+
+const fs = require('fs');
+const path = require('path');
+const { formatMs } = require('./stats');
+
+const BASELINES_DIR = 'baselines';
+
+const LATENCY_METRICS = {
+  projectCreatedMs: 'Project created',
+  firstOutputMs: 'First AI output',
+  totalMs: 'Generation'
+};
+const PERCENTILES = ['p50', 'p95', 'p99'];
+
+// completionRate and failures are the most percentage points the completion rate may drop and a
+// failure reason's share of the attempts may grow; p50/p95/p99 the most the latencies may grow,
+// relative to the baseline. Latencies are only compared with minSamples samples on both sides
+const DEFAULT_THRESHOLDS = { completionRate: 0.05, failures: 0.05, p50: 0.25, p95: 0.25, p99: 0.5, minSamples: 5 };
+const THRESHOLD_KEYS = Object.keys(DEFAULT_THRESHOLDS);
+
+const baselineDir = (registryDir) => path.join(registryDir, BASELINES_DIR);
+const baselineFile = (registryDir, name) => path.join(baselineDir(registryDir), `${name}.json`);
+
+// Save a run's JSON report as the named baseline (replacing an older one of that name)
+const saveBaseline = (registryDir, name, report) => {
+  fs.mkdirSync(baselineDir(registryDir), { recursive: true });
+  const file = baselineFile(registryDir, name);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(report, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+  return file;
+};
+
+const listBaselines = (registryDir) => {
+  if (!fs.existsSync(baselineDir(registryDir))) return [];
+  return fs.readdirSync(baselineDir(registryDir)).filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json')).sort();
+};
+
+// A report file, else a baseline of that name: { label, file, report }
+const loadComparable = (ref, registryDir) => {
+  const file = fs.existsSync(ref) ? ref : baselineFile(registryDir, ref);
+  if (!fs.existsSync(file)) {
+    const baselines = listBaselines(registryDir);
+    throw new Error(`"${ref}" is neither a report file nor a baseline in ${baselineDir(registryDir)} (baselines: ${baselines.join(', ') || 'none'})`);
+  }
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not a JSON run report: ${error.message}`);
+  }
+  if (!report?.meta || !report.summary || !Array.isArray(report.tabs)) {
+    throw new Error(`${file} is not a JSON run report (write one with --report <file>.json or --saveBaseline)`);
+  }
+  return { label: file === ref ? ref : `baseline "${ref}"`, file, report };
+};
+
+// A share in percentage points (5%, 0.05) or a relative growth (25%, 0.25); "off" turns the check off
+const parseLimit = (value, key) => {
+  const text = String(value).trim();
+  if (text === 'off') return null;
+  const share = text.endsWith('%') ? Number(text.slice(0, -1)) / 100 : Number(text);
+  if (!Number.isFinite(share) || share < 0) {
+    throw new Error(`--thresholds: ${key} must be a percentage (e.g. 5%), a fraction (0.05) or "off", got "${value}"`);
+  }
+  return share;
+};
+
+// "p95=20%,failures=2%" on top of the defaults
+const parseThresholds = (spec) => {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  for (const entry of String(spec ?? '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [key, value] = entry.split('=').map(part => part.trim());
+    if (!THRESHOLD_KEYS.includes(key) || value === undefined) {
+      throw new Error(`--thresholds: expected key=value pairs with keys ${THRESHOLD_KEYS.join(', ')}, got "${entry}"`);
+    }
+    if (key === 'minSamples') {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1) throw new Error(`--thresholds: minSamples must be a whole number of at least 1, got "${value}"`);
+      thresholds.minSamples = n;
+    } else {
+      thresholds[key] = parseLimit(value, key);
+    }
+  }
+  return thresholds;
+};
+
+const points = (share) => `${Math.round(share * 1000) / 10} pts`;
+const percent = (share) => `${Math.round(share * 1000) / 10}%`;
+const signed = (text, value) => (value > 0 ? `+${text}` : value < 0 ? `-${text.replace(/^-/, '')}` : text);
+
+const describeThresholds = (t) => [
+  t.completionRate === null ? 'completion rate off' : `completion rate -${points(t.completionRate)}`,
+  t.failures === null ? 'failures off' : `failures +${points(t.failures)}`,
+  ...PERCENTILES.map(p => (t[p] === null ? `${p} off` : `${p} +${percent(t[p])}`)),
+  `latency with n>=${t.minSamples}`
+].join(', ');
+
+// Share of the attempts each failure reason ended, for the tabs of one scope
+const failureShares = (tabs) => {
+  const shares = {};
+  for (const tab of tabs) if (tab.failureReason) shares[tab.failureReason] = (shares[tab.failureReason] || 0) + 1;
+  for (const code of Object.keys(shares)) shares[code] /= tabs.length;
+  return shares;
+};
+
+// Rows of one scope (overall or a model): { metric, baseline, current, change, limit, regressed }
+// with formatted values
+const compareScope = (base, current, thresholds) => {
+  const rows = [];
+  const completion = current.summary.completionRate - base.summary.completionRate;
+  rows.push({
+    metric: 'Completion rate',
+    baseline: percent(base.summary.completionRate),
+    current: percent(current.summary.completionRate),
+    change: signed(points(completion), completion),
+    limit: thresholds.completionRate === null ? null : `-${points(thresholds.completionRate)}`,
+    regressed: thresholds.completionRate !== null && -completion > thresholds.completionRate + 1e-9
+  });
+
+  for (const [key, label] of Object.entries(LATENCY_METRICS)) {
+    const b = base.summary.latency[key];
+    const c = current.summary.latency[key];
+    for (const p of PERCENTILES) {
+      const enough = b.count >= thresholds.minSamples && c.count >= thresholds.minSamples;
+      const growth = enough && b[p] > 0 ? (c[p] - b[p]) / b[p] : null;
+      rows.push({
+        metric: `${label} ${p}`,
+        baseline: b.count ? formatMs(b[p]) : '-',
+        current: c.count ? formatMs(c[p]) : '-',
+        change: growth === null ? (enough ? '-' : `n=${b.count}/${c.count}`) : signed(percent(growth), growth),
+        limit: thresholds[p] === null ? null : `+${percent(thresholds[p])}`,
+        regressed: growth !== null && thresholds[p] !== null && growth > thresholds[p] + 1e-9
+      });
+    }
+  }
+
+  const baseShares = failureShares(base.tabs);
+  const currentShares = failureShares(current.tabs);
+  for (const code of [...new Set([...Object.keys(baseShares), ...Object.keys(currentShares)])].sort()) {
+    const change = (currentShares[code] || 0) - (baseShares[code] || 0);
+    rows.push({
+      metric: `Failure ${code}`,
+      baseline: percent(baseShares[code] || 0),
+      current: percent(currentShares[code] || 0),
+      change: signed(points(change), change),
+      limit: thresholds.failures === null ? null : `+${points(thresholds.failures)}`,
+      regressed: thresholds.failures !== null && change > thresholds.failures + 1e-9
+    });
+  }
+  return rows;
+};
+
+// Compare two JSON run reports. Returns { scopes: [{ name, rows }], onlyIn: { baseline, current }, regressions }
+// where regressions lists "scope: metric" of every row beyond its threshold
+const compareReports = (baseline, current, thresholds = DEFAULT_THRESHOLDS) => {
+  const scopes = [{ name: 'Overall', rows: compareScope({ summary: baseline.summary, tabs: baseline.tabs }, { summary: current.summary, tabs: current.tabs }, thresholds) }];
+  const baseModels = Object.keys(baseline.summary.byModel || {});
+  const currentModels = Object.keys(current.summary.byModel || {});
+  // A single-model run's per-model scope would repeat the overall one
+  const models = baseModels.filter(model => currentModels.includes(model));
+  if (models.length > 1 || baseModels.length > 1 || currentModels.length > 1) {
+    for (const model of models) {
+      scopes.push({
+        name: `Model ${model}`,
+        rows: compareScope(
+          { summary: baseline.summary.byModel[model], tabs: baseline.tabs.filter(tab => tab.model === model) },
+          { summary: current.summary.byModel[model], tabs: current.tabs.filter(tab => tab.model === model) },
+          thresholds
+        )
+      });
+    }
+  }
+  const regressions = scopes.flatMap(scope => scope.rows.filter(row => row.regressed).map(row =>
+    `${scope.name}: ${row.metric} ${row.baseline} -> ${row.current} (${row.change}, limit ${row.limit})`));
+  return {
+    scopes,
+    onlyIn: {
+      baseline: baseModels.filter(model => !currentModels.includes(model)),
+      current: currentModels.filter(model => !baseModels.includes(model))
+    },
+    regressions
+  };
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  THRESHOLD_KEYS,
+  saveBaseline,
+  listBaselines,
+  loadComparable,
+  parseThresholds,
+  describeThresholds,
+  compareReports
+};
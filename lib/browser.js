@@ -0,0 +1,87 @@
+// Browser sessions: one Playwright context per account.
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+
+const CONTEXT_OPTIONS = { viewport: { width: 1440, height: 900 } };
+
+// Where Playwright looks for the stable Google Chrome of its 'chrome' channel
+const CHROME_PATHS = {
+  linux: () => ['/opt/google/chrome/chrome'],
+  darwin: () => ['/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'],
+  win32: () => [process.env.LOCALAPPDATA, process.env.PROGRAMFILES, process.env['PROGRAMFILES(X86)']]
+    .filter(Boolean)
+    .map(dir => path.join(dir, 'Google', 'Chrome', 'Application', 'chrome.exe'))
+};
+
+const hasChrome = () => (CHROME_PATHS[process.platform] || (() => []))().some(file => fs.existsSync(file));
+
+// The browser a launch uses: Google Chrome when installed, else Playwright's bundled Chromium.
+// Returns { channel, name, installed }
+const browserChoice = () => {
+  if (hasChrome()) return { channel: 'chrome', name: 'Google Chrome', installed: true };
+  let installed = false;
+  try {
+    installed = fs.existsSync(chromium.executablePath());
+  } catch (error) {
+    installed = false;
+  }
+  return { channel: undefined, name: 'Chromium', installed };
+};
+
+// Browser launch options shared by every account's context
+const launchOptions = ({ headless = false } = {}) => ({
+  headless,
+  channel: browserChoice().channel, // use the Chrome build if available
+  // Optimize for large-scale operations
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--disable-features=TranslateUI',
+    '--disable-ipc-flooding-protection'
+  ]
+});
+
+// Function to open one browser context per account: a persistent context for a userDataDir
+// account, or a context in a shared browser for a storageState account (a fresh one when
+// the account has neither, as for a first `login`).
+// Returns { contexts: Map(account name -> context), close }
+const openSessions = async (accounts, { headless = false } = {}) => {
+  const contexts = new Map();
+  const options = launchOptions({ headless });
+  let sharedBrowser = null;
+  const close = async () => {
+    for (const context of contexts.values()) await context.close().catch(() => {});
+    if (sharedBrowser) await sharedBrowser.close().catch(() => {});
+  };
+  try {
+    for (const account of accounts) {
+      if (account.storageState || !account.userDataDir) {
+        sharedBrowser = sharedBrowser || await chromium.launch(options);
+        contexts.set(account.name, await sharedBrowser.newContext({ ...CONTEXT_OPTIONS, ...(account.storageState && { storageState: account.storageState }) }));
+      } else {
+        contexts.set(account.name, await chromium.launchPersistentContext(account.userDataDir, { ...options, ...CONTEXT_OPTIONS }));
+      }
+    }
+  } catch (error) {
+    await close();
+    throw error;
+  }
+  return { contexts, close };
+};
+
+module.exports = {
+  CONTEXT_OPTIONS,
+  browserChoice,
+  launchOptions,
+  openSessions
+};
@@ -0,0 +1,434 @@
+// Builder UI on a Playwright page: authentication, model and space selection, and following
+// a generation. Used by runs, doctor and cleanup, and exported for scripts that drive pages themselves.
+//
+// Every function takes page options last: { selectors, baseUrl, headless, generationTimeoutMs }
+// (a run config has them all). Missing ones fall back to the defaults of a plain run, so
+// checkAuthentication(page, 0) works on its own.
+
+const { TAB_STATES, transition, isTerminal } = require('./tab-state');
+const { formatMs } = require('./stats');
+const { assertKnownModel } = require('./models');
+const { loadSelectorProfile, findFirstVisible } = require('./selectors');
+const { failureFields } = require('./failures');
+const { spaceMatches, spaceLabel } = require('./spaces');
+const { DEFAULT_OPTIONS } = require('./config');
+
+// Generation polling (selectors come from the selector profile)
+const GENERATION_POLL_MS = 1000;
+// Consecutive idle polls (output present, nothing busy) before we call it complete
+const GENERATION_SETTLE_POLLS = 3;
+
+let defaultSelectors = null;
+
+const pageOptions = ({ selectors, baseUrl = DEFAULT_OPTIONS.baseUrl, headless = DEFAULT_OPTIONS.headless, generationTimeoutMs = DEFAULT_OPTIONS.generationTimeout * 1000 } = {}) => {
+  if (!selectors) defaultSelectors = defaultSelectors || loadSelectorProfile();
+  return { selectors: selectors || defaultSelectors, baseUrl: baseUrl.replace(/\/+$/, ''), headless, generationTimeoutMs };
+};
+
+// Number of elements the first matching selector of a list finds (0 when none matches)
+const countMatches = async (page, selectors) => {
+  for (const selector of selectors) {
+    try {
+      const count = await page.locator(selector).count();
+      if (count) return count;
+    } catch (e) {
+      // Continue checking
+    }
+  }
+  return 0;
+};
+
+// How long checkAuthentication waits for a sign of the session either way
+const AUTH_CHECK_TIMEOUT_MS = 15000;
+const AUTH_CHECK_POLL_MS = 1000;
+
+// Latest auth.sessionApi response of each page watched with watchSession
+const sessionStates = new WeakMap();
+
+// Function to follow the session of a page through its auth.sessionApi responses: a 2xx means
+// signed in, a 401/403 means signed out or expired. Call it before the page navigates so the
+// responses of the first load count. Returns the page's state: { status, httpStatus, url, at }
+// with status null (nothing seen since the last navigation), 'signed_in' or 'signed_out'.
+const watchSession = (page, options = {}) => {
+  const { selectors } = pageOptions(options);
+  if (sessionStates.has(page)) return sessionStates.get(page);
+  const state = { status: null, httpStatus: null, url: null, at: null };
+  sessionStates.set(page, state);
+  page.on('framenavigated', (frame) => {
+    if (frame === page.mainFrame()) Object.assign(state, { status: null, httpStatus: null, url: null, at: null });
+  });
+  page.on('response', (response) => {
+    if (!selectors.auth.sessionApiRegExp.test(response.url())) return;
+    const httpStatus = response.status();
+    const status = httpStatus >= 200 && httpStatus < 300 ? 'signed_in'
+      : httpStatus === 401 || httpStatus === 403 ? 'signed_out'
+      : null;
+    if (status) Object.assign(state, { status, httpStatus, url: response.url(), at: Date.now() });
+  });
+  return state;
+};
+
+// Returns why the page shows a signed-out session (login button, or the session API
+// turning the session down), or null
+const signedOutDetail = async (page, selectors) => {
+  const session = sessionStates.get(page);
+  if (session?.status === 'signed_out') return `${session.httpStatus} from ${new URL(session.url).pathname}`;
+  const loginSelector = await findFirstVisible(page, selectors.auth.login);
+  return loginSelector ? `login button ${loginSelector}` : null;
+};
+
+// Function to check if user is authenticated
+// Only positive evidence counts as signed in: a 2xx from the session API (when the page is
+// watched with watchSession) or a visible avatar/account menu (auth.authenticated).
+// Resolves with { authenticated, reason, detail }; reason is 'session_api' or 'user_indicator'
+// when signed in, 'login_required', 'session_expired', 'unknown' or 'error' otherwise.
+const checkAuthentication = async (page, tabIndex, options = {}) => {
+  const { selectors } = pageOptions(options);
+  try {
+    console.log(`[tab ${tabIndex+1}] Checking authentication status...`);
+    
+    // Wait for page to load
+    await page.waitForLoadState('domcontentloaded', { timeout: 30000 });
+    
+    // The session API call and the avatar both come in after the first paint, so poll for a while
+    const deadline = Date.now() + AUTH_CHECK_TIMEOUT_MS;
+    for (;;) {
+      const loginSelector = await findFirstVisible(page, selectors.auth.login);
+      if (loginSelector) {
+        console.log(`[tab ${tabIndex+1}] Found explicit login button: ${loginSelector}`);
+        return { authenticated: false, reason: 'login_required', detail: `login button ${loginSelector}` };
+      }
+      
+      const session = sessionStates.get(page);
+      if (session?.status === 'signed_out') {
+        const detail = await signedOutDetail(page, selectors);
+        console.log(`[tab ${tabIndex+1}] Session rejected by the session API (${detail})`);
+        return { authenticated: false, reason: 'session_expired', detail };
+      }
+      
+      if (session?.status === 'signed_in') {
+        console.log(`[tab ${tabIndex+1}] Session API confirmed the session (${session.httpStatus} from ${new URL(session.url).pathname})`);
+        return { authenticated: true, reason: 'session_api' };
+      }
+      
+      const userSelector = await findFirstVisible(page, selectors.auth.authenticated);
+      if (userSelector) {
+        console.log(`[tab ${tabIndex+1}] Found signed-in user indicator: ${userSelector}`);
+        return { authenticated: true, reason: 'user_indicator' };
+      }
+      
+      if (Date.now() >= deadline) break;
+      await page.waitForTimeout(AUTH_CHECK_POLL_MS);
+    }
+    
+    console.log(`[tab ${tabIndex+1}] No session API response or user indicator after ${AUTH_CHECK_TIMEOUT_MS / 1000}s, not authenticated`);
+    return { authenticated: false, reason: 'unknown', detail: `no auth.sessionApi response and no auth.authenticated match within ${AUTH_CHECK_TIMEOUT_MS / 1000}s` };
+    
+  } catch (error) {
+    console.log(`[tab ${tabIndex+1}] Error checking authentication: ${error.message}`);
+    return { authenticated: false, reason: 'error', detail: error.message };
+  }
+};
+
+// Function to handle authentication flow
+// Headless runs cannot log in, so anything but a confirmed session fails them; in UI mode
+// the user gets 5 minutes to log in. Resolves with { success, authenticated, reason, detail }.
+const handleAuthentication = async (page, tabIndex, options = {}) => {
+  const { headless } = pageOptions(options);
+  try {
+    console.log(`[tab ${tabIndex+1}] Starting authentication flow...`);
+    
+    // Check current authentication status
+    const authStatus = await checkAuthentication(page, tabIndex, options);
+    
+    if (authStatus.authenticated) {
+      console.log(`[tab ${tabIndex+1}] Already authenticated, proceeding with load test`);
+      return { success: true, authenticated: true, reason: authStatus.reason };
+    }
+    
+    console.log(`[tab ${tabIndex+1}] Authentication status: ${authStatus.reason}`);
+    
+    if (headless) {
+      console.error(`[tab ${tabIndex+1}] ERROR: Not signed in (${authStatus.detail || authStatus.reason}) and login is not possible in headless mode.`);
+      return { success: false, authenticated: false, reason: 'headless_login_required', detail: `${authStatus.reason}: ${authStatus.detail || 'no session'}` };
+    }
+    
+    // In UI mode, wait for user to complete login
+    console.log(`[tab ${tabIndex+1}] Please complete login in the browser window...`);
+    console.log(`[tab ${tabIndex+1}] Waiting for authentication to complete...`);
+    
+    // Wait for authentication to complete (poll every 5 seconds for up to 5 minutes)
+    const maxWaitTime = 5 * 60 * 1000; // 5 minutes
+    const pollInterval = 5000; // 5 seconds
+    const startTime = Date.now();
+    
+    while (Date.now() - startTime < maxWaitTime) {
+      await page.waitForTimeout(pollInterval);
+      
+      const currentAuthStatus = await checkAuthentication(page, tabIndex, options);
+      if (currentAuthStatus.authenticated) {
+        console.log(`[tab ${tabIndex+1}] Authentication completed successfully!`);
+        return { success: true, authenticated: true, reason: currentAuthStatus.reason };
+      }
+      
+      console.log(`[tab ${tabIndex+1}] Still waiting for authentication... (${Math.round((Date.now() - startTime) / 1000)}s elapsed)`);
+    }
+    
+    console.error(`[tab ${tabIndex+1}] Authentication timeout after 5 minutes`);
+    return { success: false, authenticated: false, reason: 'timeout', detail: 'no login within 5 minutes' };
+    
+  } catch (error) {
+    console.log(`[tab ${tabIndex+1}] Error in authentication flow: ${error.message}`);
+    return { success: false, authenticated: false, reason: 'error', detail: error.message };
+  }
+};
+
+// Function to select AI model
+// Returns { success, reason, detail }; detail lists the menu options actually offered when the model is missing
+const selectModel = async (page, tabIndex, model, options = {}) => {
+  const { selectors } = pageOptions(options);
+  try {
+    console.log(`[tab ${tabIndex+1}] Selecting AI model: ${model}`);
+    
+    // Try multiple selectors for the model dropdown button
+    const dropdownSelectors = selectors.model.dropdown;
+    
+    let modelDropdown = null;
+    for (const selector of dropdownSelectors) {
+      try {
+        const element = await page.locator(selector).first();
+        if (await element.isVisible()) {
+          modelDropdown = element;
+          console.log(`[tab ${tabIndex+1}] Found model dropdown with selector: ${selector}`);
+          break;
+        }
+      } catch (e) {
+        // Continue to next selector
+      }
+    }
+    
+    if (modelDropdown) {
+      await modelDropdown.click();
+      await page.waitForTimeout(1000);
+      console.log(`[tab ${tabIndex+1}] Opened model dropdown`);
+      
+      // Select the specific model based on the model parameter
+      // Exact label first, so "GPT-5" does not pick "GPT-5 Mini"
+      const menuItem = selectors.model.menuItem;
+      const label = selectors.model.labels[assertKnownModel(model, selectors.model.labels)];
+      const modelSelector = await findFirstVisible(page, [
+        `${menuItem}:text-is("${label}")`,
+        `${menuItem}:has(:text-is("${label}"))`,
+        `${menuItem}:has-text("${label}")`
+      ]);
+      
+      // Click the model option
+      if (modelSelector) {
+        await page.locator(modelSelector).first().click();
+        await page.waitForTimeout(500);
+        console.log(`[tab ${tabIndex+1}] Successfully selected model: ${model}`);
+        return { success: true };
+      } else {
+        console.log(`[tab ${tabIndex+1}] Model option not found: ${model} ("${label}")`);
+        
+        // List what the menu actually offers so the error is actionable
+        const offered = [];
+        try {
+          const allOptions = await page.locator(menuItem).all();
+          for (const option of allOptions) {
+            try {
+              const text = (await option.textContent())?.trim();
+              if (text) offered.push(text);
+            } catch (e) {
+              // Skip unreadable options
+            }
+          }
+        } catch (e) {
+          console.log(`[tab ${tabIndex+1}] Could not list available options: ${e.message}`);
+        }
+        console.log(`[tab ${tabIndex+1}] Available model options: ${offered.length ? offered.map(text => `"${text}"`).join(', ') : '(none found)'}`);
+        return { success: false, reason: 'model_unavailable', detail: `"${label}" not in menu (offered: ${offered.join(' | ') || 'none'})` };
+      }
+    } else {
+      console.log(`[tab ${tabIndex+1}] Model dropdown not found with any selector`);
+      
+      // Debug: Check what buttons are available
+      try {
+        const allButtons = await page.locator('button').all();
+        console.log(`[tab ${tabIndex+1}] Found ${allButtons.length} buttons on page`);
+        for (let i = 0; i < Math.min(allButtons.length, 5); i++) {
+          try {
+            const title = await allButtons[i].getAttribute('title');
+            const text = await allButtons[i].textContent();
+            console.log(`[tab ${tabIndex+1}] Button ${i}: title="${title}", text="${text?.trim()}"`);
+          } catch (e) {
+            console.log(`[tab ${tabIndex+1}] Could not inspect button ${i}`);
+          }
+        }
+      } catch (e) {
+        console.log(`[tab ${tabIndex+1}] Could not inspect buttons: ${e.message}`);
+      }
+      return { success: false, reason: 'model_dropdown_not_found' };
+    }
+  } catch (error) {
+    console.log(`[tab ${tabIndex+1}] Error selecting model: ${error.message}`);
+    return { success: false, reason: 'model_selection_error', detail: error.message };
+  }
+};
+
+// Function to read the space the page currently shows in the space switcher
+// Returns { name, apiKey } (apiKey may be null), or null without a visible switcher
+const readCurrentSpace = async (page, options = {}) => {
+  const { selectors } = pageOptions(options);
+  const selector = await findFirstVisible(page, selectors.space.switcher);
+  if (!selector) return null;
+  const switcher = page.locator(selector).first();
+  const name = (await switcher.innerText()).trim() || null;
+  const apiKey = await switcher.getAttribute(selectors.space.apiKeyAttribute);
+  return { name, apiKey };
+};
+
+// Function to select a space: by API key URL parameter when the key is known, else through the space switcher
+// Returns { success, reason, detail, current, switched }; detail lists the spaces the switcher offers when the space is missing
+const selectSpace = async (page, tabIndex, space, options = {}) => {
+  const { selectors } = pageOptions(options);
+  const label = spaceLabel(space);
+  try {
+    let current = await readCurrentSpace(page, { selectors });
+    if (spaceMatches(space, current)) return { success: true, current, switched: false };
+
+    if (space.apiKey && selectors.space.apiKeyParam) {
+      console.log(`[tab ${tabIndex+1}] Switching to space ${label} via URL parameter`);
+      const url = new URL(page.url());
+      url.searchParams.set(selectors.space.apiKeyParam, space.apiKey);
+      await page.goto(url.toString(), { waitUntil: 'domcontentloaded', timeout: 120_000 });
+      await page.waitForTimeout(2000);
+      current = await readCurrentSpace(page, { selectors });
+      if (spaceMatches(space, current)) return { success: true, current, switched: true };
+    }
+
+    const switcherSelector = await findFirstVisible(page, selectors.space.switcher);
+    if (!switcherSelector) {
+      console.log(`[tab ${tabIndex+1}] Space switcher not found with any selector`);
+      return { success: false, reason: 'space_switcher_not_found' };
+    }
+    console.log(`[tab ${tabIndex+1}] Switching to space ${label} via the space switcher`);
+    await page.locator(switcherSelector).first().click();
+    await page.waitForTimeout(1000);
+
+    const offered = [];
+    for (const option of await page.locator(selectors.space.option).all()) {
+      const shown = {
+        name: (await option.innerText()).trim() || null,
+        apiKey: await option.getAttribute(selectors.space.apiKeyAttribute)
+      };
+      offered.push(shown.name || shown.apiKey);
+      if (!spaceMatches(space, shown)) continue;
+
+      await option.click();
+      await page.waitForLoadState('domcontentloaded', { timeout: 120_000 });
+      await page.waitForTimeout(2000);
+      current = await readCurrentSpace(page, { selectors });
+      if (spaceMatches(space, current)) return { success: true, current: { ...shown, ...current }, switched: true };
+      return { success: false, reason: 'space_not_selected', detail: `picked "${label}" but the page shows "${current?.name || 'no space'}"` };
+    }
+
+    await page.keyboard.press('Escape');
+    console.log(`[tab ${tabIndex+1}] Available spaces: ${offered.length ? offered.map(text => `"${text}"`).join(', ') : '(none found)'}`);
+    return { success: false, reason: 'space_not_accessible', detail: `"${label}" not in the space switcher (offered: ${offered.join(' | ') || 'none'})` };
+  } catch (error) {
+    return { success: false, reason: 'space_selection_error', detail: error.message };
+  }
+};
+
+// Function to follow a submitted prompt until its generation completes, fails or times out
+// onProjectCreated(record) is called as soon as the new project's URL is known; an aborted
+// signal stops watching and leaves the record unfinished in its current state. outputsBefore is set
+// for a follow-up prompt in an existing project: the number of AI messages the chat had before it
+// was sent, so only a new one counts as its output (and no project is created).
+// Takes the selectors and generationTimeoutMs page options besides those.
+const watchGeneration = async (page, tabIndex, record, { onProjectCreated = () => {}, signal, outputsBefore = null, ...options } = {}) => {
+  const { selectors, generationTimeoutMs } = pageOptions(options);
+  const followUp = outputsBefore !== null;
+  const deadline = record.timestamps.submitted + generationTimeoutMs;
+  let idlePolls = 0;
+
+  try {
+    while (Date.now() < deadline) {
+      if (signal?.aborted) {
+        console.log(`[tab ${tabIndex+1}] Stopped watching the generation in state ${record.state}`);
+        return record;
+      }
+
+      // Submitting from the projects page navigates to the new project
+      if (!followUp && record.state === TAB_STATES.SUBMITTED && selectors.generation.projectUrlRegExp.test(page.url())) {
+        transition(record, TAB_STATES.PROJECT_CREATED, { projectUrl: page.url() });
+        console.log(`[tab ${tabIndex+1}] Project created after ${formatMs(record.timings.projectCreatedMs)}: ${record.projectUrl}`);
+        onProjectCreated(record);
+      }
+
+      // A session that expires mid-run shows up as a rejected session API call or the login page
+      const signedOut = await signedOutDetail(page, selectors);
+      if (signedOut) {
+        transition(record, TAB_STATES.FAILED, failureFields('session_expired', signedOut));
+        console.log(`[tab ${tabIndex+1}] Session expired during the generation (${signedOut}) after ${formatMs(record.timings.totalMs)}`);
+        return record;
+      }
+
+      const errorSelector = await findFirstVisible(page, selectors.generation.error);
+      if (errorSelector) {
+        transition(record, TAB_STATES.FAILED, failureFields('generation_error', `matched ${errorSelector}`));
+        console.log(`[tab ${tabIndex+1}] Generation failed (matched ${errorSelector}) after ${formatMs(record.timings.totalMs)}`);
+        return record;
+      }
+
+      const outputSelector = followUp
+        ? (await countMatches(page, selectors.generation.output) > outputsBefore ? 'a new AI message' : null)
+        : await findFirstVisible(page, selectors.generation.output);
+      if (outputSelector && record.state !== TAB_STATES.STREAMING) {
+        if (!record.projectUrl && selectors.generation.projectUrlRegExp.test(page.url())) {
+          record.projectUrl = page.url();
+          onProjectCreated(record);
+        }
+        transition(record, TAB_STATES.STREAMING);
+        console.log(`[tab ${tabIndex+1}] First AI output after ${formatMs(record.timings.firstOutputMs)}`);
+      }
+
+      if (record.state === TAB_STATES.STREAMING) {
+        const busySelector = await findFirstVisible(page, selectors.generation.busy);
+        idlePolls = busySelector ? 0 : idlePolls + 1;
+        if (idlePolls >= GENERATION_SETTLE_POLLS) {
+          transition(record, TAB_STATES.COMPLETE);
+          console.log(`[tab ${tabIndex+1}] Generation complete after ${formatMs(record.timings.totalMs)}`);
+          return record;
+        }
+      }
+
+      await page.waitForTimeout(GENERATION_POLL_MS);
+    }
+
+    const lastState = record.state;
+    transition(record, TAB_STATES.TIMED_OUT, failureFields('generation_timeout', `no completion within ${generationTimeoutMs / 1000}s (last state: ${lastState})`));
+    console.log(`[tab ${tabIndex+1}] Generation timed out after ${generationTimeoutMs / 1000}s (last state: ${lastState})`);
+  } catch (error) {
+    // Page closed or crashed while we were watching
+    if (!isTerminal(record.state)) {
+      transition(record, TAB_STATES.FAILED, failureFields(page.isClosed() ? 'tab_closed' : 'watch_error', error.message));
+    }
+    console.log(`[tab ${tabIndex+1}] Error watching generation: ${error.message}`);
+  }
+  return record;
+};
+
+module.exports = {
+  findFirstVisible,
+  countMatches,
+  watchSession,
+  signedOutDetail,
+  checkAuthentication,
+  handleAuthentication,
+  selectModel,
+  readCurrentSpace,
+  selectSpace,
+  watchGeneration
+};
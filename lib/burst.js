@@ -0,0 +1,1323 @@
+// A burst run as a library: runBurst(options) resolves and validates the options, runs the tabs
+// (or, with `workers`, coordinates worker processes) and resolves with the results. The CLI
+// (burst-builder.js) is a thin wrapper over it.
+//
+// Lifecycle events go to options.events (an EventEmitter, a new one by default); tabs are
+// numbered from 1, like in the logs:
+//   runStarted          { runId, tabs, startedAt, workers }         the config is valid; workers lists worker names or is null
+//   tabOpened           { tab, account, model, space, page }       a load tab opened, before it loads
+//   tabLoaded           { tab, navigationMs }                      the tab (re)loaded the projects page; null ms: it failed
+//   authChecked         { tab, account, authenticated, reason }    tab is null for an account's dashboard
+//   attemptStarted      { tab, record }                            a prompt attempt (record) starts on the tab
+//   modelSelected       { tab, model, record }
+//   promptSubmitted     { tab, record }
+//   generationComplete  { tab, record }
+//   tabFailed           { tab, record }                            failed or timed out, after artifacts were saved
+//   checksFailed        { tab, record }                            the generation completed but failed --assertions checks
+//   resourceSample      { at, cpu, memory, overloaded }            every 2s: the client's recent CPU and memory share
+//   stopping            { reason, inFlight }                       the run stops; inFlight generations get the grace period
+//   workerProgress      { worker, attempts, submitted, inFlight, complete, failed, timedOut }   coordinated runs only
+//   reporting           {}                                         the tabs are done; the results are printed next
+//   runComplete         result                                     the same object runBurst resolves with
+// A coordinated run only emits runStarted, workerProgress, stopping, reporting and runComplete; its
+// tabs run in the worker processes.
+//
+// With statusPort, runBurst serves the live status of lib/status.js as JSON while the run lasts;
+// with metricsPort and otlpEndpoint, the metrics of lib/metrics.js.
+
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { TAB_STATES, createTabRecord, transition, isTerminal } = require('./tab-state');
+const { summarizeTabs, summarizeBy, formatMs } = require('./stats');
+const { buildReport, writeReport } = require('./report');
+const { saveBaseline } = require('./baselines');
+const { renderPrompt } = require('./prompts');
+const { formatModelMix } = require('./models');
+const { rampOffsetMs, createArrivalGate, describeProfile } = require('./load-profile');
+const { describeSelectorProfile } = require('./selectors');
+const { describeAccount, loginCommand } = require('./accounts');
+const { createNetworkRecorder, summarizeRecordNetwork, summarizeNetwork, formatBytes, writeHarFiles } = require('./network');
+const { tabArtifactName, createArtifactWriter } = require('./artifacts');
+const { createRunRegistry } = require('./registry');
+const { sleep } = require('./duration');
+const { failureFields, failureClassOf, backoffMs, describeRetryPolicy, createFailureRateGuard, summarizeFailures } = require('./failures');
+const { spaceLabel, describeSpace } = require('./spaces');
+const { isWorkerProcess, sendToCoordinator, progressMessage, compactEntries, splitTabs, forkWorker, fetchWorkerStatus, runRemoteWorker } = require('./workers');
+const { resolveConfig } = require('./config');
+const { createRunStatus, startStatusServer } = require('./status');
+const { createRunMetrics, startMetricsServer, startOtlpExporter } = require('./metrics');
+const { createResourceMonitor, formatShare } = require('./resources');
+const { describeChaos, createChaos, summarizeFaults } = require('./chaos');
+const { describeScenarios, summarizeScenarios } = require('./scenarios');
+const { describeAssertions, watchEvidence, checkOutput, summarizeChecks, formatFailedChecks } = require('./assertions');
+const { openSessions } = require('./browser');
+const { findFirstVisible, countMatches, watchSession, signedOutDetail, checkAuthentication, handleAuthentication, selectModel, selectSpace, watchGeneration } = require('./builder-page');
+
+// Worker processes are forked runs of the CLI
+const CLI_SCRIPT = path.join(__dirname, '..', 'burst-builder.js');
+// How often worker runs report progress, and how often the coordinator prints it
+const WORKER_PROGRESS_MS = 2000;
+const COORDINATOR_PROGRESS_MS = 5000;
+// How long a scenario follow-up waits for the previous generation's busy indicator to clear
+const FOLLOW_UP_SETTLE_MS = 60_000;
+
+// Call fn once signal aborts (right away if it already has); without a signal, never
+const onAbort = (signal, fn) => {
+  if (!signal) return;
+  if (signal.aborted) fn();
+  else signal.addEventListener('abort', fn, { once: true });
+};
+
+// The stop signal's reason names the signal ('SIGINT'); other reasons count as a plain stop
+const stopReason = (signal) => (typeof signal.reason === 'string' ? signal.reason : 'stop');
+const describeStop = (reason) => (reason === 'stop' ? 'Stop requested' : `Received ${reason}`);
+
+// Codes of the errors runBurst rejects with when a run cannot start (anything else is a bug or a crash)
+const RUN_ERROR_CODES = ['invalid_options', 'not_authenticated', 'space_not_accessible', 'worker_unavailable', 'interrupted'];
+
+// "Received SIGINT again: " when the cancel signal's reason names the signal
+const againReason = (signal) => (typeof signal.reason === 'string' ? `Received ${signal.reason} again: ` : '');
+
+// An Error with a code, so callers can tell why a run did not start
+const runError = (code, message, fields = {}) => Object.assign(new Error(message), { code, ...fields });
+
+// Function to print the configuration a run starts with
+const printConfig = (config) => {
+  console.log(`Run ID: ${config.runId}`);
+  console.log(`Target: ${config.baseUrl}`);
+  console.log(`Tabs: ${config.tabs}`);
+  if (config.coordinator) console.log(`Workers: ${config.workers.map(worker => `${worker.name} (${worker.url || 'local'})`).join(', ')}`);
+  console.log(`Headless: ${config.headless}`);
+  if (config.matrix) {
+    console.log(`Models (matrix): ${config.modelMix.map(({ model }) => model).join(', ')} - ${config.requestedTabs} tabs each`);
+  } else if (config.modelMix.length > 1) {
+    const counts = {};
+    for (const model of config.tabModels) counts[model] = (counts[model] || 0) + 1;
+    console.log(`Models (mix ${formatModelMix(config.modelMix)}): ${Object.entries(counts).map(([model, count]) => `${model} x${count}`).join(', ')}`);
+  } else {
+    console.log(`Model: ${config.modelMix[0].model}`);
+  }
+  if (config.accounts.length > 1) {
+    console.log(`Accounts: ${config.accounts.map(account => `${describeAccount(account)} x${config.tabAccounts.filter(a => a === account).length}`).join(', ')}`);
+  }
+  console.log(`Generation timeout: ${config.generationTimeoutMs / 1000}s (grace period on stop: ${config.gracePeriodMs / 1000}s)`);
+  if (config.scenarios) {
+    console.log(`Scenarios: ${config.scenarioFile} (${config.promptStrategy}): ${describeScenarios(config.scenarios)}, seed ${config.seed}`);
+  } else {
+    console.log(`Prompts: ${config.promptsFile ? `${config.promptsFile} (${config.promptStrategy})` : 'PROMPT_TEXT'}, seed ${config.seed}`);
+  }
+  if (config.assertions) console.log(`Output checks: ${config.assertionsFile}: ${describeAssertions(config.assertions)}`);
+  if (config.spaces.length > 1) {
+    console.log(`Spaces: ${config.spaces.map(space => `${describeSpace(space)} x${config.tabSpaces.filter(s => s === space).length}`).join(', ')}`);
+  } else {
+    console.log(`Space: ${config.spaces.length ? describeSpace(config.spaces[0]) : 'current space of the session (use --space to pick one)'}`);
+  }
+  console.log(`Load Testing: Creating new projects via main prompt interface on ${config.tabs} tabs`);
+  console.log(`Load profile: ${describeProfile(config.loadProfile)}`);
+  console.log(`Retries: ${describeRetryPolicy(config.retryPolicy)}`);
+  if (config.maxFailureRate !== null) {
+    console.log(`Max failure rate: ${Math.round(config.maxFailureRate * 100)}% (checked after ${config.failureRateMinSample} finished prompts)`);
+  }
+  console.log(`Selectors: ${describeSelectorProfile(config.selectors)}`);
+  console.log(`Client limits: CPU ${formatShare(config.maxCpu)}, memory ${formatShare(config.maxMemory)} (above them new tabs and prompts wait)`);
+  if (config.chaos) console.log(`Chaos: ${describeChaos(config.chaos)}`);
+};
+
+// Function to summarize a run: outcomes, latency, breakdowns, scenario steps, output checks, network traffic,
+// failures, injected faults and the client's resources. delayedArrivals is null without an arrival rate, resources in a coordinated run.
+const summarizeRun = (config, records, networkEntries, { delayedArrivals = null, resources = null } = {}) => {
+  const summary = summarizeTabs(records);
+  summary.network = summarizeNetwork(networkEntries);
+  summary.byModel = summarizeBy(records, 'model');
+  if (config.accounts.length > 1) summary.byAccount = summarizeBy(records, 'account');
+  if (config.spaces.length > 1) summary.bySpace = summarizeBy(records, 'space');
+  if (config.coordinator) summary.byWorker = summarizeBy(records, 'worker');
+  if (config.scenarios) summary.scenarios = summarizeScenarios(records, config.scenarios);
+  if (config.assertions) summary.checks = summarizeChecks(records, config.assertions);
+  if (delayedArrivals !== null) summary.delayedArrivals = delayedArrivals;
+  summary.failures = summarizeFailures(records);
+  summary.clientOverloaded = records.filter(record => record.clientOverloaded).length;
+  if (config.chaos) summary.chaos = summarizeFaults(records);
+  if (resources) summary.resources = resources;
+  return summary;
+};
+
+// Function to print the final results of a run
+const printResults = (config, summary, records, { abortReason = null } = {}) => {
+  const attempts = summary.attempts;
+  const pct = (count) => `${attempts ? Math.round(count / attempts * 100) : 0}%`;
+  console.log(`\n=== FINAL RESULTS ===`);
+  console.log(`Prompt attempts:    ${attempts} across ${config.tabs} tabs`);
+  console.log(`Prompts submitted:  ${summary.submitted}/${attempts} (${pct(summary.submitted)})`);
+  console.log(`Completed:          ${summary.outcomes[TAB_STATES.COMPLETE]}/${attempts} (${pct(summary.outcomes[TAB_STATES.COMPLETE])})`);
+  console.log(`Failed:             ${summary.outcomes[TAB_STATES.FAILED]}/${attempts}`);
+  console.log(`Timed out:          ${summary.outcomes[TAB_STATES.TIMED_OUT]}/${attempts}`);
+  if (config.assertions) console.log(`Checks failed:      ${summary.outcomes[TAB_STATES.CHECKS_FAILED]}/${attempts} (completed, but the output failed --assertions)`);
+  const unfinished = records.filter(record => !isTerminal(record.state)).length;
+  if (unfinished) console.log(`Unfinished:         ${unfinished}/${attempts} (the run stopped before their generation finished)`);
+  if (summary.delayedArrivals !== undefined) console.log(`Delayed arrivals:   ${summary.delayedArrivals} (every tab was busy when the arrival was due)`);
+
+  for (const [code, { failureClass, count }] of Object.entries(summary.failures.byCode)) {
+    console.log(`  - ${code}${failureClass ? ` [${failureClass}]` : ''}: ${count}`);
+  }
+  if (summary.failures.byCode.session_expired) {
+    const accounts = config.accounts.filter(account => records.some(record => record.failureReason === 'session_expired' && record.account === account.name));
+    console.log(`    Sessions expired during the run; save fresh ones with: ${accounts.map(loginCommand).join(', ') || 'node burst-builder.js login'}`);
+  }
+  const { retries } = summary.failures;
+  if (retries.total) {
+    console.log(`Retries:            ${retries.total} (${Object.entries(retries.byClass).map(([failureClass, count]) => `${failureClass} ${count}`).join(', ')})`);
+  }
+  if (abortReason) console.log(`Aborted:            ${abortReason}`);
+
+  console.log(`\nLatency since submission (p50 / p90 / p95 / p99 / max):`);
+  const latencyLabels = {
+    projectCreatedMs: 'Project created',
+    firstOutputMs: 'First AI output',
+    totalMs: 'Generation complete'
+  };
+  for (const [key, label] of Object.entries(latencyLabels)) {
+    const l = summary.latency[key];
+    const row = l.count
+      ? `${formatMs(l.p50)} / ${formatMs(l.p90)} / ${formatMs(l.p95)} / ${formatMs(l.p99)} / ${formatMs(l.max)} (n=${l.count})`
+      : 'no samples';
+    console.log(`  ${label.padEnd(20)} ${row}`);
+  }
+
+  const printBreakdown = (title, groups) => {
+    console.log(`\nBy ${title} (attempts / completed / completion rate / p50 / p95 generation):`);
+    for (const [name, s] of Object.entries(groups)) {
+      const l = s.latency.totalMs;
+      console.log(`  ${name.padEnd(20)} ${s.attempts} / ${s.outcomes[TAB_STATES.COMPLETE]} / ${Math.round(s.completionRate * 100)}% / ${formatMs(l.p50)} / ${formatMs(l.p95)}`);
+    }
+  };
+  if (config.modelMix.length > 1) printBreakdown('model', summary.byModel);
+  if (summary.byAccount) printBreakdown('account', summary.byAccount);
+  if (summary.bySpace) printBreakdown('space', summary.bySpace);
+  if (summary.byWorker) printBreakdown('worker', summary.byWorker);
+  if (summary.scenarios) {
+    console.log(`\nScenarios: ${summary.scenarios.completed}/${summary.scenarios.runs} runs completed every step`);
+    printBreakdown('step', summary.scenarios.byStep);
+  }
+  if (summary.checks) {
+    const { checked, failed, byCheck } = summary.checks;
+    console.log(`\nOutput checks: ${checked - failed}/${checked} completed generations passed`);
+    for (const [name, count] of Object.entries(byCheck)) console.log(`  ${name.padEnd(30)} ${count} failed`);
+  }
+  if (summary.chaos) {
+    const { faultedAttempts, injected, byFault } = summary.chaos;
+    const types = Object.entries(injected).map(([type, count]) => `${type} ${count}`).join(', ');
+    console.log(`\nChaos: ${faultedAttempts}/${attempts} attempts saw injected faults${types ? ` (${types})` : ''}`);
+    printBreakdown('fault', byFault);
+    // A project whose tab closed mid-generation is left for Builder to finish or orphan
+    const leftBehind = records.filter(record => record.projectUrl && record.faults.some(fault => fault.type === 'close')).length;
+    if (leftBehind) console.log(`${leftBehind} tab(s) closed mid-generation left a project behind (projectUrl in the report and run registry)`);
+  }
+
+  const { totals, byEndpoint } = summary.network;
+  console.log(`\nNetwork: ${totals.requests} requests, ${totals.failed} failed, ${totals.http429} x 429, ${totals.http5xx} x 5xx, ${formatBytes(totals.bytes)} received`);
+  if (totals.requests) {
+    console.log(`By endpoint (requests / failed / 429 / 5xx / p50 / p95 response / bytes):`);
+    for (const [endpoint, n] of Object.entries(byEndpoint)) {
+      console.log(`  ${endpoint.padEnd(20)} ${n.requests} / ${n.failed} / ${n.http429} / ${n.http5xx} / ${formatMs(n.latency.p50)} / ${formatMs(n.latency.p95)} / ${formatBytes(n.bytes)}`);
+    }
+  }
+
+  // No samples in a run shorter than the sampling interval
+  if (summary.resources?.samples) {
+    const { cpu, memory, pages, overloadedMs } = summary.resources;
+    const heap = pages.jsHeapUsedMaxBytes === null ? '' : `; peak tab JS heap ${formatBytes(pages.jsHeapUsedMaxBytes)}, ${pages.domNodesMax} DOM nodes`;
+    console.log(`\nClient: CPU avg ${formatShare(cpu.avg)} / p95 ${formatShare(cpu.p95)} / max ${formatShare(cpu.max)}, memory max ${formatShare(memory.max)}${heap}`);
+    if (overloadedMs) console.log(`Client overloaded for ${formatMs(overloadedMs)} (new tabs and prompts waited)`);
+  }
+  if (summary.clientOverloaded) {
+    console.log(`⚠️  ${summary.clientOverloaded}/${attempts} attempts ran while the client was overloaded; their latencies may be inflated (flagged clientOverloaded in the report)`);
+  }
+};
+
+// Report metadata describing the run's configuration and how it ended
+const runMeta = (config, { startedAt, abortReason, stopSignal }) => ({
+  runId: config.runId,
+  tabs: config.tabs,
+  loadProfile: describeProfile(config.loadProfile),
+  models: formatModelMix(config.modelMix),
+  matrix: config.matrix,
+  spaces: config.spaces.map(space => ({ ...space, tabs: config.tabSpaces.filter(s => s === space).length })),
+  accounts: config.accounts.map(account => ({ ...account, tabs: config.tabAccounts.filter(a => a === account).length })),
+  selectorProfile: `${config.selectors.name}@${config.selectors.version}`,
+  prompt: config.promptsFile || config.scenarioFile ? null : config.promptText,
+  promptsFile: config.promptsFile || null,
+  scenarioFile: config.scenarioFile || null,
+  scenarios: config.scenarios && config.scenarios.map(({ name, weight, steps }) => ({ name, weight, steps: steps.length })),
+  assertionsFile: config.assertionsFile || null,
+  assertions: config.assertions && describeAssertions(config.assertions),
+  promptStrategy: config.promptStrategy,
+  seed: config.seed,
+  headless: config.headless,
+  generationTimeoutSeconds: config.generationTimeoutMs / 1000,
+  retryPolicy: config.retryPolicy,
+  maxFailureRate: config.maxFailureRate,
+  maxCpu: config.maxCpu,
+  maxMemory: config.maxMemory,
+  chaos: config.chaos,
+  aborted: abortReason,
+  interrupted: stopSignal,
+  startedAt: startedAt.toISOString(),
+  endedAt: new Date().toISOString()
+});
+
+// Function to write the --report file and the --saveBaseline baseline, if they were asked for
+const writeRunReport = (config, meta, records, summary) => {
+  if (!config.reportPath && !config.baselineName) return;
+  const report = buildReport({ meta, records, summary });
+  if (config.reportPath) {
+    const format = writeReport(config.reportPath, report, config.reportFormat);
+    console.log(`\nWrote ${format} report to ${config.reportPath}`);
+  }
+  if (config.baselineName) {
+    const file = saveBaseline(config.registryDir, config.baselineName, report);
+    console.log(`Saved baseline "${config.baselineName}" to ${file} (compare a later run with: node burst-builder.js compare ${config.baselineName} <report.json>)`);
+  }
+};
+
+// Run options every worker gets as given; tabs, models, load profile, seed and run ID are set per worker
+const WORKER_PASSED_OPTIONS = ['baseUrl', 'headless', 'promptSelector', 'promptText', 'selectors', 'userDataDir', 'storageState', 'accounts', 'space', 'generationTimeout', 'prompts', 'scenario', 'assertions', 'promptStrategy', 'retries', 'retryBackoff', 'maxFailureRate', 'gracePeriod', 'artifacts', 'trace', 'har', 'otlpEndpoint', 'otlpInterval', 'maxCpu', 'maxMemory', 'chaos'];
+
+const describeProgress = (p) => `${p.submitted} submitted, ${p.inFlight} in flight, ${p.complete} complete, ${p.failed} failed, ${p.timedOut} timed out`;
+
+// `run --workers`: split the tabs across worker processes (forked locally, or `worker` servers on
+// other hosts), follow their progress and merge their results into one summary and report.
+// Resolves with the run result, including every worker's outcome.
+const runCoordinator = async (config, { events, signal, cancelSignal }) => {
+  const startedAt = new Date();
+
+  // Local workers take up to --maxTabs tabs each; remote workers tell us theirs
+  const capacities = [];
+  for (const worker of config.workers) {
+    if (!worker.url) {
+      capacities.push(config.maxTabsPerProcess);
+      continue;
+    }
+    try {
+      const status = await fetchWorkerStatus(worker.url, config.workerToken);
+      if (status.busy) throw new Error(`busy with run ${status.job}`);
+      worker.host = status.hostname;
+      capacities.push(status.maxTabs);
+    } catch (error) {
+      throw runError('worker_unavailable', `Worker ${worker.name} (${worker.url}) is not available: ${error.message}`);
+    }
+  }
+
+  // In matrix mode every worker runs its share of the tabs for every model
+  let counts;
+  try {
+    counts = splitTabs(config.requestedTabs, config.matrix ? capacities.map(capacity => Math.floor(capacity / config.modelMix.length)) : capacities);
+  } catch (error) {
+    throw runError('invalid_options', error.message);
+  }
+
+  // Each worker takes the next block of tabs with the models those tabs were assigned;
+  // durations go out in milliseconds and a worker's share of the arrival rate matches its share of the tabs
+  const jobs = [];
+  let offset = 0;
+  config.workers.forEach((worker, i) => {
+    if (!counts[i]) return;
+    const tabs = config.matrix ? counts[i] * config.modelMix.length : counts[i];
+    const modelCounts = {};
+    for (const model of config.tabModels.slice(offset, offset + tabs)) modelCounts[model] = (modelCounts[model] || 0) + 1;
+    const models = config.matrix
+      ? { matrix: true, models: config.options.models }
+      : Object.keys(modelCounts).length > 1
+        ? { models: Object.entries(modelCounts).map(([model, count]) => `${model}:${count}`).join(',') }
+        : { model: Object.keys(modelCounts)[0] };
+    jobs.push({
+      worker,
+      offset,
+      tabs,
+      job: {
+        name: worker.name,
+        promptText: config.promptText,
+        options: {
+          ...Object.fromEntries(WORKER_PASSED_OPTIONS.map(key => [key, config.options[key]])),
+          tabs: counts[i],
+          ...models,
+          runId: `${config.runId}-${worker.name}`,
+          seed: `${config.seed}-${worker.name}`,
+          rampUp: `${config.loadProfile.rampUpMs}ms`,
+          rampShape: config.loadProfile.rampShape,
+          rampSteps: config.loadProfile.rampSteps,
+          arrivalRate: config.loadProfile.arrivalRate * tabs / config.tabs,
+          duration: `${config.loadProfile.durationMs}ms`,
+          openBatchSize: config.loadProfile.openBatchSize,
+          openBatchDelay: `${config.loadProfile.openBatchDelayMs}ms`,
+          promptBatchSize: config.loadProfile.promptBatchSize,
+          promptBatchDelay: `${config.loadProfile.promptBatchDelayMs}ms`
+        }
+      }
+    });
+    offset += tabs;
+  });
+
+  console.log(`\n=== Starting ${jobs.length} worker(s) ===`);
+  const tabRange = (first, tabs) => (tabs > 1 ? `${first + 1}-${first + tabs}` : `${first + 1}`);
+  for (const { worker, offset: first, tabs, job } of jobs) {
+    console.log(`[${worker.name}] ${worker.url ? `${worker.url} (${worker.host})` : 'local'}: tab(s) ${tabRange(first, tabs)} as run ${job.options.runId}`);
+  }
+  const progress = new Map(); // worker name -> latest progress message
+  const runs = jobs.map(({ worker, job }) => {
+    const handlers = {
+      onLog: (line) => console.log(`[${worker.name}] ${line}`),
+      onEvent: (event) => {
+        if (event?.type !== 'progress') return;
+        progress.set(worker.name, event);
+        const { type, ...counts } = event;
+        events.emit('workerProgress', { worker: worker.name, ...counts });
+      }
+    };
+    return worker.url ? runRemoteWorker(worker.url, job, config.workerToken, handlers) : forkWorker(CLI_SCRIPT, job, handlers);
+  });
+  const progressTimer = setInterval(() => {
+    if (!progress.size) return;
+    const total = {};
+    for (const message of progress.values()) {
+      for (const key of ['submitted', 'inFlight', 'complete', 'failed', 'timedOut']) total[key] = (total[key] || 0) + message[key];
+    }
+    const byWorker = jobs.filter(({ worker }) => progress.has(worker.name)).map(({ worker }) => `${worker.name} ${progress.get(worker.name).complete}/${progress.get(worker.name).submitted}`);
+    console.log(`Progress: ${describeProgress(total)} (${byWorker.join(', ')} complete)`);
+  }, COORDINATOR_PROGRESS_MS);
+
+  // Workers run in their own process groups, so Ctrl+C reaches them only through here:
+  // a stop is forwarded to every worker, a cancel forwarded again makes them stop waiting
+  let stopSignal = null;
+  let workerSignal = 'SIGTERM';
+  onAbort(signal, () => {
+    stopSignal = stopReason(signal);
+    if (os.constants.signals[stopSignal]) workerSignal = stopSignal;
+    console.log(`\n${describeStop(stopSignal)}: stopping ${jobs.length} worker(s); they report what they have after their grace period`);
+    const inFlight = [...progress.values()].reduce((sum, message) => sum + message.inFlight, 0);
+    events.emit('stopping', { reason: describeStop(stopSignal), inFlight });
+    for (const run of runs) run.stop(workerSignal);
+  });
+  onAbort(cancelSignal, () => {
+    console.log(`\n${againReason(cancelSignal)}workers stop waiting for generations in flight`);
+    for (const run of runs) run.stop(workerSignal);
+  });
+
+  const outcomes = await Promise.all(runs.map(run => run.done));
+  clearInterval(progressTimer);
+  events.emit('reporting', {});
+
+  // Merge: tabs are numbered across workers and every record keeps the worker it ran on
+  const records = [];
+  const networkEntries = [];
+  let delayedArrivals = null;
+  const problems = [];
+  const workers = outcomes.map(({ result, exitCode }, i) => {
+    const { worker, offset: first, tabs, job } = jobs[i];
+    if (result) {
+      // A loop, not push(...list): a soaking worker can return more entries than a call takes arguments
+      for (const record of result.records) records.push({ ...record, tab: record.tab + first, worker: worker.name });
+      for (const entry of result.networkEntries) networkEntries.push({ ...entry, tab: entry.tab + first });
+      if (result.delayedArrivals !== null) delayedArrivals = (delayedArrivals || 0) + result.delayedArrivals;
+      if (result.aborted) problems.push(`${worker.name}: ${result.aborted}`);
+    } else {
+      problems.push(`${worker.name} exited with status ${exitCode} without results`);
+    }
+    return {
+      name: worker.name,
+      url: worker.url,
+      host: worker.host || os.hostname(),
+      runId: job.options.runId,
+      tabs: tabRange(first, tabs),
+      exitCode,
+      aborted: result?.aborted || null,
+      interrupted: result?.interrupted || null,
+      resources: result?.resources || null
+    };
+  });
+  const abortReason = problems.join('; ') || null;
+
+  const summary = summarizeRun(config, records, networkEntries, { delayedArrivals });
+  printResults(config, summary, records, { abortReason });
+  console.log(`\nWorkers (tabs / exit status / run ID):`);
+  for (const worker of workers) {
+    const overloaded = worker.resources?.overloadedMs ? `, client overloaded for ${formatMs(worker.resources.overloadedMs)}` : '';
+    console.log(`  ${worker.name.padEnd(20)} ${worker.tabs} / ${worker.exitCode} / ${worker.runId}${worker.url ? ` on ${worker.host}` : ''}${overloaded}`);
+  }
+  writeRunReport(config, { ...runMeta(config, { startedAt, abortReason, stopSignal }), workers }, records, summary);
+
+  // Each worker recorded its projects in the run registry of its own host
+  const localRuns = workers.filter(worker => !worker.url).map(worker => worker.runId);
+  if (localRuns.length) console.log(`Run registry: remove the projects of local workers with: node burst-builder.js cleanup --run ${localRuns.join(',')}`);
+  for (const worker of workers.filter(w => w.url)) {
+    console.log(`Run registry: remove the projects of ${worker.name} on ${worker.host} with: node burst-builder.js cleanup --run ${worker.runId}`);
+  }
+
+  return { runId: config.runId, records, summary, networkEntries, delayedArrivals, aborted: abortReason, interrupted: stopSignal, workers, registryFile: null, close: async () => {} };
+};
+
+// A run in this process: open the tabs, submit the prompts and follow the generations
+const runLocal = async (config, { events, signal, cancelSignal, keepOpen }) => {
+  const startedAt = new Date();
+
+  // starting: accounts are checked; running: tabs are open; reporting: results are written; finished
+  let phase = 'starting';
+  let sessions = null;
+  let stopSignal = null;
+  // A stop while the accounts are checked closes the browser and ends the run without results
+  const interrupted = () => runError('interrupted', `Run stopped (${stopSignal}) before the tabs opened`, { signal: stopSignal });
+  onAbort(signal, () => {
+    stopSignal = stopReason(signal);
+    if (phase === 'running') {
+      stopRun(describeStop(stopSignal), config.gracePeriodMs);
+    } else if (phase === 'reporting') {
+      console.log(`\n${describeStop(stopSignal)}: writing the results first...`);
+    } else if (phase === 'starting') {
+      console.log(`\n${describeStop(stopSignal)}: closing the browser...`);
+      sessions?.close();
+    }
+  });
+  onAbort(cancelSignal, () => {
+    if (phase !== 'running') return;
+    console.log(`\n${againReason(cancelSignal)}no longer waiting for generations in flight`);
+    cancel.abort();
+  });
+
+  sessions = await openSessions(config.accounts, config);
+  if (stopSignal) {
+    await sessions.close();
+    throw interrupted();
+  }
+  // Records the traffic of every load tab (the per-account dashboards are not part of the load)
+  const network = createNetworkRecorder({
+    baseUrl: config.baseUrl,
+    endpoints: config.selectors.network.endpointRegExps,
+    captureHeaders: Boolean(config.harDir)
+  });
+  // --chaos: faults injected into a share of the load tabs, recorded on their records
+  const chaos = config.chaos ? createChaos(config.chaos, { tabs: config.tabs, seed: config.seed, endpoints: config.selectors.network.endpointRegExps }) : null;
+  if (chaos) console.log(`Chaos tabs: ${chaos.tabs.join(', ')}`);
+  // Failed tabs leave a screenshot, HTML, URL and console log behind (with --artifacts)
+  const artifacts = config.artifactsDir ? createArtifactWriter({ dir: config.artifactsDir, runId: config.runId }) : null;
+  if (config.trace) {
+    for (const [name, context] of sessions.contexts) {
+      await context.tracing.start({ screenshots: true, snapshots: true, title: `${config.runId} ${name}` });
+    }
+  }
+  const captureFailure = async (p, name) => {
+    if (!artifacts) return null;
+    const files = await artifacts.capture(p, name);
+    console.log(`Saved failure artifacts: ${Object.values(files).join(', ') || 'none'}`);
+    return files;
+  };
+
+  // Every project the run creates is recorded right away, for `cleanup`
+  const registry = createRunRegistry(config.registryDir, {
+    runId: config.runId,
+    baseUrl: config.baseUrl,
+    startedAt,
+    accounts: config.accounts,
+    projectUrlRegExp: config.selectors.generation.projectUrlRegExp
+  });
+
+  // Stopping a run: `stop` ends new prompts and retries, `cancel` stops watching the generations
+  // in flight. The stop signal and the end of --duration stop the run and cancel after the grace
+  // period; --maxFailureRate (too many failed prompts, e.g. the target is down) cancels right away.
+  const stop = new AbortController();
+  const cancel = new AbortController();
+  const failureRate = createFailureRateGuard(config.maxFailureRate, config.failureRateMinSample);
+  let abortReason = null;
+  const inFlight = () => records.filter(record => record.timestamps.submitted && !isTerminal(record.state)).length;
+  const stopRun = (reason, graceMs) => {
+    if (stop.signal.aborted) return;
+    stop.abort();
+    const waiting = graceMs > 0 ? inFlight() : 0;
+    console.log(`\n⏹️  ${reason}: no new prompts${waiting ? `; waiting up to ${formatMs(graceMs)} for ${waiting} generation(s) in flight` : ''}`);
+    events.emit('stopping', { reason, inFlight: waiting });
+    if (waiting) {
+      setTimeout(() => cancel.abort(), graceMs).unref();
+    } else {
+      cancel.abort();
+    }
+  };
+
+  // 1) Open a dashboard per account to ensure its session is "warmed" and handle authentication
+  const checkAccount = async (account) => {
+    const dash = await sessions.contexts.get(account.name).newPage();
+    watchSession(dash, config);
+    artifacts?.watchConsole(dash);
+    const forAccount = config.accounts.length > 1 ? ` (account ${account.name})` : '';
+
+    // Navigate to main projects page to use the main prompt interface
+    console.log(`Navigating to main projects page${forAccount}...`);
+    try {
+      await dash.goto(config.projectsUrl, { waitUntil: 'load', timeout: 120_000 });
+      console.log('Successfully navigated to main projects page');
+    } catch (error) {
+      console.log('Main projects page navigation failed:', error.message);
+      throw error;
+    }
+
+    // 2) Handle authentication flow
+    console.log(`\n=== AUTHENTICATION CHECK${forAccount} ===`);
+    const authResult = await handleAuthentication(dash, 0, config);
+    events.emit('authChecked', { tab: null, account: account.name, authenticated: authResult.success, reason: authResult.reason || null });
+
+    if (!authResult.success) {
+      await captureFailure(dash, `auth-${account.name}`);
+      const detail = authResult.detail ? ` (${authResult.detail})` : '';
+      if (authResult.reason !== 'headless_login_required') {
+        throw runError('not_authenticated', `AUTHENTICATION FAILED${forAccount}: ${authResult.reason}${detail}`, { account: account.name });
+      }
+      const hint = [
+        account.storageState
+          ? `The session in ${account.storageState} is missing or no longer valid. Save a fresh one with:`
+          : 'Please run the following command first to complete login:',
+        `  ${loginCommand(account)}`,
+        'After successful login, you can use --headless for subsequent runs.'
+      ];
+      throw runError('not_authenticated', [`AUTHENTICATION FAILED${forAccount}: Cannot complete login in headless mode${detail}`, ...hint].join('\n'), { account: account.name });
+    }
+
+    // Fail fast when this account cannot reach one of the target spaces. Resolving each
+    // space here also learns the API key of spaces given by name, so tabs can use the URL parameter.
+    for (const space of config.spaces) {
+      console.log(`Checking access to space ${spaceLabel(space)}${forAccount}...`);
+      const spaceResult = await selectSpace(dash, 0, space, config);
+      if (!spaceResult.success) {
+        await captureFailure(dash, `space-${account.name}`);
+        throw runError('space_not_accessible', `SPACE NOT AVAILABLE${forAccount}: ${spaceResult.reason}${spaceResult.detail ? ` (${spaceResult.detail})` : ''}`, { account: account.name });
+      }
+      space.name = space.name || spaceResult.current.name;
+      space.apiKey = space.apiKey || spaceResult.current.apiKey || null;
+      console.log(`✅ Space ${describeSpace(space)} is available${forAccount}`);
+    }
+  };
+  // Any failure here closes the browser. A stop does not wait for the step in progress (which may be
+  // waiting minutes for a login); that step fails on the closed browser in the background.
+  const accountsChecked = (async () => {
+    for (const account of config.accounts) {
+      await checkAccount(account);
+    }
+  })();
+  accountsChecked.catch(() => {});
+  try {
+    await Promise.race([accountsChecked, new Promise(resolve => onAbort(signal, resolve))]);
+  } catch (error) {
+    await sessions.close();
+    throw stopSignal ? interrupted() : error;
+  }
+  if (stopSignal) {
+    await sessions.close();
+    throw interrupted();
+  }
+
+  console.log('✅ Authentication successful, proceeding with load test...\n');
+
+  // 3) Helpers to open tabs of the main projects page for creating new projects
+  // Cache busting ensures fresh sessions on every (re)load; a known space API key
+  // makes the tab open straight in its space
+  const projectsUrl = (idx) => {
+    const url = new URL(config.projectsUrl);
+    url.searchParams.set('loadtest', crypto.randomUUID());
+    url.searchParams.set('i', idx + 1);
+    const space = config.tabSpaces[idx];
+    if (space?.apiKey && config.selectors.space.apiKeyParam) url.searchParams.set(config.selectors.space.apiKeyParam, space.apiKey);
+    return url.toString();
+  };
+
+  // Each tab opens in the context of the account it was assigned
+  const openTab = async (idx) => {
+    const p = await sessions.contexts.get(config.tabAccounts[idx].name).newPage();
+    watchSession(p, config);
+    network.attach(p, idx);
+    resources.watchPage(p, idx + 1);
+    await chaos?.attach(p, idx + 1);
+    if (config.assertions) await watchEvidence(p, config.selectors);
+    artifacts?.watchConsole(p);
+    const space = config.tabSpaces[idx] ? spaceLabel(config.tabSpaces[idx]) : null;
+    events.emit('tabOpened', { tab: idx + 1, account: config.tabAccounts[idx].name, model: config.tabModels[idx], space, page: p });
+    return p;
+  };
+
+  // Load the projects page on a tab and check that it is signed in
+  // Returns null on success, else the failure { code, detail }
+  const loadTab = async (p, idx) => {
+    const navigationStart = Date.now();
+    try {
+      await p.goto(projectsUrl(idx), { waitUntil: 'domcontentloaded', timeout: 120_000 });
+      console.log(`[tab ${idx+1}/${config.tabs}] Successfully navigated to main projects page${config.accounts.length > 1 ? ` as ${config.tabAccounts[idx].name}` : ''}`);
+    } catch (error) {
+      console.error(`[tab ${idx+1}/${config.tabs}] Failed to navigate to main projects page: ${error.message}`);
+      events.emit('tabLoaded', { tab: idx + 1, navigationMs: null });
+      return { code: 'navigation_failed', detail: error.message };
+    }
+    events.emit('tabLoaded', { tab: idx + 1, navigationMs: Date.now() - navigationStart });
+
+    // Quick authentication check for this tab
+    const tabAuthStatus = await checkAuthentication(p, idx, config);
+    events.emit('authChecked', { tab: idx + 1, account: config.tabAccounts[idx].name, authenticated: tabAuthStatus.authenticated, reason: tabAuthStatus.reason });
+    if (!tabAuthStatus.authenticated) {
+      console.warn(`[tab ${idx+1}/${config.tabs}] Tab is not authenticated (${tabAuthStatus.reason})`);
+      const detail = tabAuthStatus.detail ? `${tabAuthStatus.reason}: ${tabAuthStatus.detail}` : tabAuthStatus.reason;
+      return { code: tabAuthStatus.reason === 'session_expired' ? 'session_expired' : 'not_authenticated', detail };
+    }
+    console.log(`[tab ${idx+1}/${config.tabs}] Tab authentication confirmed`);
+    return null;
+  };
+
+  // 4) Wait for a tab to be "ready"
+  const waitForReady = async (p, idx) => {
+    await p.waitForLoadState('domcontentloaded', { timeout: 120_000 });
+    // Custom "ready" poll in page context (ready.* selectors are plain CSS)
+    const anyMatches = (selectors) => selectors.some(selector => {
+      try { return Boolean(document.querySelector(selector)); } catch { return false; }
+    });
+    await p.waitForFunction(`(${anyMatches})(${JSON.stringify(config.selectors.ready.appShell)})`, null, { timeout: 120_000, polling: 500 });
+    
+    // Additional wait for Builder interface to be fully interactive
+    console.log(`[tab ${idx+1}] Waiting for Builder interface to be ready...`);
+    try {
+      // Wait for the prompt input, Builder navigation or at least any input field
+      await p.waitForFunction(`(${anyMatches})(${JSON.stringify(config.selectors.ready.interactive)})`, null, { timeout: 30000, polling: 1000 });
+      console.log(`[tab ${idx+1}] Builder interface appears ready`);
+    } catch (e) {
+      console.log(`[tab ${idx+1}] Timeout waiting for Builder interface: ${e.message}`);
+    }
+  };
+
+  // waitForReady as a failure result: null when the tab is ready, else { code, detail }
+  const readyTab = async (p, idx) => {
+    try {
+      await waitForReady(p, idx);
+      return null;
+    } catch (error) {
+      console.log(`[tab ${idx+1}] Page did not become ready: ${error.message}`);
+      return { code: 'page_not_ready', detail: error.message };
+    }
+  };
+
+  // (Re)load a tab for its next prompt: null when it is ready, else the failure
+  const reloadTab = async (p, idx) => (await loadTab(p, idx)) || readyTab(p, idx);
+
+  // (Re)load the tab's project for a scenario follow-up: null when it is ready, else the failure
+  const reloadProject = async (p, idx, projectUrl) => {
+    try {
+      await p.goto(projectUrl, { waitUntil: 'domcontentloaded', timeout: 120_000 });
+    } catch (error) {
+      console.error(`[tab ${idx+1}] Failed to navigate to the project: ${error.message}`);
+      return { code: 'navigation_failed', detail: error.message };
+    }
+    return readyTab(p, idx);
+  };
+
+  // Wait out the backoff before retry number `retry` of a failure code's class.
+  // False when the class is out of retries or the run is stopping.
+  const awaitRetry = async (idx, code, retry) => {
+    const failureClass = failureClassOf(code);
+    if (!failureClass || stop.signal.aborted || retry > config.retryPolicy[failureClass].retries) return false;
+    const waitMs = backoffMs(config.retryPolicy, failureClass, retry);
+    console.log(`[tab ${idx+1}] ${code} (${failureClass} failure): retry ${retry}/${config.retryPolicy[failureClass].retries} in ${formatMs(waitMs)}`);
+    await sleep(waitMs, stop.signal);
+    return !stop.signal.aborted;
+  };
+
+  // 5) Create new projects using the main prompt interface
+  // Marks the tab's record as submitted and returns null, or returns the failure { code, detail }
+  // when the prompt did not go out
+  const triggerOnPage = async (p, idx, record) => {
+    console.log(`[tab ${idx+1}] Starting new project creation...`);
+    
+    let failure = { code: 'prompt_input_not_found', detail: null };
+    try {
+      // Wait for the main prompt interface to fully load (the tab may close meanwhile)
+      await p.waitForTimeout(5000);
+
+      // Make sure the project is created in the tab's space (another tab of the same
+      // session may have switched it)
+      const space = config.tabSpaces[idx];
+      if (space) {
+        const spaceResult = await selectSpace(p, idx, space, config);
+        if (!spaceResult.success) {
+          console.log(`[tab ${idx+1}] Space selection failed: ${spaceResult.reason}`);
+          return { code: spaceResult.reason, detail: spaceResult.detail || null };
+        }
+        if (spaceResult.switched) await waitForReady(p, idx);
+      }
+
+      // Then select the AI model; a tab on the wrong model would skew the per-model results
+      const modelResult = await selectModel(p, idx, record.model, config);
+      if (!modelResult.success) {
+        console.log(`[tab ${idx+1}] Model selection failed: ${modelResult.reason}`);
+        return { code: modelResult.reason, detail: modelResult.detail || null };
+      }
+      events.emit('modelSelected', { tab: idx + 1, model: record.model, record });
+      
+      console.log(`[tab ${idx+1}] Looking for main prompt input field...`);
+      
+      // Target the ProseMirror contenteditable div from the main projects page (or a profile fallback)
+      const promptSelector = await findFirstVisible(p, config.selectors.prompt.input);
+      const promptInput = promptSelector && p.locator(promptSelector).first();
+      
+      if (promptInput) {
+        console.log(`[tab ${idx+1}] Found main prompt input field`);
+        
+        // Click to focus the contenteditable div
+        await promptInput.click();
+        await p.waitForTimeout(500);
+        
+        // Type the prompt text to create a new project
+        console.log(`[tab ${idx+1}] Typing prompt: "${record.prompt}"`);
+        await promptInput.type(record.prompt, { delay: 150 });
+        
+        // Wait for text to be fully typed
+        await p.waitForTimeout(1000);
+        
+        // Look for the send button
+        const sendSelector = await findFirstVisible(p, config.selectors.prompt.send);
+        const sendButton = sendSelector && p.locator(sendSelector).first();
+        
+        if (sendButton) {
+          // Check if button is enabled (not disabled)
+          const isDisabled = await sendButton.getAttribute('disabled');
+          if (!isDisabled) {
+            await sendButton.click();
+            transition(record, TAB_STATES.SUBMITTED);
+            console.log(`[tab ${idx+1}] Successfully clicked send button to create new project`);
+            return null;
+          } else {
+            console.log(`[tab ${idx+1}] Send button is disabled, trying Enter key instead`);
+            await promptInput.press('Enter');
+            transition(record, TAB_STATES.SUBMITTED);
+            console.log(`[tab ${idx+1}] Pressed Enter to submit prompt`);
+            return null;
+          }
+        } else {
+          console.log(`[tab ${idx+1}] Send button not found, trying Enter key`);
+          await promptInput.press('Enter');
+          transition(record, TAB_STATES.SUBMITTED);
+          console.log(`[tab ${idx+1}] Pressed Enter to submit prompt`);
+          return null;
+        }
+      } else {
+        console.log(`[tab ${idx+1}] Main prompt input field not found`);
+        
+        // Debug: Check what's actually on the page
+        try {
+          const allContentEditable = await p.locator('[contenteditable="true"]').all();
+          console.log(`[tab ${idx+1}] Found ${allContentEditable.length} contenteditable elements`);
+          
+          for (let i = 0; i < Math.min(allContentEditable.length, 3); i++) {
+            try {
+              const className = await allContentEditable[i].getAttribute('class');
+              const role = await allContentEditable[i].getAttribute('role');
+              const visible = await allContentEditable[i].isVisible();
+              console.log(`[tab ${idx+1}] ContentEditable ${i}: class="${className}", role="${role}", visible=${visible}`);
+            } catch (e) {
+              console.log(`[tab ${idx+1}] Could not inspect contenteditable ${i}: ${e.message}`);
+            }
+          }
+        } catch (e) {
+          console.log(`[tab ${idx+1}] Could not inspect contenteditable elements: ${e.message}`);
+        }
+      }
+    } catch (error) {
+      console.log(`[tab ${idx+1}] Error with main prompt interface: ${error.message}`);
+      // A tab closed by --chaos, a crash or Ctrl+C has no page left to retry on
+      failure = { code: p.isClosed() ? 'tab_closed' : 'submission_error', detail: error.message };
+    }
+
+    // If user provided a selector override, use that as fallback
+    if (config.promptSelectorOverride) {
+      try {
+        const ok = await p.$(config.promptSelectorOverride);
+        if (ok && await ok.isVisible()) {
+          await ok.click({ timeout: 15_000 });
+          transition(record, TAB_STATES.SUBMITTED);
+          console.log(`[tab ${idx+1}] Used override selector for prompt.`);
+          return null;
+        }
+      } catch (e) {
+        console.log(`[tab ${idx+1}] Override selector failed: ${e.message}`);
+      }
+    }
+
+    console.warn(`[tab ${idx+1}] Could not find the main prompt interface. Make sure you're on the correct page.`);
+    return failure;
+  };
+
+  // Run the --assertions checks on a completed generation; failed checks move it to checks_failed
+  const checkGeneration = async (p, idx, record) => {
+    try {
+      record.checks = await checkOutput(p, record, config.assertions, config.selectors);
+    } catch (error) {
+      console.log(`[tab ${idx+1}] Could not check the output: ${error.message}`);
+      return;
+    }
+    const failedChecks = record.checks.filter(check => !check.passed);
+    if (!failedChecks.length) {
+      console.log(`[tab ${idx+1}] Output checks passed (${record.checks.length})`);
+      return;
+    }
+    transition(record, TAB_STATES.CHECKS_FAILED, failureFields('checks_failed', formatFailedChecks(record.checks)));
+    console.log(`[tab ${idx+1}] Output checks failed: ${record.failureDetail}`);
+  };
+
+  // AI messages in a project chat before a follow-up was sent, by the follow-up's record
+  const followUpBaselines = new WeakMap();
+
+  // Send a scenario's follow-up prompt into the project chat, once the previous generation settled.
+  // Marks the record as submitted and returns null, or returns the failure { code, detail }
+  const sendFollowUp = async (p, idx, record) => {
+    try {
+      const settleBy = Date.now() + FOLLOW_UP_SETTLE_MS;
+      while (Date.now() < settleBy && await findFirstVisible(p, config.selectors.generation.busy)) await p.waitForTimeout(1000);
+
+      const inputSelector = await findFirstVisible(p, config.selectors.chat.input);
+      if (!inputSelector) {
+        console.log(`[tab ${idx+1}] Project chat input not found`);
+        return { code: 'chat_input_not_found', detail: null };
+      }
+      followUpBaselines.set(record, await countMatches(p, config.selectors.generation.output));
+      const input = p.locator(inputSelector).first();
+      await input.click();
+      console.log(`[tab ${idx+1}] Typing follow-up (step ${record.step}): "${record.prompt}"`);
+      await input.type(record.prompt, { delay: 150 });
+      await p.waitForTimeout(1000);
+
+      const sendSelector = await findFirstVisible(p, config.selectors.chat.send);
+      const sendButton = sendSelector && p.locator(sendSelector).first();
+      if (sendButton && !await sendButton.getAttribute('disabled')) {
+        await sendButton.click();
+      } else {
+        await input.press('Enter');
+      }
+      transition(record, TAB_STATES.SUBMITTED);
+      console.log(`[tab ${idx+1}] Sent follow-up prompt (step ${record.step})`);
+      return null;
+    } catch (error) {
+      console.log(`[tab ${idx+1}] Error sending the follow-up prompt: ${error.message}`);
+      return { code: 'submission_error', detail: error.message };
+    }
+  };
+
+  // Every submission gets its own record; a recycled tab produces one record per iteration
+  const records = [];
+  const arrivalGate = config.loadProfile.arrivalRate ? createArrivalGate(config.loadProfile.arrivalRate) : null;
+  let delayedArrivals = 0;
+  let runEndsAt = null;
+  let durationTimer = null;
+  // --duration: keep (re)submitting until then, then stop the run like Ctrl+C
+  const startDurationClock = () => {
+    if (!config.loadProfile.durationMs) return;
+    runEndsAt = Date.now() + config.loadProfile.durationMs;
+    durationTimer = setTimeout(() => stopRun(`Duration of ${formatMs(config.loadProfile.durationMs)} reached`, config.gracePeriodMs), config.loadProfile.durationMs);
+  };
+
+  // In matrix mode the n-th tab of every model shares one rendered prompt (and scenario), so each
+  // model sees exactly the same prompt set. A scenario step renders the step's prompt
+  const matrixPrompts = new Map();
+  const promptFor = (idx, iteration, step = null) => {
+    const template = () => (step ? step.prompt : config.pickPrompt(config.matrix ? matrixPrompts.size : records.length).text);
+    const render = () => renderPrompt(template(), { tab: idx + 1, runId: config.runId }, config.templateRng);
+    if (!config.matrix) return render();
+    const key = `${Math.floor(idx / config.modelMix.length)}:${iteration}${step ? `:${step.prompt}` : ''}`;
+    if (!matrixPrompts.has(key)) matrixPrompts.set(key, render());
+    return matrixPrompts.get(key);
+  };
+  const matrixScenarios = new Map();
+  let scenarioRuns = 0;
+  const scenarioFor = (idx, iteration) => {
+    const pick = () => config.pickScenario(scenarioRuns++);
+    if (!config.matrix) return pick();
+    const key = `${Math.floor(idx / config.modelMix.length)}:${iteration}`;
+    if (!matrixScenarios.has(key)) matrixScenarios.set(key, pick());
+    return matrixScenarios.get(key);
+  };
+
+  // Submit one prompt on a tab. Resolves once the prompt is out (or failed to go out for good);
+  // `done` resolves when the generation, and any retries of it, have finished.
+  // `failure` is a failure from loading the tab, which the attempt starts by retrying.
+  // A --scenario run chains its steps: each completed step starts the next as a follow-up in
+  // the same project (`previous` is the step before's record)
+  const startIteration = async (p, idx, iteration, { attempt = 1, failure = null, scenario = config.scenarios ? scenarioFor(idx, iteration) : null, step = 1, previous = null } = {}) => {
+    const stopped = { record: null, done: Promise.resolve(null) };
+    if (stop.signal.aborted) return stopped;
+    const scenarioStep = scenario?.steps[step - 1] || null;
+    const followUp = step > 1;
+    // Follow-ups continue an arrival instead of being one
+    if (arrivalGate && !followUp) {
+      const lagMs = await arrivalGate.next(stop.signal);
+      if (stop.signal.aborted) return stopped;
+      if (lagMs > arrivalGate.intervalMs) {
+        delayedArrivals++;
+        console.log(`[tab ${idx+1}] Arrival started ${formatMs(lagMs)} late (no free tab)`);
+      }
+    }
+    if (scenarioStep?.thinkMs && attempt === 1) {
+      console.log(`[tab ${idx+1}] Thinking ${formatMs(scenarioStep.thinkMs)} before step ${step}/${scenario.steps.length}`);
+      await sleep(scenarioStep.thinkMs, stop.signal);
+      if (stop.signal.aborted) return stopped;
+    }
+    await resources.waitUntilHealthy(stop.signal);
+    if (stop.signal.aborted) return stopped;
+    const record = createTabRecord(idx, iteration, attempt);
+    network.claim(idx, record);
+    chaos?.claim(idx + 1, record);
+    record.model = config.tabModels[idx];
+    record.account = config.tabAccounts[idx].name;
+    record.space = config.tabSpaces[idx] ? spaceLabel(config.tabSpaces[idx]) : null;
+    record.prompt = promptFor(idx, iteration, scenarioStep);
+    if (scenario) {
+      record.scenario = scenario.name;
+      record.step = step;
+    }
+    if (followUp) record.projectUrl = previous.projectUrl;
+    records.push(record);
+    events.emit('attemptStarted', { tab: idx + 1, record });
+
+    // Failures before the prompt went out are retried on a reloaded tab, per failure class;
+    // out of retries, the attempt fails and the other tabs carry on. A follow-up goes back to its project
+    const reload = () => (followUp ? reloadProject(p, idx, record.projectUrl) : reloadTab(p, idx));
+    let pending = failure;
+    for (;;) {
+      pending = pending || await (followUp ? sendFollowUp(p, idx, record) : triggerOnPage(p, idx, record));
+      if (!pending) break;
+      // A session that expired since the tab loaded shows the login page instead of the prompt
+      if (failureClassOf(pending.code) !== 'auth') {
+        const signedOut = await signedOutDetail(p, config.selectors).catch(() => null);
+        if (signedOut) pending = { code: 'session_expired', detail: signedOut };
+      }
+      const failureClass = failureClassOf(pending.code);
+      const retry = record.retries.filter(r => r.failureClass === failureClass).length + 1;
+      if (!await awaitRetry(idx, pending.code, retry)) {
+        transition(record, TAB_STATES.FAILED, failureFields(pending.code, pending.detail));
+        break;
+      }
+      record.retries.push({ code: pending.code, failureClass, detail: pending.detail, at: new Date().toISOString() });
+      pending = await reload();
+    }
+
+    if (record.state === TAB_STATES.SUBMITTED) events.emit('promptSubmitted', { tab: idx + 1, record });
+    if (chaos && record.state === TAB_STATES.SUBMITTED) chaos.disrupt(p, idx + 1, record).catch(() => {});
+    const watched = record.state === TAB_STATES.SUBMITTED
+      ? watchGeneration(p, idx, record, {
+        ...config,
+        generationTimeoutMs: scenarioStep?.timeoutMs ?? config.generationTimeoutMs,
+        outputsBefore: followUp ? followUpBaselines.get(record) ?? 0 : null,
+        onProjectCreated: registry.addProject,
+        signal: cancel.signal
+      })
+      : Promise.resolve(record);
+    return {
+      record,
+      done: watched.then(async () => {
+        if (config.assertions && record.state === TAB_STATES.COMPLETE && !p.isClosed()) await checkGeneration(p, idx, record);
+        network.release(idx);
+        chaos?.release(idx + 1);
+        const failed = record.state === TAB_STATES.FAILED || record.state === TAB_STATES.TIMED_OUT;
+        const checksFailed = record.state === TAB_STATES.CHECKS_FAILED;
+        // A closed tab has nothing left to capture
+        if ((failed || checksFailed) && !p.isClosed()) record.artifacts = await captureFailure(p, tabArtifactName(record));
+        if (failed) events.emit('tabFailed', { tab: idx + 1, record });
+        if (checksFailed) events.emit('checksFailed', { tab: idx + 1, record });
+        if (record.state === TAB_STATES.COMPLETE) events.emit('generationComplete', { tab: idx + 1, record });
+
+        // A failed generation is retried with a new prompt (and a new project) on a reloaded tab;
+        // a failed follow-up is sent again in its reloaded project
+        if (failed && record.failureClass === 'generation' && await awaitRetry(idx, record.failureReason, attempt)) {
+          const next = await startIteration(p, idx, iteration, { attempt: attempt + 1, failure: await reload(), scenario, step, previous });
+          record.retried = Boolean(next.record);
+          if (next.record) return next.done;
+        }
+
+        // Generations cut off by a stop are unfinished, not failed
+        if (isTerminal(record.state) && failureRate.add(failed) && !abortReason) {
+          abortReason = `${failureRate.describe()}, above --maxFailureRate ${Math.round(config.maxFailureRate * 100)}%`;
+          console.error(`\n❌ ${abortReason}; aborting the run`);
+          stopRun('Aborting', 0);
+          cancel.abort();
+        }
+
+        if (record.state === TAB_STATES.COMPLETE && step < (scenario?.steps.length || 0) && !stop.signal.aborted) {
+          const next = await startIteration(p, idx, iteration, { scenario, step: step + 1, previous: record });
+          if (next.record) return next.done;
+        }
+        return record;
+      })
+    };
+  };
+
+  // Soak: once a generation finishes, send the tab back to the projects page
+  // and submit again until the run duration is used up
+  const keepSoaking = async (p, idx, done) => {
+    await done;
+    let page = p;
+    let iteration = 1;
+    while (runEndsAt && Date.now() < runEndsAt && !stop.signal.aborted) {
+      if (page.isClosed()) {
+        // A tab --chaos closed comes back as a new tab, like a user reopening Builder
+        if (!chaos?.wasClosed(idx + 1)) {
+          console.error(`[tab ${idx+1}] Tab was closed; it stops soaking`);
+          return;
+        }
+        chaos.reopened(idx + 1);
+        console.log(`[tab ${idx+1}] Reopening the tab chaos closed`);
+        page = await openTab(idx);
+      }
+      iteration++;
+      console.log(`[tab ${idx+1}] Recycling tab for iteration ${iteration}`);
+      // A tab that does not reload is retried (or failed) by the next attempt instead of dropping out
+      const failure = await reloadTab(page, idx);
+      if (Date.now() >= runEndsAt || stop.signal.aborted) return;
+      const next = await startIteration(page, idx, iteration, { failure });
+      await next.done;
+    }
+  };
+
+  // Host CPU/memory and the tabs' page metrics from here on; above the limits new tabs and prompts wait
+  const resources = createResourceMonitor({
+    maxCpu: config.maxCpu,
+    maxMemory: config.maxMemory,
+    onSample: (sample) => events.emit('resourceSample', sample)
+  });
+  const slotRuns = [];
+  phase = 'running';
+  if (cancelSignal?.aborted) cancel.abort();
+  // A worker run reports its progress to the coordinator
+  const progressTimer = isWorkerProcess() ? setInterval(() => sendToCoordinator(progressMessage(records)), WORKER_PROGRESS_MS) : null;
+
+  if (config.loadProfile.type === 'burst') {
+    // Open all tabs in batches, then submit prompts in batches. A tab that fails to load
+    // keeps its failure; its first attempt retries it
+    const pages = [];
+    const loadFailures = [];
+    const BATCH_SIZE = config.loadProfile.openBatchSize;
+    
+    console.log(`Opening ${config.tabs} tabs to main projects page in batches of ${BATCH_SIZE}...`);
+    
+    for (let batchStart = 0; batchStart < config.tabs && !stop.signal.aborted; batchStart += BATCH_SIZE) {
+      const batchEnd = Math.min(batchStart + BATCH_SIZE, config.tabs);
+      const batchNumber = Math.floor(batchStart / BATCH_SIZE) + 1;
+      const totalBatches = Math.ceil(config.tabs / BATCH_SIZE);
+      
+      console.log(`\n=== Processing Batch ${batchNumber}/${totalBatches} (tabs ${batchStart + 1}-${batchEnd}) ===`);
+      
+      for (let i = batchStart; i < batchEnd; i++) {
+        await resources.waitUntilHealthy(stop.signal);
+        if (stop.signal.aborted) break;
+        const p = await openTab(i);
+        pages.push(p);
+        loadFailures.push(await loadTab(p, i));
+        // Stagger slightly to avoid thundering herd
+        await p.waitForTimeout(100);
+      }
+      
+      // Wait between batches to prevent overwhelming the system
+      if (batchEnd < config.tabs && config.loadProfile.openBatchDelayMs) {
+        console.log(`Batch ${batchNumber} complete. Waiting ${config.loadProfile.openBatchDelayMs / 1000} seconds before next batch...`);
+        await sleep(config.loadProfile.openBatchDelayMs, stop.signal);
+      }
+    }
+
+    const pendingFailures = await Promise.all(pages.map((p, i) => loadFailures[i] || readyTab(p, i)));
+
+    // Process prompts in batches to prevent overwhelming the system
+    // Each submitted tab is then watched in the background until its generation finishes,
+    // so later batches are not held up by earlier generations
+    console.log(`\n=== Starting Prompt Injection for ${config.tabs} tabs ===`);
+    const PROMPT_BATCH_SIZE = config.loadProfile.promptBatchSize;
+    startDurationClock();
+    
+    for (let batchStart = 0; batchStart < pages.length && !stop.signal.aborted; batchStart += PROMPT_BATCH_SIZE) {
+      const batchEnd = Math.min(batchStart + PROMPT_BATCH_SIZE, pages.length);
+      const batchNumber = Math.floor(batchStart / PROMPT_BATCH_SIZE) + 1;
+      const totalBatches = Math.ceil(pages.length / PROMPT_BATCH_SIZE);
+      
+      console.log(`\n--- Prompt Batch ${batchNumber}/${totalBatches} (tabs ${batchStart + 1}-${batchEnd}) ---`);
+      
+      const batchPages = pages.slice(batchStart, batchEnd);
+      await Promise.all(batchPages.map(async (p, i) => {
+        const idx = batchStart + i;
+        const { done } = await startIteration(p, idx, 1, { failure: pendingFailures[idx] });
+        slotRuns.push(keepSoaking(p, idx, done));
+      }));
+      
+      // Progress update
+      const submittedCount = records.filter(r => r.timestamps.submitted).length;
+      console.log(`Progress: ${batchEnd}/${config.tabs} tabs processed, ${submittedCount} prompts submitted`);
+      
+      // Small delay between prompt batches
+      if (batchEnd < pages.length && config.loadProfile.promptBatchDelayMs) {
+        await sleep(config.loadProfile.promptBatchDelayMs, stop.signal);
+      }
+    }
+  } else {
+    // Ramp / arrival: each tab starts on its own schedule and submits as soon as it is ready
+    // (or when the arrival gate lets it)
+    startDurationClock();
+    for (let i = 0; i < config.tabs; i++) {
+      const offset = rampOffsetMs(config.loadProfile, i);
+      slotRuns.push((async () => {
+        if (offset) await sleep(offset, stop.signal);
+        await resources.waitUntilHealthy(stop.signal);
+        if (stop.signal.aborted) return;
+        console.log(`[tab ${i+1}/${config.tabs}] Starting at +${formatMs(offset)}`);
+        const p = await openTab(i);
+        const failure = await reloadTab(p, i);
+        const { done } = await startIteration(p, i, 1, { failure });
+        await keepSoaking(p, i, done);
+      })());
+    }
+  }
+
+  console.log(`\n=== Waiting for generations to finish (timeout ${config.generationTimeoutMs / 1000}s each)${runEndsAt ? `; soaking until ${new Date(runEndsAt).toLocaleTimeString()}` : ''} ===`);
+  await Promise.all(slotRuns);
+  clearTimeout(durationTimer);
+  phase = 'reporting';
+  events.emit('reporting', {});
+
+  // Keep a context's trace only when one of its tabs failed; every failed tab links its context's trace
+  if (config.trace) {
+    for (const [name, context] of sessions.contexts) {
+      const failedRecords = records.filter(record => record.account === name && record.artifacts);
+      const tracePath = artifacts.tracePath(name);
+      try {
+        await context.tracing.stop(failedRecords.length ? { path: tracePath } : {});
+        if (failedRecords.length) {
+          for (const record of failedRecords) record.artifacts.trace = tracePath;
+          console.log(`Saved trace for ${name}: ${tracePath}`);
+        }
+      } catch (error) {
+        console.log(`Could not save trace for ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  chaos?.stop();
+  resources.stop();
+  for (const record of records) {
+    record.network = summarizeRecordNetwork(network.entries.filter(entry => entry.record === record));
+    resources.annotate(record);
+  }
+  const summary = summarizeRun(config, records, network.entries, { delayedArrivals: arrivalGate ? delayedArrivals : null, resources: resources.summary() });
+  printResults(config, summary, records, { abortReason });
+  writeRunReport(config, runMeta(config, { startedAt, abortReason, stopSignal }), records, summary);
+
+  for (const record of records) {
+    if (record.projectUrl) registry.addProject(record);
+  }
+  registry.finish();
+  console.log(`Run registry: ${registry.run.projects.length} project(s) recorded in ${registry.file} (remove them with: node burst-builder.js cleanup --run ${config.runId})`);
+
+  if (config.harDir) {
+    const harFiles = writeHarFiles(config.harDir, network.entries, { runId: config.runId, creatorVersion: require('../package.json').version });
+    console.log(`Wrote ${harFiles.length} HAR file(s) to ${config.harDir}`);
+  }
+
+  // A worker run hands its records to the coordinator, which merges them into its own results
+  if (isWorkerProcess()) {
+    clearInterval(progressTimer);
+    await sendToCoordinator(progressMessage(records));
+    await sendToCoordinator({
+      type: 'result',
+      runId: config.runId,
+      records,
+      networkEntries: compactEntries(network.entries),
+      delayedArrivals: arrivalGate ? delayedArrivals : null,
+      resources: summary.resources,
+      aborted: abortReason,
+      interrupted: stopSignal
+    });
+  }
+
+  // An aborted or interrupted run closes right away, and so does a worker run once it has reported;
+  // otherwise keepOpen leaves the browser open for the caller to close
+  phase = 'finished';
+  if (abortReason || stopSignal || isWorkerProcess() || !keepOpen) await sessions.close();
+  return {
+    runId: config.runId,
+    records,
+    summary,
+    networkEntries: network.entries,
+    delayedArrivals: arrivalGate ? delayedArrivals : null,
+    aborted: abortReason,
+    interrupted: stopSignal,
+    registryFile: registry.file,
+    close: sessions.close
+  };
+};
+
+// Run a burst with `options`: the CLI options by name (tabs, model, baseUrl, headless, ...), plus
+//   promptText    the prompt (or prompt template) without a --prompts corpus
+//   events        EventEmitter for the lifecycle events above
+//   signal        AbortSignal that stops the run like Ctrl+C: no new prompts, a grace period for the
+//                 generations in flight, then the results. Abort it with the signal name ('SIGINT')
+//                 to have that reported; before the tabs open it ends the run with an 'interrupted' error
+//   cancelSignal  AbortSignal to stop waiting for the generations in flight
+//   keepOpen      leave the browser open after a run that went to the end (close it with result.close());
+//                 the statusPort endpoint stays up until then too
+// Resolves with { runId, records, summary, networkEntries, delayedArrivals, aborted, interrupted,
+// registryFile, close } (and `workers` for a coordinated run). Rejects with an Error whose code is one
+// of RUN_ERROR_CODES when the run could not start; aborted and interrupted runs resolve, with
+// `aborted` / `interrupted` set.
+const runBurst = async ({ events = new EventEmitter(), signal, cancelSignal, keepOpen = false, ...options } = {}) => {
+  const config = resolveConfig(options, 'run');
+  printConfig(config);
+  // Status and metrics endpoints; they stay up as long as the browser
+  const endpoints = [];
+  const closeEndpoints = () => Promise.all(endpoints.map(endpoint => endpoint.close()));
+  const listen = async (option, port, start) => {
+    try {
+      endpoints.push(await start({ port }));
+    } catch (error) {
+      await closeEndpoints();
+      throw runError('invalid_options', `--${option} ${port}: ${error.message}`);
+    }
+  };
+  if (config.statusPort !== null) {
+    await listen('statusPort', config.statusPort, (where) => startStatusServer(createRunStatus(events), where));
+    console.log(`Status: ${endpoints[endpoints.length - 1].url}`);
+  }
+  const metrics = config.metricsPort !== null || config.otlpEndpoint ? createRunMetrics(events) : null;
+  if (config.metricsPort !== null) {
+    await listen('metricsPort', config.metricsPort, (where) => startMetricsServer(metrics, where));
+    console.log(`Metrics: ${endpoints[endpoints.length - 1].url}`);
+  }
+  // The workers of a coordinated run export their own tabs' metrics
+  if (config.otlpEndpoint && !config.coordinator) {
+    const exporter = startOtlpExporter(metrics, { endpoint: config.otlpEndpoint, intervalMs: config.otlpIntervalMs });
+    endpoints.push(exporter);
+    console.log(`OTLP export: ${exporter.url} every ${formatMs(config.otlpIntervalMs)}`);
+  }
+  events.emit('runStarted', { runId: config.runId, tabs: config.tabs, startedAt: Date.now(), workers: config.coordinator ? config.workers.map(worker => worker.name) : null });
+
+  let result;
+  try {
+    result = config.coordinator
+      ? await runCoordinator(config, { events, signal, cancelSignal })
+      : await runLocal(config, { events, signal, cancelSignal, keepOpen });
+  } catch (error) {
+    await closeEndpoints();
+    throw error;
+  }
+  if (endpoints.length && (!keepOpen || result.aborted || result.interrupted)) {
+    await closeEndpoints();
+  } else if (endpoints.length) {
+    const closeRun = result.close;
+    result = { ...result, close: async () => { await closeEndpoints(); await closeRun(); } };
+  }
+  events.emit('runComplete', result);
+  return result;
+};
+
+module.exports = {
+  RUN_ERROR_CODES,
+  runBurst,
+  summarizeRun,
+  printResults,
+  runMeta,
+  writeRunReport
+};
@@ -0,0 +1,294 @@
+// Client chaos (--chaos): faults injected into a share of the load tabs, to see whether Builder
+// resumes, dedupes or orphans a generation when a client misbehaves.
+//
+//   network       CDP network emulation of the whole tab (slow-3g, fast-3g)
+//   offlineEvery  the tab goes offline for offlineFor, at random intervals averaging offlineEvery
+//   latency       added to every request to the matched Builder endpoints (page.route)
+//   abort         share of those requests aborted with a connection reset
+//   reload        share of generations whose tab reloads mid-generation
+//   close         share of generations whose tab closes mid-generation (a soaking tab reopens)
+//
+// Every fault a tab sees lands on the record of its prompt attempt as record.faults
+// ({ type, detail, at, count }); faults between attempts go to the tab's next attempt.
+
+const path = require('path');
+const { isYamlFile, readDataFile } = require('./files');
+const { parseDuration, sleep } = require('./duration');
+const { createRng } = require('./random');
+const { summarizeTabs, formatMs } = require('./stats');
+const { TAB_STATES, isTerminal } = require('./tab-state');
+
+// Chrome DevTools' throttling presets (throughput in bytes per second)
+const NETWORK_PROFILES = {
+  'slow-3g': { latency: 2000, downloadThroughput: 500 * 1000 / 8 * 0.8, uploadThroughput: 500 * 1000 / 8 * 0.8 },
+  'fast-3g': { latency: 562.5, downloadThroughput: 1.6 * 1000 * 1000 / 8 * 0.9, uploadThroughput: 750 * 1000 / 8 * 0.9 }
+};
+const NO_THROTTLING = { latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+
+const CHAOS_KEYS = ['share', 'network', 'offlineEvery', 'offlineFor', 'latency', 'abort', 'endpoints', 'reload', 'close', 'disruptWithin'];
+// Requests that make up a generation; static assets and the app shell only break the page load
+const DEFAULT_ENDPOINTS = ['generation-stream', 'project-api', 'builder-api'];
+// A disrupted generation is reloaded or closed at a random moment this long after it got going
+const DEFAULT_DISRUPT_WITHIN = '10s';
+const DEFAULT_OFFLINE_FOR = '3s';
+const STATE_POLL_MS = 500;
+
+// A share of tabs or requests: a fraction (0.3) or a percentage (30%)
+const parseShare = (value, key, { allowZero = true } = {}) => {
+  const text = String(value).trim();
+  const share = text.endsWith('%') ? Number(text.slice(0, -1)) / 100 : Number(text);
+  if (!Number.isFinite(share) || share < 0 || share > 1 || (!allowZero && share === 0)) {
+    throw new Error(`--chaos ${key} must be a fraction ${allowZero ? 'from 0' : 'above 0'} up to 1 (e.g. 0.3) or a percentage (e.g. 30%), got "${value}"`);
+  }
+  return share;
+};
+
+// "share=30%,network=slow-3g,endpoints=generation-stream|project-api" -> { share: '30%', ... }
+const parseChaosList = (spec) => {
+  const options = {};
+  for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [key, ...rest] = entry.split('=');
+    if (!rest.length) throw new Error(`--chaos: expected key=value, got "${entry}"`);
+    options[key.trim()] = rest.join('=').trim();
+  }
+  return options;
+};
+
+// Parse --chaos: a .json/.yaml file or a key=value list. endpointNames are the selector profile's
+// network endpoints. Returns { share, network, offlineEveryMs, offlineForMs, latencyMs, abort,
+// endpoints, reload, close, disruptWithinMs }
+const parseChaos = (spec, endpointNames) => {
+  const value = String(spec).trim();
+  const isFile = !value.includes('=') && (isYamlFile(value) || path.extname(value).toLowerCase() === '.json');
+  const options = isFile ? readDataFile(value) : parseChaosList(value);
+  if (!options || typeof options !== 'object' || Array.isArray(options)) throw new Error(`${value}: chaos options must be an object`);
+  const unknown = Object.keys(options).filter(key => !CHAOS_KEYS.includes(key));
+  if (unknown.length) throw new Error(`--chaos: unknown keys: ${unknown.join(', ')}. Supported: ${CHAOS_KEYS.join(', ')}`);
+
+  const given = (key) => options[key] !== undefined && options[key] !== null && options[key] !== '';
+  const network = given('network') ? String(options.network).trim().toLowerCase() : null;
+  if (network && !NETWORK_PROFILES[network]) {
+    throw new Error(`--chaos network must be one of: ${Object.keys(NETWORK_PROFILES).join(', ')}, got "${options.network}"`);
+  }
+  const endpoints = given('endpoints')
+    ? (Array.isArray(options.endpoints) ? options.endpoints : String(options.endpoints).split('|')).map(name => String(name).trim()).filter(Boolean)
+    : DEFAULT_ENDPOINTS.filter(name => endpointNames.includes(name));
+  const unknownEndpoints = endpoints.filter(name => !endpointNames.includes(name));
+  if (unknownEndpoints.length) {
+    throw new Error(`--chaos endpoints: unknown endpoint ${unknownEndpoints.join(', ')}. The selector profile has: ${endpointNames.join(', ')}`);
+  }
+
+  const chaos = {
+    share: given('share') ? parseShare(options.share, 'share', { allowZero: false }) : 1,
+    network,
+    offlineEveryMs: parseDuration(options.offlineEvery),
+    offlineForMs: parseDuration(given('offlineFor') ? options.offlineFor : DEFAULT_OFFLINE_FOR),
+    latencyMs: parseDuration(options.latency),
+    abort: given('abort') ? parseShare(options.abort, 'abort') : 0,
+    endpoints,
+    reload: given('reload') ? parseShare(options.reload, 'reload') : 0,
+    close: given('close') ? parseShare(options.close, 'close') : 0,
+    disruptWithinMs: parseDuration(given('disruptWithin') ? options.disruptWithin : DEFAULT_DISRUPT_WITHIN)
+  };
+  if (chaos.reload + chaos.close > 1) throw new Error(`--chaos reload and close may add up to 100% at most, got ${options.reload} + ${options.close}`);
+  if (chaos.offlineEveryMs && !chaos.offlineForMs) throw new Error('--chaos offlineFor must be above 0');
+  if (!(chaos.disruptWithinMs > 0)) throw new Error('--chaos disruptWithin must be above 0');
+  if ((chaos.latencyMs || chaos.abort) && !endpoints.length) throw new Error('--chaos latency and abort need at least one endpoint');
+  if (!chaos.network && !chaos.offlineEveryMs && !chaos.latencyMs && !chaos.abort && !chaos.reload && !chaos.close) {
+    throw new Error('--chaos: no faults given; set at least one of network, offlineEvery, latency, abort, reload or close');
+  }
+  return chaos;
+};
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+// e.g. "30% of tabs: slow-3g network; offline 3.0s about every 60.0s; +2.0s latency and 5% aborted on project-api; 20% of generations reloaded"
+const describeChaos = (chaos) => {
+  const parts = [];
+  if (chaos.network) parts.push(`${chaos.network} network`);
+  if (chaos.offlineEveryMs) parts.push(`offline ${formatMs(chaos.offlineForMs)} about every ${formatMs(chaos.offlineEveryMs)}`);
+  const request = [chaos.latencyMs && `+${formatMs(chaos.latencyMs)} latency`, chaos.abort && `${percent(chaos.abort)} aborted`].filter(Boolean);
+  if (request.length) parts.push(`${request.join(' and ')} on ${chaos.endpoints.join(', ')}`);
+  if (chaos.reload) parts.push(`${percent(chaos.reload)} of generations reloaded`);
+  if (chaos.close) parts.push(`${percent(chaos.close)} of generations closed`);
+  if (chaos.reload || chaos.close) parts.push(`within ${formatMs(chaos.disruptWithinMs)} of getting going`);
+  return `${percent(chaos.share)} of tabs: ${parts.join('; ')}`;
+};
+
+// Add a fault to a record's faults; repeats of the same fault are counted
+const addFault = (faults, type, detail, at = Date.now()) => {
+  const same = faults.find(fault => fault.type === type && fault.detail === detail);
+  if (same) {
+    same.count++;
+    return;
+  }
+  faults.push({ type, detail, at: new Date(at).toISOString(), count: 1 });
+};
+
+// e.g. "latency x12 offline x2 reload" (for CSV and JUnit)
+const formatFaults = (faults = []) => {
+  const counts = {};
+  for (const fault of faults) counts[fault.type] = (counts[fault.type] || 0) + fault.count;
+  return Object.entries(counts).map(([type, count]) => (count > 1 ? `${type} x${count}` : type)).join(' ');
+};
+
+// Function to inject the chaos into a run's load tabs. tabs is the number of load tabs, seed the
+// run seed (the same seed picks the same chaos tabs); endpoints the profile's [[name, RegExp]].
+// Returns { tabs, attach, claim, release, disrupt, wasClosed, reopened, stop }; tabs are the chaos tabs
+const createChaos = (chaos, { tabs, seed, endpoints }) => {
+  const rng = createRng(`${seed}:chaos`);
+  const stopped = new AbortController();
+  const pending = new Map(); // tab -> faults seen while no attempt was in progress
+  const active = new Map(); // tab -> record of the attempt in progress
+  const closed = new Set(); // tabs chaos closed
+
+  // A random share of the tabs, at least one
+  const order = Array.from({ length: tabs }, (_, i) => i + 1);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  const chaosTabs = new Set(order.slice(0, Math.max(1, Math.round(chaos.share * tabs))));
+
+  const note = (tab, type, detail) => {
+    const record = active.get(tab);
+    if (record) return addFault(record.faults, type, detail);
+    if (!pending.has(tab)) pending.set(tab, []);
+    addFault(pending.get(tab), type, detail);
+  };
+
+  // The endpoint a URL belongs to, in the profile's match order, when chaos targets it
+  const targetOf = (url) => {
+    const match = endpoints.find(([, pattern]) => pattern.test(url));
+    return match && chaos.endpoints.includes(match[0]) ? match[0] : null;
+  };
+
+  const emulate = (session, offline) => session.send('Network.emulateNetworkConditions', {
+    offline,
+    ...(chaos.network ? NETWORK_PROFILES[chaos.network] : NO_THROTTLING)
+  });
+
+  const offlineBlips = async (page, tab, session) => {
+    while (!stopped.signal.aborted && !page.isClosed()) {
+      await sleep(chaos.offlineEveryMs * (0.5 + rng()), stopped.signal);
+      if (stopped.signal.aborted || page.isClosed()) return;
+      console.log(`[tab ${tab}] Chaos: offline for ${formatMs(chaos.offlineForMs)}`);
+      note(tab, 'offline', formatMs(chaos.offlineForMs));
+      await emulate(session, true);
+      await sleep(chaos.offlineForMs, stopped.signal);
+      if (!page.isClosed()) await emulate(session, false);
+    }
+  };
+
+  // Set up a newly opened tab (numbered from 1); other tabs are left alone
+  const attach = async (page, tab) => {
+    if (!chaosTabs.has(tab)) return;
+    if (chaos.network || chaos.offlineEveryMs) {
+      try {
+        const session = await page.context().newCDPSession(page);
+        await session.send('Network.enable');
+        await emulate(session, false);
+        if (chaos.offlineEveryMs) offlineBlips(page, tab, session).catch(() => {});
+      } catch (error) {
+        console.log(`[tab ${tab}] Chaos: network emulation unavailable (${error.message.split('\n')[0]})`);
+      }
+    }
+    if (chaos.latencyMs || chaos.abort) {
+      await page.route(url => Boolean(targetOf(url.href)), async (route) => {
+        const endpoint = targetOf(route.request().url());
+        try {
+          if (chaos.abort && rng() < chaos.abort) {
+            note(tab, 'abort', endpoint);
+            return await route.abort('connectionreset');
+          }
+          if (chaos.latencyMs) {
+            note(tab, 'latency', `${endpoint} +${formatMs(chaos.latencyMs)}`);
+            await sleep(chaos.latencyMs, stopped.signal);
+          }
+          await route.fallback();
+        } catch {
+          // The tab closed while the request was held
+        }
+      });
+    }
+  };
+
+  // Faults from here on belong to `record`, the tab's new attempt
+  const claim = (tab, record) => {
+    if (!chaosTabs.has(tab)) return;
+    if (chaos.network) addFault(record.faults, 'network', chaos.network);
+    for (const fault of pending.get(tab) || []) record.faults.push(fault);
+    pending.delete(tab);
+    active.set(tab, record);
+  };
+
+  const release = (tab) => active.delete(tab);
+
+  // Maybe reload or close a chaos tab in the middle of the record's generation: once the project
+  // exists or output streams, at a random moment within disruptWithin. Resolves when it is done.
+  const disrupt = async (page, tab, record) => {
+    if (!chaosTabs.has(tab)) return;
+    const roll = rng();
+    const action = roll < chaos.reload ? 'reload' : roll < chaos.reload + chaos.close ? 'close' : null;
+    if (!action) return;
+    const going = () => record.state === TAB_STATES.PROJECT_CREATED || record.state === TAB_STATES.STREAMING;
+    while (!going() && !isTerminal(record.state) && !stopped.signal.aborted) await sleep(STATE_POLL_MS, stopped.signal);
+    if (isTerminal(record.state) || stopped.signal.aborted) return;
+    await sleep(rng() * chaos.disruptWithinMs, stopped.signal);
+    if (isTerminal(record.state) || stopped.signal.aborted || page.isClosed()) return;
+
+    addFault(record.faults, action, `in state ${record.state}, ${formatMs(Date.now() - record.timestamps.submitted)} after submission`);
+    console.log(`[tab ${tab}] Chaos: ${action === 'reload' ? 'reloading' : 'closing'} the tab mid-generation (${record.state})`);
+    if (action === 'close') {
+      closed.add(tab);
+      await page.close().catch(() => {});
+      return;
+    }
+    try {
+      await page.reload({ waitUntil: 'domcontentloaded', timeout: 120_000 });
+    } catch (error) {
+      console.log(`[tab ${tab}] Chaos: reload failed: ${error.message.split('\n')[0]}`);
+    }
+  };
+
+  // Whether chaos closed the tab (which a soaking tab then reopens)
+  const wasClosed = (tab) => closed.has(tab);
+  const reopened = (tab) => closed.delete(tab);
+
+  const stop = () => stopped.abort();
+
+  return {
+    tabs: [...chaosTabs].sort((a, b) => a - b),
+    attach,
+    claim,
+    release,
+    disrupt,
+    wasClosed,
+    reopened,
+    stop
+  };
+};
+
+// Summary for the report: the faults injected by type, and the outcomes of the attempts that saw
+// each type of fault next to those that saw none
+const summarizeFaults = (records) => {
+  const injected = {};
+  for (const fault of records.flatMap(record => record.faults || [])) injected[fault.type] = (injected[fault.type] || 0) + fault.count;
+  const byFault = { none: summarizeTabs(records.filter(record => !record.faults?.length)) };
+  for (const type of Object.keys(injected)) byFault[type] = summarizeTabs(records.filter(record => record.faults?.some(fault => fault.type === type)));
+  return {
+    faultedAttempts: records.filter(record => record.faults?.length).length,
+    injected,
+    byFault
+  };
+};
+
+module.exports = {
+  NETWORK_PROFILES,
+  CHAOS_KEYS,
+  parseChaos,
+  describeChaos,
+  formatFaults,
+  createChaos,
+  summarizeFaults
+};
@@ -0,0 +1,155 @@
+// `cleanup` command: delete (or archive) the projects recorded in the run registry.
+
+const readline = require('readline');
+const { resolveConfig } = require('./config');
+const { describeSelectorProfile } = require('./selectors');
+const { openSessions } = require('./browser');
+const { findFirstVisible, watchSession, handleAuthentication } = require('./builder-page');
+const { saveRun, loadRuns, selectRuns } = require('./registry');
+
+// Function to ask a yes/no question on the terminal; resolves false without an interactive terminal
+const confirm = (question) => new Promise(resolve => {
+  if (!process.stdin.isTTY) return resolve(false);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.question(`${question} [y/N] `, answer => {
+    rl.close();
+    resolve(/^y(es)?$/i.test(answer.trim()));
+  });
+});
+
+// Function to delete or archive one project through its options menu
+// Returns { status, reason }: status is 'deleted', 'archived', 'missing' (already gone) or null on failure
+const removeProject = async (page, project, action, { selectors }) => {
+  try {
+    const response = await page.goto(project.projectUrl, { waitUntil: 'domcontentloaded', timeout: 120_000 });
+    await page.waitForTimeout(2000);
+    if (response?.status() === 404 || await findFirstVisible(page, selectors.cleanup.notFound)) {
+      return { status: 'missing' };
+    }
+
+    const menuSelector = await findFirstVisible(page, selectors.cleanup.projectMenu);
+    if (!menuSelector) return { status: null, reason: 'project_menu_not_found' };
+    await page.locator(menuSelector).first().click();
+    await page.waitForTimeout(500);
+
+    const actionSelector = await findFirstVisible(page, selectors.cleanup[action]);
+    if (!actionSelector) {
+      await page.keyboard.press('Escape');
+      return { status: null, reason: `${action}_option_not_found` };
+    }
+    await page.locator(actionSelector).first().click();
+    await page.waitForTimeout(500);
+
+    // Most destructive actions ask for confirmation; a missing dialog is not an error
+    const confirmSelector = await findFirstVisible(page, selectors.cleanup.confirm);
+    if (confirmSelector) await page.locator(confirmSelector).first().click();
+    await page.waitForTimeout(2000);
+    return { status: action === 'archive' ? 'archived' : 'deleted' };
+  } catch (error) {
+    return { status: null, reason: `cleanup_error: ${error.message}` };
+  }
+};
+
+// `cleanup`: delete (or archive) the projects that registered runs created, as the accounts that created them.
+// Takes the CLI options (run, olderThan, archive, dryRun, yes, registry, ...); resolves true when nothing failed
+const runCleanup = async (options = {}) => {
+  const config = resolveConfig(options, 'cleanup');
+  console.log(`Selectors: ${describeSelectorProfile(config.selectors)}`);
+  let runs;
+  try {
+    runs = selectRuns(loadRuns(config.registryDir), { runIds: config.cleanupRunIds, olderThanMs: config.cleanupOlderThanMs });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return false;
+  }
+  const pending = runs.flatMap(run => run.projects.filter(project => project.status === 'created').map(project => ({ run, project })));
+
+  console.log(`\n=== CLEANUP (${config.registryDir}) ===`);
+  if (!runs.length) {
+    console.log('No matching runs in the registry.');
+    return true;
+  }
+  for (const run of runs) {
+    const open = run.projects.filter(project => project.status === 'created');
+    console.log(`\nRun ${run.runId} (started ${run.startedAt}, ${run.baseUrl}): ${open.length} of ${run.projects.length} project(s) left`);
+    for (const project of open) {
+      console.log(`  ${project.projectId}  ${project.projectUrl}  (tab ${project.tab}, account ${project.account}${project.space ? `, space ${project.space}` : ''})`);
+    }
+  }
+  if (!pending.length) {
+    console.log('\nNothing to clean up.');
+    return true;
+  }
+
+  // Project URLs and authentication checks only make sense against the target the run used
+  const otherTarget = runs.find(run => run.baseUrl !== config.baseUrl);
+  if (otherTarget) {
+    console.error(`\n❌ Run ${otherTarget.runId} targeted ${otherTarget.baseUrl}; run cleanup with --baseUrl ${otherTarget.baseUrl}`);
+    return false;
+  }
+
+  if (config.dryRun) {
+    console.log(`\nDry run: would ${config.cleanupAction} ${pending.length} project(s). Nothing was changed.`);
+    return true;
+  }
+  if (!config.yes) {
+    if (!process.stdin.isTTY) {
+      console.error('\n❌ Not asking for confirmation without an interactive terminal; pass --yes to proceed');
+      return false;
+    }
+    if (!await confirm(`\n${config.cleanupAction === 'archive' ? 'Archive' : 'Delete'} ${pending.length} project(s) from ${runs.length} run(s)?`)) {
+      console.log('Aborted, nothing was changed.');
+      return true;
+    }
+  }
+
+  // Use the session each project was created with
+  const accounts = new Map();
+  for (const { run, project } of pending) {
+    if (!accounts.has(project.account)) {
+      accounts.set(project.account, run.accounts.find(account => account.name === project.account) || { ...config.accounts[0], name: project.account });
+    }
+  }
+  const sessions = await openSessions([...accounts.values()], config);
+  const counts = { deleted: 0, archived: 0, missing: 0, failed: 0 };
+  try {
+    const pages = new Map();
+    for (const account of accounts.values()) {
+      const page = await sessions.contexts.get(account.name).newPage();
+      watchSession(page, config);
+      await page.goto(config.projectsUrl, { waitUntil: 'load', timeout: 120_000 });
+      const authResult = await handleAuthentication(page, 0, config);
+      if (!authResult.success) {
+        console.error(`\n❌ AUTHENTICATION FAILED (account ${account.name}): ${authResult.reason}${authResult.detail ? ` (${authResult.detail})` : ''}`);
+        return false;
+      }
+      pages.set(account.name, page);
+    }
+
+    for (const { run, project } of pending) {
+      const page = pages.get(project.account);
+      const result = await removeProject(page, project, config.cleanupAction, config);
+      if (result.status) {
+        counts[result.status]++;
+        project.status = result.status;
+        project.cleanedAt = new Date().toISOString();
+        saveRun(config.registryDir, run);
+        console.log(`  ${result.status === 'missing' ? '⏭️ ' : '✅'} ${project.projectId} ${result.status}`);
+      } else {
+        counts.failed++;
+        console.log(`  ❌ ${project.projectId} ${result.reason}`);
+      }
+    }
+  } finally {
+    await sessions.close();
+  }
+
+  console.log(`\nDeleted: ${counts.deleted}, archived: ${counts.archived}, already gone: ${counts.missing}, failed: ${counts.failed}`);
+  return counts.failed === 0;
+};
+
+module.exports = {
+  confirm,
+  removeProject,
+  runCleanup
+};
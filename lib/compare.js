@@ -0,0 +1,53 @@
+// `compare` command: diff a run report against a baseline (lib/baselines.js) and exit non-zero
+// on regressions beyond the --thresholds, so a pipeline step can block a release that handles the
+// same burst worse than the build before it.
+
+const { resolveConfig } = require('./config');
+const { loadComparable, describeThresholds, compareReports } = require('./baselines');
+
+const describeReport = ({ label, report }) =>
+  `${label}: run ${report.meta.runId || '-'} (${report.meta.startedAt || '-'}), ${report.summary.attempts} attempts`;
+
+const printComparison = (baseline, current, comparison, thresholds) => {
+  console.log('\n=== COMPARE ===');
+  console.log(`Baseline:   ${describeReport(baseline)}`);
+  console.log(`Current:    ${describeReport(current)}`);
+  console.log(`Thresholds: ${describeThresholds(thresholds)}`);
+  for (const { name, rows } of comparison.scopes) {
+    console.log(`\n${name.padEnd(32)} ${'baseline'.padStart(10)} ${'current'.padStart(10)} ${'change'.padStart(12)}`);
+    for (const row of rows) {
+      const flag = row.regressed ? `  ❌ regression (limit ${row.limit})` : '';
+      console.log(`  ${row.metric.padEnd(30)} ${row.baseline.padStart(10)} ${row.current.padStart(10)} ${row.change.padStart(12)}${flag}`);
+    }
+  }
+  if (comparison.onlyIn.baseline.length) console.log(`\nModels only in the baseline: ${comparison.onlyIn.baseline.join(', ')}`);
+  if (comparison.onlyIn.current.length) console.log(`\nModels only in the current run: ${comparison.onlyIn.current.join(', ')}`);
+  if (comparison.regressions.length) {
+    console.log(`\n❌ ${comparison.regressions.length} regression(s) beyond the thresholds:`);
+    for (const regression of comparison.regressions) console.log(`  - ${regression}`);
+  } else {
+    console.log('\n✅ No regressions beyond the thresholds');
+  }
+};
+
+// `compare`: diff the current run report against a baseline.
+// Takes the CLI options (baseline, current, thresholds, registry); resolves true when nothing regressed
+const runCompare = async (options = {}) => {
+  const config = resolveConfig(options, 'compare');
+  let baseline;
+  let current;
+  try {
+    baseline = loadComparable(config.compareBaseline, config.registryDir);
+    current = loadComparable(config.compareCurrent, config.registryDir);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return false;
+  }
+  const comparison = compareReports(baseline.report, current.report, config.compareThresholds);
+  printComparison(baseline, current, comparison, config.compareThresholds);
+  return comparison.regressions.length === 0;
+};
+
+module.exports = {
+  runCompare
+};
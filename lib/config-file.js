@@ -0,0 +1,114 @@
+// Config files: options kept in burst.config.json / .yaml / .yml in the working directory (or the
+// --config file), with named profiles picked by --profile:
+//
+//   headless: true                  # options for every profile, named like the CLI flags
+//   registry: ./.burst-runs
+//   profiles:
+//     smoke:
+//       tabs: 2
+//     nightly-soak:
+//       tabs: 20
+//       duration: 8h
+//       report: reports/nightly.json
+//
+// A profile's options override the ones at the top of the file. The file is the lowest layer: the
+// environment (PROMPT_TEXT, AUTO_CLOSE_SECONDS) overrides it, and the command line overrides both.
+// Relative paths in the file are relative to the file, so it works from any working directory.
+
+const fs = require('fs');
+const path = require('path');
+const { readDataFile } = require('./files');
+const { validateOptions } = require('./config');
+const { isWorkerProcess } = require('./workers');
+
+const CONFIG_FILES = ['burst.config.json', 'burst.config.yaml', 'burst.config.yml'];
+
+// Options that name a file or directory
+const PATH_OPTIONS = ['selectors', 'userDataDir', 'storageState', 'accounts', 'prompts', 'scenario', 'assertions', 'loadProfile', 'report', 'har', 'artifacts', 'registry'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Resolve the relative paths of options against the directory of the config file they are in,
+// as lib/accounts.js does for the paths in an accounts file
+const resolvePaths = (options, file) => {
+  const resolve = (location) => (path.isAbsolute(location) ? location : path.join(path.dirname(file), location));
+  const resolved = { ...options };
+  for (const key of PATH_OPTIONS) {
+    const value = typeof resolved[key] === 'string' ? resolved[key].trim() : '';
+    if (!value) continue;
+    // An inline accounts list holds name=path pairs
+    resolved[key] = key === 'accounts' && value.includes('=')
+      ? value.split(',').map(part => {
+        const eq = part.indexOf('=');
+        return eq < 1 ? part : `${part.slice(0, eq).trim()}=${resolve(part.slice(eq + 1).trim())}`;
+      }).join(',')
+      : resolve(value);
+  }
+  return resolved;
+};
+
+// The config file in dir, or null; two of them are ambiguous
+const findConfigFile = (dir = '.') => {
+  const found = CONFIG_FILES.filter(file => fs.existsSync(path.join(dir, file)));
+  if (found.length > 1) throw new Error(`Found both ${found.join(' and ')}; keep one, or pick one with --config`);
+  return found.length ? path.join(dir, found[0]) : null;
+};
+
+// Load and validate a config file into { file, options, profiles: { name: options } }, with paths
+// resolved against the file's directory
+const loadConfigFile = (file) => {
+  if (!fs.existsSync(file)) throw new Error(`Config file not found: ${file}`);
+  const doc = readDataFile(file) ?? {};
+  if (!isPlainObject(doc)) throw new Error(`${file}: expected an object of options (and "profiles")`);
+  const { profiles = {}, ...options } = doc;
+  validateOptions(options, file);
+  if (!isPlainObject(profiles)) throw new Error(`${file}: "profiles" must map profile names to options`);
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!/^[\w.-]+$/.test(name)) throw new Error(`${file}: profile names may only contain letters, digits, ".", "_" and "-", got "${name}"`);
+    if (!isPlainObject(profile)) throw new Error(`${file}: profile "${name}" must be an object of options`);
+    validateOptions(profile, `${file}: profile "${name}"`);
+  }
+  return {
+    file,
+    options: resolvePaths(options, file),
+    profiles: Object.fromEntries(Object.entries(profiles).map(([name, profile]) => [name, resolvePaths(profile, file)]))
+  };
+};
+
+// Lay the config file (and the --profile of it) under the given options, which are the environment
+// and command line ones. Returns { options, file, profile }; file is null without a config file.
+// A worker run takes its options from its coordinator only, so it reads no config file.
+// Errors carry code 'invalid_options' like the ones of resolveConfig
+const applyConfigFile = ({ config: configFile, profile, ...options } = {}) => {
+  try {
+    for (const [key, value] of Object.entries({ config: configFile, profile })) {
+      if (Array.isArray(value)) throw new Error(`--${key} was given more than once (${value.join(', ')}); give it once`);
+    }
+    const file = configFile !== undefined ? String(configFile).trim() : isWorkerProcess() ? null : findConfigFile();
+    const name = profile !== undefined ? String(profile).trim() : null;
+    if (!file) {
+      if (name) throw new Error(`--profile ${name} needs a config file: ${CONFIG_FILES.join(', ')} in the working directory, or --config <file>`);
+      return { options, file: null, profile: null };
+    }
+    const loaded = loadConfigFile(file);
+    if (name && !loaded.profiles[name]) {
+      const available = Object.keys(loaded.profiles);
+      throw new Error(`${file} has no profile "${name}" (${available.length ? `profiles: ${available.join(', ')}` : 'it defines no profiles'})`);
+    }
+    return {
+      options: { ...loaded.options, ...(name ? loaded.profiles[name] : {}), ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)) },
+      file,
+      profile: name
+    };
+  } catch (error) {
+    error.code = 'invalid_options';
+    throw error;
+  }
+};
+
+module.exports = {
+  CONFIG_FILES,
+  findConfigFile,
+  loadConfigFile,
+  applyConfigFile
+};
@@ -0,0 +1,294 @@
+// Run configuration: options (the CLI flags, or the object a script passes to runBurst)
+// resolved and validated into one config object before any browser starts.
+//
+// Option names are the CLI flag names (tabs, baseUrl, models, ...), also used by config files
+// (lib/config-file.js). Every option is checked against the schema below: unknown names, repeated
+// flags and values of the wrong type or out of range are errors, never silently fixed up. Errors
+// thrown here carry code 'invalid_options', so callers can tell a bad option from a failed run.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { DEFAULT_MODEL, assertKnownModel, parseModelMix, assignModels } = require('./models');
+const { PROFILE_KEYS, loadProfileFile, resolveLoadProfile } = require('./load-profile');
+const { loadPromptCorpus, corpusFromText, createPromptPicker } = require('./prompts');
+const { createRng, randomSeed } = require('./random');
+const { loadSelectorProfile } = require('./selectors');
+const { defaultAccounts, loadAccounts, assignAccounts } = require('./accounts');
+const { DEFAULT_REGISTRY_DIR } = require('./registry');
+const { parseDuration } = require('./duration');
+const { parseRetryPolicy, parseFailureRate } = require('./failures');
+const { parseSpaceList, assignSpaces } = require('./spaces');
+const { detectFormat } = require('./report');
+const { DEFAULT_WORKER_PORT, isWorkerProcess, parseWorkerList } = require('./workers');
+const { parseThreshold } = require('./resources');
+const { parseChaos } = require('./chaos');
+const { loadScenarios } = require('./scenarios');
+const { loadAssertions } = require('./assertions');
+const { parseThresholds } = require('./baselines');
+
+const DEFAULT_OPTIONS = {
+  registry: DEFAULT_REGISTRY_DIR,
+  host: '127.0.0.1',
+  port: DEFAULT_WORKER_PORT,
+  tabs: 5,
+  generationTimeout: 600,
+  gracePeriod: '60s',
+  otlpInterval: '10s',
+  maxCpu: '90%',
+  // Only Linux reports the memory that is really available (see lib/resources.js); elsewhere the check is off
+  maxMemory: process.platform === 'linux' ? '90%' : '100%',
+  promptStrategy: 'round-robin',
+  headless: false,
+  baseUrl: 'https://builder.io',
+  promptSelector: '', // optional override
+  userDataDir: './.playwright-user',
+  promptText: 'Generate a modern landing page design'
+};
+
+const MAX_TABS = 55; // Increased limit to 55 for large-scale testing
+// A coordinated run is limited by its workers' capacity; this only guards against typos
+const MAX_COORDINATED_TABS = 1000;
+
+// The option schema. Text options may also be numbers (--seed 42) and are parsed further by
+// resolveConfig; number options may be numeric strings, as the command line and env give them
+const TEXT_OPTIONS = [
+  'baseUrl', 'promptSelector', 'promptText', 'selectors', 'userDataDir', 'storageState', 'accounts', 'space', 'model', 'models',
+  'report', 'reportFormat', 'har', 'artifacts', 'prompts', 'scenario', 'assertions', 'promptStrategy', 'seed',
+  'loadProfile', 'rampUp', 'rampShape', 'duration', 'openBatchDelay', 'promptBatchDelay',
+  'registry', 'run', 'olderThan', 'retries', 'retryBackoff', 'maxFailureRate', 'gracePeriod', 'autoClose',
+  'workers', 'host', 'token', 'runId', 'otlpEndpoint', 'otlpInterval', 'maxCpu', 'maxMemory', 'chaos',
+  'saveBaseline', 'baseline', 'current', 'thresholds'
+];
+const BOOLEAN_OPTIONS = ['headless', 'matrix', 'dryRun', 'archive', 'yes', 'trace', 'dashboard'];
+const NUMBER_OPTIONS = {
+  // The most tabs depend on --workers and --maxTabs, see resolveConfig
+  tabs: { min: 1, integer: true },
+  maxTabs: { min: 1, max: MAX_TABS, integer: true },
+  generationTimeout: { min: 10 },
+  port: { min: 1, max: 65535, integer: true },
+  // 0 picks a free port
+  statusPort: { min: 0, max: 65535, integer: true },
+  metricsPort: { min: 0, max: 65535, integer: true },
+  rampSteps: { min: 1, integer: true },
+  arrivalRate: { min: 0 },
+  openBatchSize: { min: 1, integer: true },
+  promptBatchSize: { min: 1, integer: true }
+};
+const OPTION_NAMES = [...TEXT_OPTIONS, ...BOOLEAN_OPTIONS, ...Object.keys(NUMBER_OPTIONS)];
+
+const describeValue = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+// Throw on the first option that is unknown, repeated or of the wrong type or range. Errors name
+// options like CLI flags (--tabs), or `<location>: tabs` for the options of a config file
+const validateOptions = (options, location) => {
+  const name = (key) => (location ? `${location}: ${key}` : `--${key}`);
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+    if (!OPTION_NAMES.includes(key)) {
+      // Catches --auto-close, --prompt_text and the like
+      const normalize = (option) => option.toLowerCase().replace(/[-_]/g, '');
+      const match = OPTION_NAMES.find(option => normalize(option) === normalize(key));
+      const hint = match ? ` (did you mean ${location ? `"${match}"` : `--${match}`}?)` : '';
+      throw new Error(`${location ? `${location}: unknown option "${key}"` : `Unknown option --${key}`}${hint}`);
+    }
+    if (Array.isArray(value)) {
+      // A repeated flag comes as a list; a config file takes lists written like on the command line
+      if (location) throw new Error(`${name(key)} must be a single value, got a list (write it like on the command line, e.g. "a,b")`);
+      throw new Error(`${name(key)} was given more than once (${value.map(describeValue).join(', ')}); give it once`);
+    }
+    if (BOOLEAN_OPTIONS.includes(key)) {
+      if (typeof value !== 'boolean') throw new Error(`${name(key)} must be true or false, got ${describeValue(value)}`);
+    } else if (NUMBER_OPTIONS[key]) {
+      const { min, max = Infinity, integer = false } = NUMBER_OPTIONS[key];
+      const n = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof n !== 'number' || !Number.isFinite(n) || (integer && !Number.isInteger(n)) || n < min || n > max) {
+        const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+        throw new Error(`${name(key)} must be ${integer ? 'a whole number' : 'a number'} ${range}, got ${describeValue(value)}`);
+      }
+    } else if (!['string', 'number'].includes(typeof value)) {
+      throw new Error(`${name(key)} needs a value, got ${describeValue(value)}`);
+    }
+  }
+};
+
+// Parse the duration option key, naming it in the error like the other option errors
+const durationOption = (opts, key, defaultUnit) => {
+  try {
+    return parseDuration(opts[key], defaultUnit);
+  } catch (error) {
+    throw new Error(`--${key}: ${error.message}`);
+  }
+};
+
+// e.g. 20240902-153012-a1b2c3
+const generateRunId = () => `${new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`;
+
+// Resolve options for `command` (run, doctor, cleanup, login, compare or worker) into the run config.
+// Unset (undefined) options take their defaults.
+const resolveConfig = (options = {}, command = 'run') => {
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const opts = { ...DEFAULT_OPTIONS, ...given };
+  try {
+    validateOptions(given);
+    // run --workers coordinates: the tabs are spread across worker processes, each with its own browser
+    const coordinator = command === 'run' && opts.workers !== undefined;
+    // Tabs per browser process (--maxTabs lowers it, e.g. for a small worker host)
+    const maxTabsPerProcess = opts.maxTabs === undefined ? MAX_TABS : Number(opts.maxTabs);
+    const tabLimit = coordinator ? MAX_COORDINATED_TABS : maxTabsPerProcess;
+    const requestedTabs = Number(opts.tabs);
+    if (requestedTabs > tabLimit) {
+      const limit = coordinator ? 'the most a coordinated run takes' : opts.maxTabs !== undefined ? 'the --maxTabs of this run' : 'the most one browser process runs; spread more tabs across --workers';
+      throw new Error(`--tabs must be at most ${tabLimit}, got ${opts.tabs} (${limit})`);
+    }
+    const baseUrl = String(opts.baseUrl).trim().replace(/\/+$/, '');
+    const seed = String(opts.seed ?? '').trim() || randomSeed();
+    const config = {
+      command,
+      options: opts,
+      coordinator,
+      maxTabsPerProcess,
+      requestedTabs,
+      baseUrl,
+      projectsUrl: `${baseUrl}/app/projects`,
+      promptSelectorOverride: String(opts.promptSelector).trim(),
+      userDataDir: opts.userDataDir,
+      storageState: opts.storageState ? String(opts.storageState).trim() : null,
+      headless: Boolean(opts.headless),
+      matrix: Boolean(opts.matrix),
+      generationTimeoutMs: Number(opts.generationTimeout) * 1000,
+      reportPath: opts.report?.trim(),
+      reportFormat: opts.reportFormat?.trim(),
+      harDir: opts.har?.trim(),
+      artifactsDir: opts.artifacts?.trim(),
+      trace: Boolean(opts.trace),
+      registryDir: String(opts.registry).trim(),
+      cleanupRunIds: String(opts.run || '').split(',').map(id => id.trim()).filter(Boolean),
+      cleanupAction: opts.archive ? 'archive' : 'delete',
+      cleanupOlderThanMs: null,
+      dryRun: Boolean(opts.dryRun),
+      // --saveBaseline keeps the run's report under that name; compare takes two reports or baselines
+      baselineName: opts.saveBaseline?.trim() || null,
+      compareBaseline: opts.baseline?.trim(),
+      compareCurrent: opts.current?.trim(),
+      yes: Boolean(opts.yes),
+      // A coordinator passes each worker its own run ID (<runId>-w2)
+      runId: opts.runId?.trim() || generateRunId(),
+      workerHost: String(opts.host).trim(),
+      workerPort: Number(opts.port),
+      workerToken: opts.token?.trim() || null,
+      workers: [],
+      // null: no status endpoint; 0 picks a free port
+      statusPort: opts.statusPort === undefined ? null : Number(opts.statusPort),
+      metricsPort: opts.metricsPort === undefined ? null : Number(opts.metricsPort),
+      otlpEndpoint: opts.otlpEndpoint?.trim() || null,
+      loadProfileFile: opts.loadProfile?.trim(),
+      promptsFile: opts.prompts?.trim(),
+      scenarioFile: opts.scenario?.trim(),
+      assertionsFile: opts.assertions?.trim(),
+      promptStrategy: opts.promptStrategy?.trim().toLowerCase(),
+      seed,
+      promptText: opts.promptText
+    };
+
+    if (!/^https?:\/\/[^/]+/.test(baseUrl)) throw new Error(`--baseUrl must be an http(s) URL, got "${opts.baseUrl}"`);
+    config.selectors = loadSelectorProfile(opts.selectors?.trim());
+    // null: no chaos; endpoint names come from the selector profile
+    config.chaos = opts.chaos ? parseChaos(opts.chaos, config.selectors.network.endpointRegExps.map(([name]) => name)) : null;
+    if (command === 'cleanup') {
+      if (!config.cleanupRunIds.length && !opts.olderThan) throw new Error('cleanup needs --run <id> or --olderThan <duration>, e.g. --olderThan 7d');
+      // Bare numbers are days here
+      if (opts.olderThan) config.cleanupOlderThanMs = durationOption(opts, 'olderThan', 'd');
+    }
+    if (command === 'compare') {
+      if (!config.compareBaseline || !config.compareCurrent) {
+        throw new Error('compare needs a baseline and a current run report, e.g. compare pre-deploy reports/after.json');
+      }
+      config.compareThresholds = parseThresholds(opts.thresholds);
+    }
+    if (config.baselineName && !/^[\w.-]+$/.test(config.baselineName)) {
+      throw new Error(`--saveBaseline may only contain letters, digits, ".", "_" and "-", got "${opts.saveBaseline}"`);
+    }
+    if (!/^[\w.-]+$/.test(config.runId)) throw new Error(`--runId may only contain letters, digits, ".", "_" and "-", got "${opts.runId}"`);
+    if (config.otlpEndpoint && !/^https?:\/\/[^/]+/.test(config.otlpEndpoint)) {
+      throw new Error(`--otlpEndpoint must be the http(s) URL of an OTLP/HTTP collector, e.g. http://127.0.0.1:4318, got "${opts.otlpEndpoint}"`);
+    }
+    config.otlpIntervalMs = durationOption(opts, 'otlpInterval');
+    config.maxCpu = parseThreshold(opts.maxCpu, 'maxCpu');
+    config.maxMemory = parseThreshold(opts.maxMemory, 'maxMemory');
+    if (!(config.otlpIntervalMs >= 1000)) throw new Error(`--otlpInterval must be at least 1s, got "${opts.otlpInterval}"`);
+    if (coordinator) {
+      if (isWorkerProcess()) throw new Error('A worker run cannot coordinate workers of its own');
+      config.workers = parseWorkerList(opts.workers);
+    }
+    if (config.reportPath) detectFormat(config.reportPath, config.reportFormat);
+    if (config.trace && !config.artifactsDir) throw new Error('--trace needs --artifacts <dir> to save the trace in');
+    config.retryPolicy = parseRetryPolicy({ retries: opts.retries, retryBackoff: opts.retryBackoff });
+    config.maxFailureRate = parseFailureRate(opts.maxFailureRate);
+    config.gracePeriodMs = durationOption(opts, 'gracePeriod');
+    if (opts.model && opts.models) throw new Error('Use either --model or --models, not both');
+    if (config.matrix && !opts.models) throw new Error('--matrix needs a model list, e.g. --models gpt-5,claude-sonnet-4');
+    // default to GPT-5 Mini for cost efficiency
+    const labels = config.selectors.model.labels;
+    config.modelMix = opts.models
+      ? parseModelMix(opts.models, labels)
+      : [{ model: assertKnownModel(String(opts.model || DEFAULT_MODEL).trim().toLowerCase(), labels), weight: 1 }];
+
+    // Matrix mode runs --tabs tabs for every model; tabs are interleaved by model
+    config.tabs = config.matrix ? requestedTabs * config.modelMix.length : requestedTabs;
+    if (config.tabs > tabLimit) {
+      throw new Error(`--matrix with ${config.modelMix.length} models x ${requestedTabs} tabs needs ${config.tabs} tabs (max ${tabLimit})`);
+    }
+    config.tabModels = config.matrix
+      ? Array.from({ length: config.tabs }, (_, i) => config.modelMix[i % config.modelMix.length].model)
+      : assignModels(config.modelMix, config.tabs);
+    if (command === 'login' && opts.accounts) {
+      throw new Error('login signs in one session at a time; run it with the --storageState or --userDataDir of each account');
+    }
+    if (config.storageState && opts.accounts) {
+      throw new Error('Use either --storageState or --accounts (give each account its own storageState there), not both');
+    }
+    // `login` saves the --storageState file, every other command needs it to exist
+    if (config.storageState && command !== 'login' && !fs.existsSync(config.storageState)) {
+      throw new Error(`--storageState file not found: ${config.storageState} (save one with: node burst-builder.js login --storageState ${config.storageState})`);
+    }
+    // Without --accounts every tab shares the --storageState session or the --userDataDir profile
+    config.accounts = opts.accounts ? loadAccounts(opts.accounts) : defaultAccounts(config);
+    config.tabAccounts = assignAccounts(config.accounts, config.tabModels);
+    // Without --space every tab stays in the session's current space
+    config.spaces = opts.space ? parseSpaceList(opts.space) : [];
+    config.tabSpaces = config.spaces.length ? assignSpaces(config.spaces, config.tabModels, config.tabAccounts.map(account => account.name)) : [];
+    // Chrome locks a profile directory, so local workers can only share storageState accounts
+    const sharedProfile = config.accounts.find(account => account.userDataDir);
+    if (config.workers.filter(worker => !worker.url).length > 1 && sharedProfile) {
+      throw new Error(`Local workers cannot share the browser profile ${sharedProfile.userDataDir} (account ${sharedProfile.name}); use storageState accounts (--accounts name=state.json) or a single local worker`);
+    }
+    config.loadProfile = resolveLoadProfile({
+      fileProfile: config.loadProfileFile ? loadProfileFile(config.loadProfileFile) : {},
+      cliOptions: Object.fromEntries(PROFILE_KEYS.map(key => [key, opts[key]])),
+      tabs: config.tabs
+    });
+    if (config.promptsFile && config.scenarioFile) throw new Error('Use either --prompts or --scenario (a scenario carries its own prompts), not both');
+    const corpus = config.promptsFile ? loadPromptCorpus(config.promptsFile) : corpusFromText(config.promptText);
+    config.pickPrompt = createPromptPicker(corpus, config.promptStrategy, createRng(`${seed}:prompts`));
+    // null: every tab sends one prompt; otherwise tabs pick scenarios like prompts
+    config.scenarios = config.scenarioFile ? loadScenarios(config.scenarioFile) : null;
+    config.pickScenario = config.scenarios ? createPromptPicker(config.scenarios, config.promptStrategy, createRng(`${seed}:scenarios`)) : null;
+    config.templateRng = createRng(`${seed}:templates`);
+    // null: completed generations are not checked
+    config.assertions = config.assertionsFile ? loadAssertions(config.assertionsFile) : null;
+    // --maxFailureRate is only checked once this many prompts finished
+    config.failureRateMinSample = Math.min(config.tabs, 5);
+    return config;
+  } catch (error) {
+    error.code = 'invalid_options';
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  MAX_TABS,
+  validateOptions,
+  generateRunId,
+  resolveConfig
+};
@@ -0,0 +1,114 @@
+// Live terminal dashboard (--dashboard): once the tabs start opening, the interleaved [tab N] log
+// gives way to a view of the run status (lib/status.js) redrawn in place every second, with the
+// latest log lines below it. The normal log comes back for the results.
+
+const util = require('util');
+const { createRunStatus } = require('./status');
+const { formatMs } = require('./stats');
+const { formatShare } = require('./resources');
+
+const REDRAW_MS = 1000;
+const LOG_LINES = 6;
+const BAR_WIDTH = 30;
+
+const ESC = '\x1b[';
+const ALT_SCREEN_ON = `${ESC}?1049h${ESC}?25l`; // alternate screen, cursor hidden
+const ALT_SCREEN_OFF = `${ESC}?25h${ESC}?1049l`;
+
+const formatBucket = (upToMs, previous) => (upToMs === null ? `>${formatMs(previous)}` : `≤${formatMs(upToMs)}`);
+
+const formatError = (error) => (error ? `${error.code}${error.retried ? ' (retried)' : ''}${error.detail ? `: ${error.detail}` : ''}` : '-');
+
+// The status snapshot as terminal lines (without the log), at most `height` lines when given
+const renderStatus = (snapshot, { height = Infinity } = {}) => {
+  const { counters: c, latency } = snapshot;
+  const lines = [];
+  lines.push(`Run ${snapshot.runId || '-'}  ${snapshot.phase}${snapshot.stopReason ? ` (${snapshot.stopReason})` : ''}  ${formatMs(snapshot.elapsedMs)} elapsed  ${snapshot.tabs ?? '-'} tabs`);
+  lines.push(`Attempts ${c.attempts}  Submitted ${c.submitted}  In flight ${c.inFlight}  Complete ${c.complete}  Failed ${c.failed}  Timed out ${c.timedOut}${c.retries === null ? '' : `  Retries ${c.retries}`}`);
+  if (snapshot.client) {
+    const { cpu, memory, overloaded } = snapshot.client;
+    lines.push(`Client CPU ${formatShare(cpu)}  Memory ${formatShare(memory)}${overloaded ? '  OVERLOADED: new tabs and prompts wait' : ''}`);
+  }
+  const failures = Object.entries(c.failuresByCode || {});
+  if (failures.length) lines.push(`Failures: ${failures.map(([code, count]) => `${code} ${count}`).join(', ')}`);
+  const { firstOutput, generation } = latency;
+  lines.push(`First output: n=${firstOutput.count}, p50 ${formatMs(firstOutput.p50)}, p95 ${formatMs(firstOutput.p95)}`);
+
+  lines.push('', `Generation time (completed, n=${generation.count}, p50 ${formatMs(generation.p50)}, p95 ${formatMs(generation.p95)}, max ${formatMs(generation.max)})`);
+  const most = Math.max(1, ...generation.buckets.map(bucket => bucket.count));
+  generation.buckets.forEach(({ upToMs, count }, i) => {
+    const label = formatBucket(upToMs, generation.buckets[i - 1]?.upToMs);
+    lines.push(`  ${label.padStart(8)} ${'█'.repeat(Math.round(count / most * BAR_WIDTH)).padEnd(BAR_WIDTH)} ${count}`);
+  });
+  lines.push('');
+
+  // Coordinated runs only know their workers' counters
+  if (!snapshot.tabRows.length && snapshot.workers.length) {
+    lines.push(`${'WORKER'.padEnd(12)} ${'ATTEMPTS'.padStart(8)} ${'SUBMITTED'.padStart(9)} ${'IN FLIGHT'.padStart(9)} ${'COMPLETE'.padStart(8)} ${'FAILED'.padStart(6)} ${'TIMED OUT'.padStart(9)}`);
+    for (const w of snapshot.workers) {
+      lines.push(`${w.name.padEnd(12)} ${String(w.attempts ?? '-').padStart(8)} ${String(w.submitted).padStart(9)} ${String(w.inFlight).padStart(9)} ${String(w.complete).padStart(8)} ${String(w.failed).padStart(6)} ${String(w.timedOut).padStart(9)}`);
+    }
+    return lines.slice(0, height);
+  }
+
+  lines.push(`${'TAB'.padStart(4)}  ${'STATE'.padEnd(16)} ${'IN STATE'.padStart(8)} ${'ATTEMPT'.padStart(8)}  ${'MODEL'.padEnd(16)} LAST ERROR`);
+  // Tabs that do not fit are summed up in one line
+  const room = Math.max(1, height - lines.length - 1);
+  const shown = snapshot.tabRows.length > room ? snapshot.tabRows.slice(0, room - 1) : snapshot.tabRows;
+  for (const row of shown) {
+    lines.push(`${String(row.tab).padStart(4)}  ${row.state.padEnd(16)} ${formatMs(row.elapsedMs).padStart(8)} ${formatMs(row.attemptElapsedMs).padStart(8)}  ${(row.model || '-').padEnd(16)} ${formatError(row.lastError)}`);
+  }
+  const hidden = snapshot.tabRows.length - shown.length;
+  if (hidden) lines.push(`  ... ${hidden} more tab(s) (enlarge the terminal to see them)`);
+  return lines;
+};
+
+// Function to show the dashboard for a run: pass the run's events before it starts.
+// Does nothing unless `stream` is a terminal. Returns { stop() }, which brings the log back.
+const createDashboard = (events, { stream = process.stdout } = {}) => {
+  const status = createRunStatus(events);
+  const log = [];
+  const originals = {};
+  let timer = null;
+
+  const draw = () => {
+    const width = stream.columns || 120;
+    const height = (stream.rows || 40) - LOG_LINES - 2;
+    const lines = [...renderStatus(status.snapshot(), { height }), '', ...log.slice(-LOG_LINES)];
+    stream.write(`${ESC}H${lines.map(line => `${line.slice(0, width)}${ESC}K`).join('\n')}\n${ESC}J`);
+  };
+
+  const start = () => {
+    if (timer || !stream.isTTY) return;
+    // Log lines keep coming (stop requests, errors); only the latest are shown
+    for (const method of ['log', 'info', 'warn', 'error']) {
+      originals[method] = console[method];
+      console[method] = (...args) => {
+        log.push(...util.format(...args).split('\n').filter(Boolean));
+        log.splice(0, log.length - LOG_LINES);
+      };
+    }
+    stream.write(ALT_SCREEN_ON);
+    draw();
+    timer = setInterval(draw, REDRAW_MS);
+    timer.unref();
+  };
+
+  const stop = () => {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+    stream.write(ALT_SCREEN_OFF);
+    Object.assign(console, originals);
+  };
+
+  events.once('tabOpened', start);
+  events.once('workerProgress', start);
+  events.once('reporting', stop);
+  return { stop };
+};
+
+module.exports = {
+  renderStatus,
+  createDashboard
+};
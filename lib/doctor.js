@@ -0,0 +1,159 @@
+// `doctor` command: check every selector of a selector profile against a live
+// projects page and print which ones still match.
+
+const { listSelectors, describeSelectorProfile } = require('./selectors');
+const { resolveConfig } = require('./config');
+const { openSessions } = require('./browser');
+const { watchSession, handleAuthentication } = require('./builder-page');
+
+// Groups where at least one selector must be visible on an authenticated projects page.
+// auth.login is informational (it only matches when logged out), space.* is only needed
+// with --space, and generation.* and cleanup.* only exist on a project page, so none of
+// them can fail the check.
+const REQUIRED_GROUPS = [
+  'auth.authenticated',
+  'ready.appShell',
+  'ready.interactive',
+  'model.dropdown',
+  'model.menuItem',
+  'prompt.input',
+  'prompt.send'
+];
+// Groups that cannot be seen on the projects page, with the reason shown instead of a result
+const SKIPPED_GROUPS = {
+  'chat.input': 'only present on a project page',
+  'chat.send': 'only present on a project page',
+  'generation.output': 'only present during a generation',
+  'generation.busy': 'only present during a generation',
+  'generation.error': 'only present during a generation',
+  'preview.frame': 'only present on a project page',
+  'toast.error': 'only present after an error',
+  'cleanup.projectMenu': 'only present on a project page',
+  'cleanup.delete': 'only present on a project page',
+  'cleanup.archive': 'only present on a project page',
+  'cleanup.confirm': 'only present on a project page',
+  'cleanup.notFound': 'only present for a deleted project'
+};
+
+const probe = async (page, selector) => {
+  try {
+    const locator = page.locator(selector);
+    const count = await locator.count();
+    const visible = count > 0 && await locator.first().isVisible();
+    return { count, visible };
+  } catch (error) {
+    return { count: 0, visible: false, error: error.message.split('\n')[0] };
+  }
+};
+
+const formatResult = ({ group, selector, count, visible, error, skipped }) => {
+  const icon = skipped ? '⏭️ ' : visible ? '✅' : count ? '👻' : '❌';
+  const detail = skipped ? `not checked (${skipped})`
+    : error ? `invalid selector: ${error}`
+    : `${count} match${count === 1 ? '' : 'es'}${count && !visible ? ', none visible' : ''}`;
+  return `  ${icon} ${group.padEnd(20)} ${selector}  (${detail})`;
+};
+
+// Probe all selectors on `page` (expected to be an authenticated projects page).
+// Resolves with { ok, results, failedGroups }.
+const runSelectorDoctor = async (page, profile) => {
+  const results = [];
+  for (const [group, selector] of listSelectors(profile)) {
+    if (group === 'model.menuItem' || group === 'space.option') continue; // checked with their menu open below
+    if (SKIPPED_GROUPS[group]) {
+      results.push({ group, selector, skipped: SKIPPED_GROUPS[group] });
+      continue;
+    }
+    results.push({ group, selector, ...await probe(page, selector) });
+  }
+
+  // Menu items and model labels only exist while the model dropdown is open
+  const dropdown = results.find(r => r.group === 'model.dropdown' && r.visible);
+  if (dropdown) {
+    await page.locator(dropdown.selector).first().click();
+    await page.waitForTimeout(1000);
+    const menuItem = profile.model.menuItem;
+    results.push({ group: 'model.menuItem', selector: menuItem, ...await probe(page, menuItem) });
+    for (const [model, label] of Object.entries(profile.model.labels)) {
+      const selector = `${menuItem}:has-text("${label}")`;
+      results.push({ group: `model.labels.${model}`, selector, ...await probe(page, selector) });
+    }
+    await page.keyboard.press('Escape');
+  } else {
+    results.push({ group: 'model.menuItem', selector: profile.model.menuItem, count: 0, visible: false, error: 'model dropdown not found, menu not opened' });
+  }
+
+  // Space options only exist while the space switcher is open
+  const switcher = results.find(r => r.group === 'space.switcher' && r.visible);
+  if (switcher) {
+    await page.locator(switcher.selector).first().click();
+    await page.waitForTimeout(1000);
+    results.push({ group: 'space.option', selector: profile.space.option, ...await probe(page, profile.space.option) });
+    await page.keyboard.press('Escape');
+  } else {
+    results.push({ group: 'space.option', selector: profile.space.option, count: 0, visible: false, error: 'space switcher not found, menu not opened' });
+  }
+
+  const groups = [...new Set(results.map(r => r.group))];
+  const failedGroups = groups.filter(group => {
+    const required = REQUIRED_GROUPS.includes(group) || group.startsWith('model.labels.');
+    return required && !results.some(r => r.group === group && r.visible);
+  });
+
+  return { ok: failedGroups.length === 0, results, failedGroups };
+};
+
+const printDoctorReport = ({ ok, results, failedGroups }, profile) => {
+  console.log(`\n=== SELECTOR DOCTOR: ${profile.name} v${profile.version} ===`);
+  console.log(`Profile: ${profile.source}`);
+  let currentGroup = null;
+  for (const result of results) {
+    const top = result.group.split('.')[0];
+    if (top !== currentGroup) {
+      currentGroup = top;
+      console.log(`\n[${top}]`);
+    }
+    console.log(formatResult(result));
+  }
+  console.log('\nLegend: ✅ visible match, 👻 matches but hidden, ❌ no match, ⏭️  not checked');
+  console.log('auth.login selectors are expected to have no match while you are logged in.');
+  console.log('space.* selectors are only needed with --space.');
+  if (ok) {
+    console.log('\n✅ Every required selector group has a visible match');
+  } else {
+    console.log(`\n❌ No visible match for: ${failedGroups.join(', ')}`);
+    console.log('Update these groups in a selector profile and pass it with --selectors <file>');
+  }
+};
+
+// `doctor`: open one tab, check every selector in the profile and report drift.
+// Takes the CLI options (selectors, baseUrl, accounts, ...); resolves true when every required group matched
+const runDoctor = async (options = {}) => {
+  const config = resolveConfig(options, 'doctor');
+  console.log(`Selectors: ${describeSelectorProfile(config.selectors)}`);
+  // The selectors are the same for every account, so the first one is enough
+  const account = config.accounts[0];
+  const sessions = await openSessions([account], config);
+  try {
+    const page = await sessions.contexts.get(account.name).newPage();
+    watchSession(page, config);
+    console.log('Navigating to main projects page...');
+    await page.goto(config.projectsUrl, { waitUntil: 'load', timeout: 120_000 });
+    const authResult = await handleAuthentication(page, 0, config);
+    if (!authResult.success) {
+      console.warn(`⚠️  Not authenticated (${authResult.detail || authResult.reason}); selectors for the logged-in UI will not match`);
+    }
+    await page.waitForTimeout(3000);
+    const result = await runSelectorDoctor(page, config.selectors);
+    printDoctorReport(result, config.selectors);
+    return result.ok;
+  } finally {
+    await sessions.close();
+  }
+};
+
+module.exports = {
+  runSelectorDoctor,
+  printDoctorReport,
+  runDoctor
+};
@@ -0,0 +1,31 @@
+// Human-friendly durations: "90" (seconds), "45s", "30m", "2h", "7d", and an abortable wait.
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const invalidDuration = (value) => new Error(`Invalid duration "${value}". Use a number of seconds or a value like 45s, 30m, 2h, 7d`);
+
+// Parse a duration into milliseconds; bare numbers use defaultUnit. Numbers, as a config file
+// gives them, must be finite and not negative like the strings
+const parseDuration = (value, defaultUnit = 's') => {
+  if (value === undefined || value === null || value === '') return 0;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) throw invalidDuration(value);
+    return value * UNIT_MS[defaultUnit];
+  }
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) throw invalidDuration(value);
+  return Number(match[1]) * UNIT_MS[(match[2] || defaultUnit).toLowerCase()];
+};
+
+// Resolves after ms, or as soon as signal is aborted
+const sleep = (ms, signal) => new Promise(resolve => {
+  const done = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal?.addEventListener('abort', done, { once: true });
+});
+
+module.exports = { parseDuration, sleep };
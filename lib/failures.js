@@ -0,0 +1,170 @@
+// Failure classification and per-class retry policy.
+//
+// Every way a tab can fail has a stable failure code (model_unavailable, generation_timeout, ...)
+// that belongs to one failure class. Variable text (the menu options offered, an error message)
+// is kept apart as the failure detail, so reports can group failures by code.
+//
+//   navigation  the projects page did not load or never became ready -> reload the page
+//   auth        the tab's session is missing/expired or lacks a space -> reload and check again
+//   selector    an element of the selector profile is missing       -> reload and try again
+//   model       the tab's model could not be selected               -> reload and try again
+//   submission  typing or sending the prompt threw                  -> reload and try again
+//   generation  the generation failed or timed out                  -> submit the prompt again (a new project)
+//
+// Retries of the first five classes happen before the prompt went out and are counted per
+// prompt attempt; generation retries are counted per prompt.
+
+const { parseDuration } = require('./duration');
+
+const FAILURE_CLASSES = ['navigation', 'auth', 'selector', 'model', 'submission', 'generation'];
+
+const FAILURE_CODES = {
+  navigation_failed: 'navigation',
+  page_not_ready: 'navigation',
+  not_authenticated: 'auth',
+  session_expired: 'auth',
+  space_not_accessible: 'auth',
+  space_switcher_not_found: 'selector',
+  space_not_selected: 'selector',
+  space_selection_error: 'selector',
+  model_dropdown_not_found: 'selector',
+  prompt_input_not_found: 'selector',
+  chat_input_not_found: 'selector',
+  model_unavailable: 'model',
+  model_selection_error: 'model',
+  submission_error: 'submission',
+  generation_error: 'generation',
+  generation_timeout: 'generation',
+  watch_error: 'generation',
+  // The tab closed mid-generation (e.g. by --chaos); there is no page left to retry on
+  tab_closed: null,
+  // The generation completed but its output failed --assertions checks; submitting again would not fix it
+  checks_failed: null
+};
+
+// Navigation hiccups are common under load and cheap to retry; a failed generation is only
+// retried on request, because every retry creates another project
+const DEFAULT_RETRIES = { navigation: 2, auth: 1, selector: 1, model: 1, submission: 1, generation: 0 };
+const DEFAULT_BACKOFF_MS = 5000;
+// Backoff doubles with every retry of a class, up to this
+const MAX_BACKOFF_MS = 2 * 60 * 1000;
+const MAX_RETRIES = 10;
+
+const failureClassOf = (code) => FAILURE_CODES[code] || null;
+
+// Record fields for a failure, to pass to transition()
+const failureFields = (code, detail = null) => ({
+  failureReason: code,
+  failureClass: failureClassOf(code),
+  failureDetail: detail
+});
+
+// Parse "3" (every class) or "navigation=3,generation=1" (per class; a bare value sets the rest)
+// into { class: value } using parseValue for each value
+const parsePerClass = (spec, option, parseValue) => {
+  const values = {};
+  for (const entry of String(spec).split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, value] = entry.includes('=') ? entry.split('=').map(part => part.trim()) : [null, entry];
+    if (name !== null && !FAILURE_CLASSES.includes(name)) {
+      throw new Error(`${option}: unknown failure class "${name}". Expected one of: ${FAILURE_CLASSES.join(', ')}`);
+    }
+    const parsed = parseValue(value);
+    for (const failureClass of name === null ? FAILURE_CLASSES : [name]) {
+      // Explicit class values win over a bare value, wherever they appear
+      if (name !== null || values[failureClass] === undefined) values[failureClass] = parsed;
+    }
+  }
+  return values;
+};
+
+// Retry policy from --retries and --retryBackoff: { class: { retries, backoffMs } }
+const parseRetryPolicy = ({ retries, retryBackoff } = {}) => {
+  const counts = retries === undefined || retries === '' ? {} : parsePerClass(retries, '--retries', (value) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_RETRIES) {
+      throw new Error(`--retries: retry counts must be whole numbers from 0 to ${MAX_RETRIES}, got "${value}"`);
+    }
+    return n;
+  });
+  const backoffs = retryBackoff === undefined || retryBackoff === '' ? {} : parsePerClass(retryBackoff, '--retryBackoff', (value) => {
+    const ms = parseDuration(value);
+    if (ms > MAX_BACKOFF_MS) throw new Error(`--retryBackoff: backoff must be at most ${MAX_BACKOFF_MS / 1000}s, got "${value}"`);
+    return ms;
+  });
+  return Object.fromEntries(FAILURE_CLASSES.map(failureClass => [failureClass, {
+    retries: counts[failureClass] ?? DEFAULT_RETRIES[failureClass],
+    backoffMs: backoffs[failureClass] ?? DEFAULT_BACKOFF_MS
+  }]));
+};
+
+// Wait before retry number `retry` (1-based) of a class: the base backoff, doubled for every earlier retry
+const backoffMs = (policy, failureClass, retry) =>
+  Math.min(policy[failureClass].backoffMs * 2 ** (retry - 1), MAX_BACKOFF_MS);
+
+const describeRetryPolicy = (policy) => FAILURE_CLASSES
+  .map(failureClass => {
+    const { retries, backoffMs: base } = policy[failureClass];
+    return retries ? `${failureClass} ${retries}x from ${base / 1000}s` : `${failureClass} off`;
+  })
+  .join(', ');
+
+// --maxFailureRate: a fraction (0.5) or a percentage (50%), null when not set
+const parseFailureRate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const rate = text.endsWith('%') ? Number(text.slice(0, -1)) / 100 : Number(text);
+  if (!Number.isFinite(rate) || rate <= 0 || rate > 1) {
+    throw new Error(`--maxFailureRate must be a fraction above 0 and up to 1 (e.g. 0.5) or a percentage (e.g. 50%), got "${value}"`);
+  }
+  return rate;
+};
+
+// Tracks finished prompts; exceeded() turns true once more than maxFailureRate of them failed,
+// after at least minSample finished (so the first unlucky tab does not abort a big run)
+const createFailureRateGuard = (maxFailureRate, minSample) => {
+  let finished = 0;
+  let failed = 0;
+  const exceeded = () => maxFailureRate !== null && finished >= minSample && failed / finished > maxFailureRate;
+  const add = (isFailure) => {
+    finished++;
+    if (isFailure) failed++;
+    return exceeded();
+  };
+  const describe = () => `${failed}/${finished} finished prompts failed (${finished ? Math.round(failed / finished * 100) : 0}%)`;
+  return { add, exceeded, describe };
+};
+
+// Failure codes and retries across records: { byCode: { code: { failureClass, count } }, retries: { total, byClass } }
+// Generation retries are the records that were retried; the rest are retries logged on each record
+const summarizeFailures = (records) => {
+  const byCode = {};
+  for (const { failureReason, failureClass } of records) {
+    if (!failureReason) continue;
+    byCode[failureReason] = byCode[failureReason] || { failureClass, count: 0 };
+    byCode[failureReason].count++;
+  }
+  const byClass = {};
+  const count = (failureClass) => { byClass[failureClass] = (byClass[failureClass] || 0) + 1; };
+  for (const record of records) {
+    for (const retry of record.retries) count(retry.failureClass);
+    if (record.retried) count(record.failureClass);
+  }
+  return {
+    byCode,
+    retries: { total: Object.values(byClass).reduce((sum, n) => sum + n, 0), byClass }
+  };
+};
+
+module.exports = {
+  FAILURE_CLASSES,
+  FAILURE_CODES,
+  DEFAULT_RETRIES,
+  failureClassOf,
+  failureFields,
+  parseRetryPolicy,
+  backoffMs,
+  describeRetryPolicy,
+  parseFailureRate,
+  createFailureRateGuard,
+  summarizeFailures
+};
@@ -0,0 +1,20 @@
+// Reading JSON / YAML data files.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const isYamlFile = (file) => ['.yaml', '.yml'].includes(path.extname(file).toLowerCase());
+
+// Parse a .json, .yaml or .yml file; errors name the file
+const readDataFile = (file) => {
+  const content = fs.readFileSync(file, 'utf8');
+  if (isYamlFile(file)) return yaml.load(content, { filename: file });
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${file}: invalid JSON (${error.message})`);
+  }
+};
+
+module.exports = { isYamlFile, readDataFile };
@@ -0,0 +1,140 @@
+// Load profiles: how many tabs run, when they start and how often they submit.
+//
+//   burst    (default) open every tab in batches, then submit prompts in batches
+//   ramp     tabs start one by one (linear) or in groups (stepped) spread over rampUp
+//   arrival  new prompts are submitted at a constant rate (arrivalRate per minute)
+//
+// Any profile becomes a soak when duration is set: tabs are recycled to the projects
+// page after each generation and keep submitting until the duration runs out.
+
+const { parseDuration, sleep } = require('./duration');
+const { readDataFile } = require('./files');
+
+const RAMP_SHAPES = ['linear', 'stepped'];
+
+const PROFILE_DEFAULTS = {
+  rampUp: 0,
+  rampShape: 'linear',
+  rampSteps: 5,
+  arrivalRate: 0,
+  duration: 0,
+  openBatchSize: 10,
+  promptBatchSize: 15,
+  openBatchDelay: 2,
+  promptBatchDelay: 1
+};
+
+const PROFILE_KEYS = Object.keys(PROFILE_DEFAULTS);
+
+// Read a JSON or YAML profile file
+const loadProfileFile = (file) => {
+  const profile = readDataFile(file);
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`${file}: load profile must be an object`);
+  }
+  const unknown = Object.keys(profile).filter(key => !PROFILE_KEYS.includes(key));
+  if (unknown.length) {
+    throw new Error(`${file}: unknown load profile keys: ${unknown.join(', ')}. Supported: ${PROFILE_KEYS.join(', ')}`);
+  }
+  return profile;
+};
+
+const nonNegative = (value, name) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${name} must be a non-negative number, got ${JSON.stringify(value)}`);
+  return n;
+};
+
+const positiveInt = (value, name) => {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${name} must be a positive integer, got ${JSON.stringify(value)}`);
+  return n;
+};
+
+const duration = (value, name) => {
+  try {
+    return parseDuration(value);
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+};
+
+// Merge file and CLI values (CLI wins) into a validated profile.
+// Durations are normalized to milliseconds.
+const resolveLoadProfile = ({ fileProfile = {}, cliOptions = {}, tabs }) => {
+  const merged = { ...PROFILE_DEFAULTS };
+  for (const source of [fileProfile, cliOptions]) {
+    for (const key of PROFILE_KEYS) {
+      if (source[key] !== undefined && source[key] !== '') merged[key] = source[key];
+    }
+  }
+
+  if (!RAMP_SHAPES.includes(merged.rampShape)) {
+    throw new Error(`rampShape must be one of ${RAMP_SHAPES.join(', ')}, got "${merged.rampShape}"`);
+  }
+
+  const profile = {
+    tabs,
+    rampUpMs: duration(merged.rampUp, 'rampUp'),
+    rampShape: merged.rampShape,
+    rampSteps: Math.min(positiveInt(merged.rampSteps, 'rampSteps'), tabs),
+    arrivalRate: nonNegative(merged.arrivalRate, 'arrivalRate'),
+    durationMs: duration(merged.duration, 'duration'),
+    openBatchSize: Math.min(positiveInt(merged.openBatchSize, 'openBatchSize'), tabs),
+    promptBatchSize: Math.min(positiveInt(merged.promptBatchSize, 'promptBatchSize'), tabs),
+    openBatchDelayMs: duration(merged.openBatchDelay, 'openBatchDelay'),
+    promptBatchDelayMs: duration(merged.promptBatchDelay, 'promptBatchDelay')
+  };
+  profile.type = profile.arrivalRate > 0 ? 'arrival' : profile.rampUpMs > 0 ? 'ramp' : 'burst';
+  return profile;
+};
+
+// Delay before a tab starts, relative to the start of the load phase
+const rampOffsetMs = (profile, tabIndex) => {
+  if (!profile.rampUpMs || profile.tabs < 2) return 0;
+  if (profile.rampShape === 'stepped') {
+    if (profile.rampSteps < 2) return 0;
+    const tabsPerStep = Math.ceil(profile.tabs / profile.rampSteps);
+    return Math.floor(tabIndex / tabsPerStep) * profile.rampUpMs / (profile.rampSteps - 1);
+  }
+  return tabIndex * profile.rampUpMs / (profile.tabs - 1);
+};
+
+// Hands out arrival slots at a constant rate. next() waits for the next slot (or until
+// signal is aborted) and resolves with how late (ms) it was taken; a late slot means every tab was busy.
+const createArrivalGate = (ratePerMinute, startAt = Date.now()) => {
+  const intervalMs = 60_000 / ratePerMinute;
+  let issued = 0;
+  return {
+    intervalMs,
+    next: async (signal) => {
+      const scheduledAt = startAt + issued++ * intervalMs;
+      const wait = scheduledAt - Date.now();
+      if (wait > 0) await sleep(wait, signal);
+      return Math.max(0, -wait);
+    }
+  };
+};
+
+const describeProfile = (profile) => {
+  const parts = [profile.type];
+  if (profile.type === 'burst') {
+    parts.push(`open batches of ${profile.openBatchSize}, prompt batches of ${profile.promptBatchSize}`);
+  }
+  if (profile.rampUpMs) {
+    parts.push(`${profile.rampShape} ramp to ${profile.tabs} tabs over ${profile.rampUpMs / 1000}s` +
+      (profile.rampShape === 'stepped' ? ` in ${profile.rampSteps} steps` : ''));
+  }
+  if (profile.arrivalRate) parts.push(`${profile.arrivalRate} prompts/min`);
+  parts.push(profile.durationMs ? `soak for ${profile.durationMs / 1000}s` : 'single pass');
+  return parts.join(', ');
+};
+
+module.exports = {
+  PROFILE_KEYS,
+  loadProfileFile,
+  resolveLoadProfile,
+  rampOffsetMs,
+  createArrivalGate,
+  describeProfile
+};
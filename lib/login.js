@@ -0,0 +1,55 @@
+// `login` command: sign in once in a visible browser, so later (headless, CI) runs start signed in.
+//
+// With --storageState the session is saved to that Playwright storageState file (cookies and
+// local storage), which runs load with --storageState or a storageState account. Without it,
+// the session stays in the --userDataDir profile, as after a first run without --headless.
+
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig } = require('./config');
+const { openSessions } = require('./browser');
+const { watchSession, handleAuthentication } = require('./builder-page');
+
+// `login`: open the projects page, wait for the user to sign in, then save the session.
+// Takes the CLI options (storageState, userDataDir, baseUrl, selectors); resolves true once a
+// signed-in session was confirmed (and saved)
+const runLogin = async (options = {}) => {
+  const config = resolveConfig({ ...options, headless: false }, 'login');
+  const file = config.storageState;
+  // Start from the saved session when there is one, so a still valid session needs no new login
+  const account = file
+    ? { name: 'login', storageState: fs.existsSync(file) ? file : null }
+    : { name: 'login', userDataDir: config.userDataDir };
+  console.log(`Signing in to ${config.baseUrl}; the session goes to ${file || `the browser profile ${config.userDataDir}`}`);
+
+  const sessions = await openSessions([account], config);
+  try {
+    const context = sessions.contexts.get(account.name);
+    const page = await context.newPage();
+    watchSession(page, config);
+    console.log('Navigating to main projects page...');
+    await page.goto(config.projectsUrl, { waitUntil: 'load', timeout: 120_000 });
+    const authResult = await handleAuthentication(page, 0, config);
+    if (!authResult.success) {
+      console.error(`\n❌ Login failed: ${authResult.reason}${authResult.detail ? ` (${authResult.detail})` : ''}`);
+      return false;
+    }
+
+    if (file) {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      await context.storageState({ path: file });
+      console.log(`\n✅ Session saved to ${file}. It holds your login cookies, so keep it out of version control.`);
+      console.log(`Run with: node burst-builder.js --storageState ${file} --headless`);
+    } else {
+      console.log(`\n✅ Signed in; the session is saved in ${config.userDataDir}.`);
+      console.log(`Run with: node burst-builder.js --userDataDir ${config.userDataDir} --headless`);
+    }
+    return true;
+  } finally {
+    await sessions.close();
+  }
+};
+
+module.exports = {
+  runLogin
+};
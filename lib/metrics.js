@@ -0,0 +1,265 @@
+// Run metrics for monitoring systems: a Prometheus /metrics endpoint (--metricsPort) and an OTLP/HTTP
+// exporter to a collector (--otlpEndpoint). Both render the same metrics, built from runBurst's
+// events and the per-tab records, so they line up with the summary and the report:
+//   prompts_submitted, generations_completed, failures (by reason), retries   counters
+//   open_tabs, generations_in_flight                                          gauges
+//   navigation_duration, time_to_first_output, generation_duration            histograms (seconds)
+// labeled by run_id, model and space (space="current" for tabs in the session's current space).
+//
+// A coordinated run (--workers) has no records here: its /metrics has worker_* counters per worker
+// from the workers' progress, and the workers export the labeled metrics over OTLP themselves.
+
+const http = require('http');
+const https = require('https');
+const { TAB_STATES, isTerminal } = require('./tab-state');
+const { startLocalServer } = require('./status');
+const { minOf, maxOf } = require('./stats');
+
+// Histogram bucket bounds in seconds
+const NAVIGATION_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 30, 60, 120];
+const GENERATION_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600, 1200];
+
+const CURRENT_SPACE = 'current';
+
+// One sample per label set: { labels, value } for counters and gauges, { labels, values } for histograms
+const groupBy = (items, labelsOf, add, initial) => {
+  const groups = new Map();
+  for (const item of items) {
+    const labels = labelsOf(item);
+    const key = JSON.stringify(labels);
+    if (!groups.has(key)) groups.set(key, { labels, ...initial() });
+    add(groups.get(key), item);
+  }
+  return [...groups.values()];
+};
+const countBy = (items, labelsOf) => groupBy(items, labelsOf, (sample) => { sample.value++; }, () => ({ value: 0 }));
+const observeBy = (items, labelsOf, valueOf) => groupBy(items, labelsOf, (sample, item) => { sample.values.push(valueOf(item) / 1000); }, () => ({ values: [] }));
+
+// Function to follow a run through its events. Returns { collect() }: the metric families so far,
+// [{ name, type: counter|gauge|histogram, unit, help, bounds?, samples }]
+const createRunMetrics = (events) => {
+  let runId = null;
+  const tabs = new Map(); // tab -> { model, space, open }
+  const records = [];
+  const navigations = []; // { tab, navigationMs }
+  const workers = new Map(); // worker name -> latest progress
+
+  events.on('runStarted', (started) => { runId = started.runId; });
+  events.on('tabOpened', ({ tab, model, space, page }) => {
+    const opened = { model, space: space || CURRENT_SPACE, open: true };
+    tabs.set(tab, opened);
+    page.once('close', () => { opened.open = false; });
+  });
+  events.on('tabLoaded', ({ tab, navigationMs }) => {
+    if (navigationMs !== null) navigations.push({ tab, navigationMs });
+  });
+  events.on('attemptStarted', ({ record }) => records.push(record));
+  events.on('workerProgress', ({ worker, ...progress }) => workers.set(worker, progress));
+
+  const tabLabels = ({ model, space }) => ({ run_id: runId, model, space });
+  const recordLabels = (record) => ({ run_id: runId, model: record.model, space: record.space || CURRENT_SPACE });
+  const submitted = () => records.filter(record => record.timestamps.submitted);
+
+  const workerFamilies = () => {
+    const perWorker = (valueOf) => [...workers].map(([worker, progress]) => ({ labels: { run_id: runId, worker }, value: valueOf(progress) }));
+    return [
+      { name: 'worker_prompts_submitted', type: 'counter', unit: '{prompt}', help: 'Prompts submitted by each worker', samples: perWorker(progress => progress.submitted) },
+      { name: 'worker_generations_completed', type: 'counter', unit: '{generation}', help: 'Generations completed by each worker', samples: perWorker(progress => progress.complete) },
+      { name: 'worker_failures', type: 'counter', unit: '{failure}', help: 'Failed and timed out prompt attempts of each worker', samples: perWorker(progress => progress.failed + progress.timedOut) },
+      { name: 'worker_generations_in_flight', type: 'gauge', unit: '{generation}', help: 'Generations in flight on each worker', samples: perWorker(progress => progress.inFlight) }
+    ];
+  };
+
+  const collect = () => {
+    if (!records.length && workers.size) return workerFamilies();
+    // Gauges keep a zero sample for every label set that had tabs
+    const zeros = () => countBy([...tabs.values()], tabLabels).map(sample => ({ ...sample, value: 0 }));
+    const gauge = (items, labelsOf) => {
+      const counted = countBy(items, labelsOf);
+      return [...counted, ...zeros().filter(zero => !counted.some(sample => JSON.stringify(sample.labels) === JSON.stringify(zero.labels)))];
+    };
+    const retries = records.flatMap(record => record.retries.map(retry => ({ ...retry, record })));
+    return [
+      { name: 'prompts_submitted', type: 'counter', unit: '{prompt}', help: 'Prompts submitted', samples: countBy(submitted(), recordLabels) },
+      { name: 'generations_completed', type: 'counter', unit: '{generation}', help: 'Generations that completed', samples: countBy(records.filter(record => record.state === TAB_STATES.COMPLETE), recordLabels) },
+      {
+        name: 'failures', type: 'counter', unit: '{failure}', help: 'Prompt attempts that failed, timed out or failed their output checks, by failure code',
+        samples: countBy(records.filter(record => record.failureReason), record => ({ ...recordLabels(record), reason: record.failureReason, failure_class: record.failureClass }))
+      },
+      {
+        name: 'retries', type: 'counter', unit: '{retry}', help: 'Failures before the prompt went out that were retried, by failure code',
+        samples: countBy(retries, retry => ({ ...recordLabels(retry.record), reason: retry.code, failure_class: retry.failureClass }))
+      },
+      { name: 'open_tabs', type: 'gauge', unit: '{tab}', help: 'Open load tabs', samples: gauge([...tabs.values()].filter(tab => tab.open), tabLabels) },
+      { name: 'generations_in_flight', type: 'gauge', unit: '{generation}', help: 'Prompts submitted whose generation has not finished', samples: gauge(submitted().filter(record => !isTerminal(record.state)), recordLabels) },
+      {
+        name: 'navigation_duration', type: 'histogram', unit: 's', bounds: NAVIGATION_BUCKETS, help: 'Time to load the projects page on a tab',
+        samples: observeBy(navigations.filter(navigation => tabs.has(navigation.tab)), navigation => tabLabels(tabs.get(navigation.tab)), navigation => navigation.navigationMs)
+      },
+      {
+        name: 'time_to_first_output', type: 'histogram', unit: 's', bounds: GENERATION_BUCKETS, help: 'Time from submission to the first AI output',
+        samples: observeBy(records.filter(record => record.timings.firstOutputMs !== undefined), recordLabels, record => record.timings.firstOutputMs)
+      },
+      {
+        name: 'generation_duration', type: 'histogram', unit: 's', bounds: GENERATION_BUCKETS, help: 'Time from submission to a completed generation',
+        samples: observeBy(records.filter(record => record.state === TAB_STATES.COMPLETE), recordLabels, record => record.timings.totalMs)
+      }
+    ];
+  };
+
+  return { collect };
+};
+
+// Per-bucket counts of values (the last bucket takes everything above the last bound)
+const bucketCounts = (values, bounds) => {
+  const counts = new Array(bounds.length + 1).fill(0);
+  for (const value of values) {
+    const i = bounds.findIndex(bound => value <= bound);
+    counts[i === -1 ? bounds.length : i]++;
+  }
+  return counts;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Prometheus names: burst_ prefix, _seconds for durations, _total for counters
+const prometheusName = (family) => `burst_${family.name}${family.unit === 's' ? '_seconds' : ''}${family.type === 'counter' ? '_total' : ''}`;
+
+const escapeLabel = (value) => String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const formatLabels = (labels) => `{${Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+
+// Metric families in the Prometheus text exposition format
+const renderPrometheus = (families) => {
+  const lines = [];
+  for (const family of families) {
+    const name = prometheusName(family);
+    lines.push(`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`);
+    for (const sample of family.samples) {
+      if (family.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(sample.labels)} ${sample.value}`);
+        continue;
+      }
+      let cumulative = 0;
+      bucketCounts(sample.values, family.bounds).forEach((count, i) => {
+        cumulative += count;
+        const le = i < family.bounds.length ? String(family.bounds[i]) : '+Inf';
+        lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le })} ${cumulative}`);
+      });
+      lines.push(`${name}_sum${formatLabels(sample.labels)} ${sum(sample.values)}`);
+      lines.push(`${name}_count${formatLabels(sample.labels)} ${sample.values.length}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+};
+
+// --metricsPort: serve the metrics in the Prometheus text format on GET /metrics of 127.0.0.1:port.
+// Resolves with { server, url, close() } once listening
+const startMetricsServer = async (metrics, { port, host }) => {
+  const text = () => ({ type: 'text/plain; version=0.0.4; charset=utf-8', body: renderPrometheus(metrics.collect()) });
+  const local = await startLocalServer({ '/metrics': text }, { port, host });
+  return { ...local, url: `${local.url}/metrics` };
+};
+
+const attributes = (labels) => Object.entries(labels).map(([key, value]) => ({ key, value: { stringValue: String(value ?? '') } }));
+
+// Metric families as an OTLP/HTTP JSON ExportMetricsServiceRequest (cumulative sums and histograms
+// since startTimeMs)
+const otlpPayload = (families, { startTimeMs, timeMs = Date.now() }) => {
+  const startTimeUnixNano = `${startTimeMs}000000`;
+  const timeUnixNano = `${timeMs}000000`;
+  const metric = (family) => {
+    const base = { name: `burst.${family.name}`, description: family.help, unit: family.unit };
+    if (family.type === 'histogram') {
+      return {
+        ...base,
+        histogram: {
+          aggregationTemporality: 2, // cumulative
+          dataPoints: family.samples.map(sample => ({
+            attributes: attributes(sample.labels),
+            startTimeUnixNano,
+            timeUnixNano,
+            count: String(sample.values.length),
+            sum: sum(sample.values),
+            ...(sample.values.length && { min: minOf(sample.values), max: maxOf(sample.values) }),
+            bucketCounts: bucketCounts(sample.values, family.bounds).map(String),
+            explicitBounds: family.bounds
+          }))
+        }
+      };
+    }
+    const dataPoints = family.samples.map(sample => ({ attributes: attributes(sample.labels), startTimeUnixNano, timeUnixNano, asInt: String(sample.value) }));
+    return family.type === 'counter'
+      ? { ...base, sum: { aggregationTemporality: 2, isMonotonic: true, dataPoints } }
+      : { ...base, gauge: { dataPoints } };
+  };
+  return {
+    resourceMetrics: [{
+      resource: { attributes: attributes({ 'service.name': 'builder-burst' }) },
+      scopeMetrics: [{
+        scope: { name: 'builder-burst', version: require('../package.json').version },
+        metrics: families.map(metric)
+      }]
+    }]
+  };
+};
+
+// --otlpEndpoint: a collector's base URL gets the standard /v1/metrics path
+const otlpMetricsUrl = (endpoint) => {
+  const url = new URL(endpoint);
+  if (url.pathname === '/' || url.pathname === '') url.pathname = '/v1/metrics';
+  return url.toString();
+};
+
+// POST one OTLP/HTTP JSON request; resolves once the collector accepted it, rejects otherwise
+const postOtlp = (url, payload) => new Promise((resolve, reject) => {
+  const body = JSON.stringify(payload);
+  const req = (new URL(url).protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    timeout: 10_000,
+    headers: { 'content-type': 'application/json', 'content-length': Buffer.byteLength(body) }
+  }, (res) => {
+    res.resume();
+    if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+    else reject(new Error(`HTTP ${res.statusCode}`));
+  });
+  req.on('timeout', () => req.destroy(new Error('timed out')));
+  req.on('error', reject);
+  req.end(body);
+});
+
+// Function to push the metrics to an OTLP/HTTP collector every intervalMs while the run lasts.
+// Returns { close() }, which sends the final values. A failing export is logged once, not retried.
+const startOtlpExporter = (metrics, { endpoint, intervalMs, log = console.warn }) => {
+  const url = otlpMetricsUrl(endpoint);
+  const startTimeMs = Date.now();
+  let lastError = null;
+  const flush = async () => {
+    try {
+      await postOtlp(url, otlpPayload(metrics.collect(), { startTimeMs }));
+      if (lastError) log(`OTLP export to ${url} works again`);
+      lastError = null;
+    } catch (error) {
+      if (error.message !== lastError) log(`⚠️  OTLP export to ${url} failed: ${error.message}`);
+      lastError = error.message;
+    }
+  };
+  const timer = setInterval(flush, intervalMs);
+  timer.unref();
+  return {
+    url,
+    close: async () => {
+      clearInterval(timer);
+      await flush();
+    }
+  };
+};
+
+module.exports = {
+  NAVIGATION_BUCKETS,
+  GENERATION_BUCKETS,
+  createRunMetrics,
+  renderPrometheus,
+  startMetricsServer,
+  otlpPayload,
+  startOtlpExporter
+};
@@ -0,0 +1,55 @@
+// AI model names and per-tab model assignment.
+//
+// The known models and their "Select AI model" menu labels come from the
+// selector profile (model.labels), so new models need no code change.
+
+const { spreadByWeight } = require('./allocation');
+
+const DEFAULT_MODEL = 'gpt-5-mini';
+
+const describeAvailableModels = (labels) => Object.entries(labels)
+  .map(([name, label]) => `${name} ("${label}")`)
+  .join(', ');
+
+const assertKnownModel = (name, labels) => {
+  if (!Object.prototype.hasOwnProperty.call(labels, name)) {
+    throw new Error(`Unknown model "${name}". Available models: ${describeAvailableModels(labels)}`);
+  }
+  return name;
+};
+
+// Parse "gpt-5-mini:60,claude-sonnet-4:30,gpt-5:10" into [{ model, weight }].
+// A missing weight counts as 1, so "gpt-5,claude-sonnet-4" is an even split.
+const parseModelMix = (spec, labels) => {
+  const mix = String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [name, weightText] = part.split(':').map(piece => piece.trim());
+    const model = assertKnownModel(name.toLowerCase(), labels);
+    const weight = weightText === undefined ? 1 : Number(weightText);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`Invalid weight for model "${name}": ${JSON.stringify(weightText)} (expected a positive number)`);
+    }
+    return { model, weight };
+  });
+  if (!mix.length) throw new Error('--models needs at least one model, e.g. --models gpt-5-mini:60,claude-sonnet-4:40');
+  const seen = new Set();
+  for (const { model } of mix) {
+    if (seen.has(model)) throw new Error(`Model "${model}" is listed more than once in --models`);
+    seen.add(model);
+  }
+  return mix;
+};
+
+// Spread `tabs` across the mix in proportion to the weights, interleaved so every
+// model is represented early in a ramp. Returns one model name per tab.
+const assignModels = (mix, tabs) => spreadByWeight(mix, tabs).map(({ model }) => model);
+
+const formatModelMix = (mix) => mix.map(({ model, weight }) => `${model}:${weight}`).join(',');
+
+module.exports = {
+  DEFAULT_MODEL,
+  describeAvailableModels,
+  assertKnownModel,
+  parseModelMix,
+  assignModels,
+  formatModelMix
+};
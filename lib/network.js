@@ -0,0 +1,261 @@
+// Network instrumentation: what each tab sends and receives on the wire.
+//
+// Every request to the target app (and to any URL matching an endpoint pattern of
+// the selector profile, e.g. the AI hosts) is recorded from Playwright page events
+// with its status, latency, size and failure. Entries are grouped by endpoint
+// pattern, so a summary shows whether failures come from the app shell, project
+// creation or the generation stream.
+
+const fs = require('fs');
+const path = require('path');
+const { summarizeLatency } = require('./stats');
+
+// Requests that end with this error were cut off by a navigation (e.g. recycling a tab),
+// not by the server, so they are counted separately from failures
+const ABORTED_ERROR = 'net::ERR_ABORTED';
+
+// Collects entries from any number of pages. Each entry belongs to a tab and to the
+// tab record (prompt attempt) it was part of: traffic between attempts (page load,
+// recycling) is claimed by the next attempt of the tab.
+// endpoints: [[name, RegExp]] in match order; captureHeaders keeps headers for HAR export.
+const createNetworkRecorder = ({ baseUrl, endpoints, captureHeaders = false }) => {
+  const entries = [];
+  const activeRecords = new Map(); // tab number -> record of the attempt in progress
+  const baseHost = new URL(baseUrl).host;
+
+  // Endpoint name for a URL; other requests to the app are "other", third-party requests are ignored
+  const classify = (url) => {
+    for (const [name, pattern] of endpoints) {
+      if (pattern.test(url)) return name;
+    }
+    try {
+      return new URL(url).host === baseHost ? 'other' : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const createEntry = (tabIndex, endpoint, fields) => {
+    const entry = {
+      tab: tabIndex + 1,
+      record: activeRecords.get(tabIndex + 1) || null,
+      endpoint,
+      startedAt: Date.now(),
+      status: null,
+      latencyMs: null, // request sent -> response headers
+      durationMs: null, // request sent -> body finished (or stream closed)
+      bytes: null,
+      failure: null,
+      aborted: false,
+      stream: null, // 'sse' or 'websocket'
+      ...fields
+    };
+    entries.push(entry);
+    return entry;
+  };
+
+  const finish = (entry) => {
+    if (entry.durationMs === null) entry.durationMs = Date.now() - entry.startedAt;
+  };
+
+  // Start recording a page's traffic for tab `tabIndex`
+  const attach = (page, tabIndex) => {
+    const open = new Map(); // Playwright request -> entry
+
+    page.on('request', (request) => {
+      const endpoint = classify(request.url());
+      if (!endpoint) return;
+      open.set(request, createEntry(tabIndex, endpoint, {
+        method: request.method(),
+        url: request.url(),
+        resourceType: request.resourceType(),
+        ...(captureHeaders && { requestHeaders: request.headers() })
+      }));
+    });
+
+    page.on('response', (response) => {
+      const entry = open.get(response.request());
+      if (!entry) return;
+      entry.status = response.status();
+      entry.statusText = response.statusText();
+      entry.latencyMs = Date.now() - entry.startedAt;
+      const headers = response.headers();
+      entry.mimeType = headers['content-type'] || null;
+      if ((entry.mimeType || '').includes('text/event-stream')) entry.stream = 'sse';
+      if (captureHeaders) entry.responseHeaders = headers;
+    });
+
+    page.on('requestfinished', async (request) => {
+      const entry = open.get(request);
+      if (!entry) return;
+      open.delete(request);
+      finish(entry);
+      try {
+        const sizes = await request.sizes();
+        entry.bytes = sizes.responseHeadersSize + sizes.responseBodySize;
+      } catch {
+        // Sizes are unavailable once the page is gone
+      }
+    });
+
+    page.on('requestfailed', (request) => {
+      const entry = open.get(request);
+      if (!entry) return;
+      open.delete(request);
+      finish(entry);
+      const errorText = request.failure()?.errorText || 'failed';
+      if (errorText.includes(ABORTED_ERROR)) entry.aborted = true;
+      else entry.failure = errorText;
+    });
+
+    page.on('websocket', (ws) => {
+      const endpoint = classify(ws.url());
+      if (!endpoint) return;
+      const entry = createEntry(tabIndex, endpoint, {
+        method: 'GET',
+        url: ws.url(),
+        resourceType: 'websocket',
+        stream: 'websocket',
+        status: 101,
+        bytes: 0,
+        frames: 0
+      });
+      const countFrame = ({ payload }) => {
+        entry.frames++;
+        entry.bytes += Buffer.byteLength(payload);
+      };
+      ws.on('framesent', countFrame);
+      ws.on('framereceived', countFrame);
+      ws.on('socketerror', (error) => { entry.failure = String(error); });
+      ws.on('close', () => finish(entry));
+    });
+  };
+
+  // Start an attempt: the tab's unclaimed entries and everything until release() belong to `record`
+  const claim = (tabIndex, record) => {
+    for (const entry of entries) {
+      if (entry.tab === tabIndex + 1 && !entry.record) entry.record = record;
+    }
+    activeRecords.set(tabIndex + 1, record);
+  };
+
+  // The attempt is over; further traffic waits for the next claim()
+  const release = (tabIndex) => {
+    activeRecords.delete(tabIndex + 1);
+  };
+
+  return { entries, attach, claim, release };
+};
+
+const isHttpError = (entry, min, max) => entry.status !== null && entry.status >= min && entry.status <= max;
+
+// Counters for one tab record
+const summarizeRecordNetwork = (entries) => ({
+  requests: entries.length,
+  failed: entries.filter(e => e.failure).length,
+  http429: entries.filter(e => e.status === 429).length,
+  http5xx: entries.filter(e => isHttpError(e, 500, 599)).length,
+  bytes: entries.reduce((sum, e) => sum + (e.bytes || 0), 0)
+});
+
+const summarizeEndpoint = (entries) => {
+  const statuses = {};
+  for (const { status } of entries) {
+    if (status === null) continue;
+    const statusClass = `${Math.floor(status / 100)}xx`;
+    statuses[statusClass] = (statuses[statusClass] || 0) + 1;
+  }
+  return {
+    ...summarizeRecordNetwork(entries),
+    aborted: entries.filter(e => e.aborted).length,
+    statuses,
+    streams: entries.filter(e => e.stream).length,
+    // Time to response headers; for streams the body duration is the generation, not the network
+    latency: summarizeLatency(entries.map(e => e.latencyMs))
+  };
+};
+
+// Totals plus one summary per endpoint pattern, busiest first
+const summarizeNetwork = (entries) => {
+  const byEndpoint = {};
+  const names = [...new Set(entries.map(e => e.endpoint))];
+  const counts = Object.fromEntries(names.map(name => [name, entries.filter(e => e.endpoint === name).length]));
+  for (const name of names.sort((a, b) => counts[b] - counts[a])) {
+    byEndpoint[name] = summarizeEndpoint(entries.filter(e => e.endpoint === name));
+  }
+  return { totals: summarizeEndpoint(entries), byEndpoint };
+};
+
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const harHeaders = (headers = {}) => Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+
+// HAR 1.2 document for a list of entries (one tab)
+const toHar = (entries, { creatorVersion, comment } = {}) => ({
+  log: {
+    version: '1.2',
+    creator: { name: 'builder-burst', version: creatorVersion || '' },
+    comment: comment || '',
+    entries: entries.filter(e => e.resourceType !== 'websocket').map((e) => {
+      const url = new URL(e.url);
+      const wait = e.latencyMs ?? -1;
+      const receive = e.durationMs !== null && e.latencyMs !== null ? e.durationMs - e.latencyMs : -1;
+      return {
+        startedDateTime: new Date(e.startedAt).toISOString(),
+        time: e.durationMs ?? 0,
+        request: {
+          method: e.method,
+          url: e.url,
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: harHeaders(e.requestHeaders),
+          queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+          headersSize: -1,
+          bodySize: -1
+        },
+        response: {
+          status: e.status ?? 0,
+          statusText: e.statusText || e.failure || (e.aborted ? ABORTED_ERROR : ''),
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: harHeaders(e.responseHeaders),
+          content: { size: e.bytes ?? -1, mimeType: e.mimeType || '' },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: e.bytes ?? -1
+        },
+        cache: {},
+        timings: { send: 0, wait, receive },
+        _endpoint: e.endpoint,
+        ...(e.failure && { _failure: e.failure })
+      };
+    })
+  }
+});
+
+// Write one HAR file per tab into `dir`. Returns the written paths.
+const writeHarFiles = (dir, entries, { runId, creatorVersion }) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const written = [];
+  for (const tab of [...new Set(entries.map(e => e.tab))].sort((a, b) => a - b)) {
+    const file = path.join(dir, `${runId}-tab-${tab}.har`);
+    const har = toHar(entries.filter(e => e.tab === tab), { creatorVersion, comment: `run ${runId}, tab ${tab}` });
+    fs.writeFileSync(file, JSON.stringify(har, null, 2) + '\n');
+    written.push(file);
+  }
+  return written;
+};
+
+module.exports = {
+  createNetworkRecorder,
+  summarizeRecordNetwork,
+  summarizeNetwork,
+  formatBytes,
+  toHar,
+  writeHarFiles
+};
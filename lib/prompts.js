@@ -0,0 +1,114 @@
+// Prompt corpus loading, per-tab assignment and templating.
+//
+// Corpus formats (picked by file extension):
+//   .txt          one prompt per line; blank lines and lines starting with # are ignored
+//   .jsonl        one JSON value per line: a string or { "text": "...", "weight": 2 }
+//   .yaml / .yml  a list of strings or { text, weight } objects, or { prompts: [...] }
+//
+// Placeholders rendered per tab:
+//   {{tab}}          1-based tab number
+//   {{runId}}        run ID of this burst
+//   {{timestamp}}    ISO timestamp at which the prompt is rendered
+//   {{pick:a|b|c}}   one option picked at random (seeded)
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { isYamlFile } = require('./files');
+const { pickOne, weightedPick } = require('./random');
+
+const PROMPT_STRATEGIES = ['round-robin', 'random', 'weighted'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)(?::([^}]*))?\s*\}\}/g;
+const PLACEHOLDERS = ['tab', 'runId', 'timestamp', 'pick'];
+
+const normalizeEntry = (entry, location) => {
+  if (typeof entry === 'string') entry = { text: entry };
+  if (!entry || typeof entry !== 'object' || typeof entry.text !== 'string' || !entry.text.trim()) {
+    throw new Error(`${location}: expected a prompt string or an object with a "text" field`);
+  }
+  const weight = entry.weight === undefined ? 1 : Number(entry.weight);
+  if (!Number.isFinite(weight) || weight <= 0) {
+    throw new Error(`${location}: weight must be a positive number, got ${JSON.stringify(entry.weight)}`);
+  }
+  for (const [, name, argument] of entry.text.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PLACEHOLDERS.includes(name)) {
+      throw new Error(`${location}: unknown placeholder {{${name}}}. Supported: ${PLACEHOLDERS.join(', ')}`);
+    }
+    if (name === 'pick' && !argument?.trim()) {
+      throw new Error(`${location}: {{pick:...}} needs at least one option, e.g. {{pick:red|green|blue}}`);
+    }
+  }
+  return { text: entry.text.trim(), weight };
+};
+
+const parseCorpus = (content, file) => {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.jsonl') {
+    return content.split(/\r?\n/)
+      .map((line, i) => [line.trim(), i + 1])
+      .filter(([line]) => line)
+      .map(([line, lineNo]) => {
+        try {
+          return [JSON.parse(line), `${file}:${lineNo}`];
+        } catch (error) {
+          throw new Error(`${file}:${lineNo}: invalid JSON (${error.message})`);
+        }
+      });
+  }
+  if (isYamlFile(file)) {
+    const doc = yaml.load(content, { filename: file });
+    const list = Array.isArray(doc) ? doc : doc?.prompts;
+    if (!Array.isArray(list)) {
+      throw new Error(`${file}: expected a list of prompts or a "prompts" list`);
+    }
+    return list.map((entry, i) => [entry, `${file}: prompt #${i + 1}`]);
+  }
+  return content.split(/\r?\n/)
+    .map((line, i) => [line.trim(), `${file}:${i + 1}`])
+    .filter(([line]) => line && !line.startsWith('#'));
+};
+
+// Load and validate a corpus file into [{ text, weight }]
+const loadPromptCorpus = (file) => {
+  const entries = parseCorpus(fs.readFileSync(file, 'utf8'), file)
+    .map(([entry, location]) => normalizeEntry(entry, location));
+  if (!entries.length) throw new Error(`${file}: prompt corpus is empty`);
+  return entries;
+};
+
+// Single-entry corpus for a plain prompt string (e.g. PROMPT_TEXT)
+const corpusFromText = (text) => [normalizeEntry(text, 'PROMPT_TEXT')];
+
+// Returns tabIndex => corpus entry for the chosen strategy
+const createPromptPicker = (corpus, strategy, rng) => {
+  switch (strategy) {
+    case 'round-robin':
+      return (tabIndex) => corpus[tabIndex % corpus.length];
+    case 'random':
+      return () => pickOne(rng, corpus);
+    case 'weighted':
+      return () => weightedPick(rng, corpus);
+    default:
+      throw new Error(`Unknown prompt strategy "${strategy}". Expected one of: ${PROMPT_STRATEGIES.join(', ')}`);
+  }
+};
+
+const renderPrompt = (template, { tab, runId }, rng) => template.replace(PLACEHOLDER_PATTERN, (match, name, argument) => {
+  switch (name) {
+    case 'tab': return String(tab);
+    case 'runId': return runId;
+    case 'timestamp': return new Date().toISOString();
+    case 'pick': return pickOne(rng, argument.split('|').map(option => option.trim()));
+    default: return match;
+  }
+});
+
+module.exports = {
+  PROMPT_STRATEGIES,
+  normalizeEntry,
+  loadPromptCorpus,
+  corpusFromText,
+  createPromptPicker,
+  renderPrompt
+};
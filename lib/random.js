@@ -0,0 +1,40 @@
+// Seeded randomness so a run's prompt and model assignment can be reproduced.
+
+const crypto = require('crypto');
+
+// Hash any string seed down to a 32-bit integer
+const hashSeed = (seed) => crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+// mulberry32: small, fast PRNG returning floats in [0, 1)
+const createRng = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomSeed = () => crypto.randomBytes(4).toString('hex');
+
+const pickOne = (rng, items) => items[Math.floor(rng() * items.length)];
+
+// Pick an item with probability proportional to its weight
+const weightedPick = (rng, items, weightOf = item => item.weight) => {
+  const total = items.reduce((sum, item) => sum + weightOf(item), 0);
+  let roll = rng() * total;
+  for (const item of items) {
+    roll -= weightOf(item);
+    if (roll < 0) return item;
+  }
+  return items[items.length - 1];
+};
+
+module.exports = {
+  createRng,
+  randomSeed,
+  pickOne,
+  weightedPick
+};
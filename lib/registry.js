@@ -0,0 +1,102 @@
+// Run registry: which projects each run created, so `cleanup` can remove exactly those.
+//
+// One JSON file per run (<dir>/<runId>.json) holding the run's start time, target,
+// the accounts it ran as and every project it created. The file is rewritten as soon
+// as a project appears, so an interrupted run still leaves a complete list behind.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_DIR = './.burst-runs';
+
+// Project status in the registry: created by a run, then removed by cleanup
+const PROJECT_STATUSES = ['created', 'deleted', 'archived', 'missing'];
+
+const runFile = (dir, runId) => path.join(dir, `${runId}.json`);
+
+const saveRun = (dir, run) => {
+  fs.mkdirSync(dir, { recursive: true });
+  // Write then rename, so a crash never leaves a half-written registry file
+  const file = runFile(dir, run.runId);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(run, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+  return file;
+};
+
+// Project ID from a project URL: the last path segment matched by generation.projectUrlPattern
+const projectIdFromUrl = (url, projectUrlRegExp) => {
+  const match = String(url).match(projectUrlRegExp);
+  if (!match) return null;
+  return match[0].split('/').filter(Boolean).pop();
+};
+
+// Registry entry for a run in progress. addProject() is safe to call for every record
+// of a tab; a project is stored once.
+const createRunRegistry = (dir, { runId, baseUrl, startedAt, accounts, projectUrlRegExp }) => {
+  const run = {
+    runId,
+    baseUrl,
+    startedAt: startedAt.toISOString(),
+    endedAt: null,
+    accounts,
+    projects: []
+  };
+
+  const addProject = (record) => {
+    const projectId = projectIdFromUrl(record.projectUrl, projectUrlRegExp);
+    if (!projectId || run.projects.some(project => project.projectId === projectId)) return;
+    run.projects.push({
+      projectId,
+      projectUrl: record.projectUrl,
+      tab: record.tab,
+      iteration: record.iteration,
+      account: record.account,
+      space: record.space,
+      createdAt: new Date(record.timestamps.project_created || Date.now()).toISOString(),
+      status: 'created'
+    });
+    saveRun(dir, run);
+  };
+
+  const finish = (endedAt = new Date()) => {
+    run.endedAt = endedAt.toISOString();
+    return saveRun(dir, run);
+  };
+
+  return { run, file: runFile(dir, runId), addProject, finish };
+};
+
+// Every run in the registry, oldest first; unreadable files are reported, not fatal
+const loadRuns = (dir) => {
+  if (!fs.existsSync(dir)) return [];
+  const runs = [];
+  for (const name of fs.readdirSync(dir).filter(file => file.endsWith('.json'))) {
+    try {
+      runs.push(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+    } catch (error) {
+      console.warn(`⚠️  Skipping unreadable registry file ${path.join(dir, name)}: ${error.message}`);
+    }
+  }
+  return runs.sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt));
+};
+
+// Runs picked by --run ids and/or --olderThan (ms); throws on unknown run IDs
+const selectRuns = (runs, { runIds = [], olderThanMs = null, now = Date.now() }) => {
+  for (const runId of runIds) {
+    if (!runs.some(run => run.runId === runId)) {
+      throw new Error(`Run "${runId}" is not in the registry. Known runs: ${runs.map(run => run.runId).join(', ') || 'none'}`);
+    }
+  }
+  return runs.filter(run => runIds.includes(run.runId)
+    || (olderThanMs !== null && Date.parse(run.startedAt) <= now - olderThanMs));
+};
+
+module.exports = {
+  DEFAULT_REGISTRY_DIR,
+  PROJECT_STATUSES,
+  saveRun,
+  projectIdFromUrl,
+  createRunRegistry,
+  loadRuns,
+  selectRuns
+};
@@ -0,0 +1,193 @@
+// Machine-readable run reports (JSON, CSV and JUnit XML).
+
+const fs = require('fs');
+const path = require('path');
+const { TAB_STATES, isTerminal } = require('./tab-state');
+const { formatFaults } = require('./chaos');
+
+const REPORT_FORMATS = ['json', 'csv', 'junit'];
+
+// Explicit --reportFormat wins, otherwise go by file extension
+const detectFormat = (reportPath, explicitFormat) => {
+  if (explicitFormat) {
+    const format = explicitFormat.toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown report format "${explicitFormat}". Expected one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+    return format;
+  }
+  const ext = path.extname(reportPath).toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.xml') return 'junit';
+  return 'json';
+};
+
+const toIso = (ms) => ms ? new Date(ms).toISOString() : null;
+
+// Report-friendly view of a tab record
+const serializeRecord = (record) => {
+  const timestamps = {};
+  for (const [state, at] of Object.entries(record.timestamps)) timestamps[state] = toIso(at);
+  return {
+    tab: record.tab,
+    // The worker that ran the tab, in a coordinated run
+    ...(record.worker && { worker: record.worker }),
+    iteration: record.iteration,
+    attempt: record.attempt,
+    model: record.model,
+    account: record.account,
+    space: record.space,
+    outcome: record.state,
+    failureReason: record.failureReason,
+    failureClass: record.failureClass,
+    failureDetail: record.failureDetail,
+    retries: record.retries,
+    retried: record.retried,
+    prompt: record.prompt,
+    scenario: record.scenario || null,
+    step: record.step || null,
+    projectUrl: record.projectUrl,
+    network: record.network || null,
+    artifacts: record.artifacts || null,
+    clientOverloaded: Boolean(record.clientOverloaded),
+    pageMetrics: record.pageMetrics || null,
+    faults: record.faults || [],
+    checks: record.checks || null,
+    timestamps,
+    timings: { ...record.timings }
+  };
+};
+
+const buildReport = ({ meta, records, summary }) => ({
+  meta,
+  summary,
+  tabs: records.map(serializeRecord)
+});
+
+// One row per tab; each column is [header, value getter]
+const CSV_COLUMNS = [
+  ['tab', t => t.tab],
+  ['iteration', t => t.iteration],
+  ['attempt', t => t.attempt],
+  ['model', t => t.model],
+  ['account', t => t.account],
+  ['space', t => t.space],
+  ['outcome', t => t.outcome],
+  ['failure_reason', t => t.failureReason],
+  ['failure_class', t => t.failureClass],
+  ['failure_detail', t => t.failureDetail],
+  ['retries', t => t.retries.length],
+  ['retried', t => t.retried],
+  ['prompt', t => t.prompt],
+  ['scenario', t => t.scenario],
+  ['step', t => t.step],
+  ['project_url', t => t.projectUrl],
+  ['submitted_at', t => t.timestamps.submitted],
+  ['project_created_ms', t => t.timings.projectCreatedMs],
+  ['first_output_ms', t => t.timings.firstOutputMs],
+  ['total_ms', t => t.timings.totalMs],
+  ['requests', t => t.network?.requests],
+  ['failed_requests', t => t.network?.failed],
+  ['http_429', t => t.network?.http429],
+  ['http_5xx', t => t.network?.http5xx],
+  ['response_bytes', t => t.network?.bytes],
+  ['client_overloaded', t => t.clientOverloaded],
+  ['js_heap_max_bytes', t => t.pageMetrics?.jsHeapUsedMaxBytes],
+  ['faults', t => formatFaults(t.faults)],
+  ['checks_failed', t => t.checks?.filter(check => !check.passed).map(check => check.name).join('; ')],
+  ['screenshot', t => t.artifacts?.screenshot],
+  ['trace', t => t.artifacts?.trace]
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (report) => {
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+  for (const tab of report.tabs) {
+    lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(tab))).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
+
+const xmlEscape = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+// Each tab is a test case: complete passes, failed/timed_out/checks_failed fail, unfinished tabs are skipped
+const toJUnit = (report) => {
+  const { meta, tabs } = report;
+  const failures = tabs.filter(t => isTerminal(t.outcome) && t.outcome !== TAB_STATES.COMPLETE).length;
+  const skipped = tabs.filter(t => !isTerminal(t.outcome)).length;
+  const duration = meta.endedAt && meta.startedAt ? Date.parse(meta.endedAt) - Date.parse(meta.startedAt) : 0;
+
+  const properties = Object.entries(meta)
+    .filter(([, value]) => value !== null && typeof value !== 'object')
+    .map(([name, value]) => `      <property name="${xmlEscape(name)}" value="${xmlEscape(value)}"/>`);
+
+  const testcases = tabs.map(t => {
+    // With several accounts the account is part of the name, so failures can be traced to it
+    const account = (meta.accounts || []).length > 1 ? ` (${t.account})` : '';
+    const step = t.step ? ` step ${t.step}` : '';
+    const retry = t.attempt > 1 ? ` retry ${t.attempt - 1}` : '';
+    const name = `${t.iteration > 1 ? `tab ${t.tab} #${t.iteration}` : `tab ${t.tab}`}${step}${retry}${account}`;
+    const open = `    <testcase classname="builder-burst.${xmlEscape(t.model)}" name="${xmlEscape(name)}" time="${seconds(t.timings.totalMs)}"`;
+    // Measured while the client was overloaded (its timings may be the client's own), or with --chaos faults
+    const flags = [
+      t.clientOverloaded && '<property name="clientOverloaded" value="true"/>',
+      t.faults.length && `<property name="faults" value="${xmlEscape(formatFaults(t.faults))}"/>`
+    ].filter(Boolean);
+    const flag = flags.length ? `      <properties>${flags.join('')}</properties>\n` : '';
+    if (t.outcome === TAB_STATES.COMPLETE) return flag ? `${open}>\n${flag}    </testcase>` : `${open}/>`;
+    const body = isTerminal(t.outcome)
+      ? `      <failure type="${xmlEscape(t.outcome)}" message="${xmlEscape([t.failureReason || t.outcome, t.failureDetail].filter(Boolean).join(': '))}"/>`
+      : `      <skipped message="${xmlEscape(`ended in state ${t.outcome}`)}"/>`;
+    // Jenkins/GitLab attachment convention, so CI shows the failure artifacts next to the test
+    const attachments = t.artifacts
+      ? `\n      <system-out>${Object.values(t.artifacts).map(file => `[[ATTACHMENT|${xmlEscape(path.resolve(file))}]]`).join('\n')}</system-out>`
+      : '';
+    return `${open}>\n${flag}${body}${attachments}\n    </testcase>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="builder-burst" tests="${tabs.length}" failures="${failures}" skipped="${skipped}" time="${seconds(duration)}">`,
+    `  <testsuite name="burst ${xmlEscape(meta.runId)}" tests="${tabs.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(duration)}" timestamp="${xmlEscape(meta.startedAt)}">`,
+    '    <properties>',
+    ...properties,
+    '    </properties>',
+    ...testcases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+};
+
+const FORMATTERS = {
+  json: (report) => JSON.stringify(report, null, 2) + '\n',
+  csv: toCsv,
+  junit: toJUnit
+};
+
+// Write the report, creating parent directories as needed. Returns the format used.
+const writeReport = (reportPath, report, explicitFormat) => {
+  const format = detectFormat(reportPath, explicitFormat);
+  fs.mkdirSync(path.dirname(path.resolve(reportPath)), { recursive: true });
+  fs.writeFileSync(reportPath, FORMATTERS[format](report));
+  return format;
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  detectFormat,
+  buildReport,
+  writeReport
+};
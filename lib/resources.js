@@ -0,0 +1,189 @@
+// Client resource monitoring: host CPU and memory every few seconds, and every load tab's JS heap
+// and DOM size through CDP (Performance.getMetrics). While the host is above --maxCpu or --maxMemory
+// the client is overloaded: new tabs and new prompts wait until it recovers (generations in flight
+// carry on, so concurrency is capped at what is running), and every prompt attempt that overlapped
+// an overloaded period is flagged, since its latencies may be the client's own.
+
+const fs = require('fs');
+const os = require('os');
+const { percentile, maxOf } = require('./stats');
+const { sleep } = require('./duration');
+
+const SAMPLE_INTERVAL_MS = 2000;
+// The average of the latest samples counts, so one busy moment does not pause the run
+const SMOOTHING_SAMPLES = 3;
+// Every tab's page metrics take a CDP round trip; they are sampled every few host samples
+const PAGE_SAMPLE_EVERY = 5;
+// While the client stays overloaded, say so this often, so a paused run does not look hung
+const STILL_OVERLOADED_LOG_MS = 30_000;
+
+// --maxCpu / --maxMemory: a fraction (0.9) or a percentage (90%) of the host; 100% turns the check off
+const parseThreshold = (value, option) => {
+  const text = String(value).trim();
+  const share = text.endsWith('%') ? Number(text.slice(0, -1)) / 100 : Number(text);
+  if (!Number.isFinite(share) || share <= 0 || share > 1) {
+    throw new Error(`--${option} must be a fraction above 0 and up to 1 (e.g. 0.9) or a percentage (e.g. 90%), got "${value}"`);
+  }
+  return share;
+};
+
+const formatShare = (share) => (share === null || share === undefined ? '-' : `${Math.round(share * 100)}%`);
+
+// Share of the host memory in use. os.freemem() leaves out the reclaimable page cache on macOS and
+// on Linux before Node 22, so an idle host reads nearly full; Linux's MemAvailable counts it
+const memoryInUse = () => {
+  try {
+    const match = fs.readFileSync('/proc/meminfo', 'utf8').match(/^MemAvailable:\s+(\d+) kB$/m);
+    if (match) return 1 - (Number(match[1]) * 1024) / os.totalmem();
+  } catch (error) {
+    // Not Linux
+  }
+  return 1 - os.freemem() / os.totalmem();
+};
+
+// Busy share of all CPUs since the previous reading
+const cpuTimes = () => os.cpus().reduce((sum, cpu) => {
+  const times = Object.values(cpu.times);
+  return { idle: sum.idle + cpu.times.idle, total: sum.total + times.reduce((a, b) => a + b, 0) };
+}, { idle: 0, total: 0 });
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const summarizeShares = (values) => ({
+  avg: average(values),
+  p95: percentile(values, 95),
+  max: maxOf(values)
+});
+
+// Function to monitor the client while a run lasts. onSample gets { at, cpu, memory, overloaded }.
+// Returns { watchPage, waitUntilHealthy, annotate, summary, stop }
+const createResourceMonitor = ({ maxCpu, maxMemory, onSample = () => {}, log = console.log }) => {
+  const samples = []; // { at, cpu, memory }
+  const periods = []; // overloaded periods: { start, end, reason }; end null while it lasts
+  const pages = new Map(); // tab -> { page, session, samples: [{ at, jsHeapUsedBytes, jsHeapTotalBytes, domNodes }] }
+  let previous = cpuTimes();
+  let sampling = false;
+  let count = 0;
+  let waiting = 0; // callers of waitUntilHealthy
+  let reportedAt = 0;
+
+  const current = () => periods.find(period => period.end === null) || null;
+
+  const samplePage = async (entry) => {
+    if (entry.unavailable || entry.page.isClosed()) return;
+    try {
+      if (!entry.session) {
+        entry.session = await entry.page.context().newCDPSession(entry.page);
+        await entry.session.send('Performance.enable');
+      }
+      const { metrics } = await entry.session.send('Performance.getMetrics');
+      const value = (name) => metrics.find(metric => metric.name === name)?.value ?? null;
+      entry.samples.push({ at: Date.now(), jsHeapUsedBytes: value('JSHeapUsedSize'), jsHeapTotalBytes: value('JSHeapTotalSize'), domNodes: value('Nodes') });
+    } catch (error) {
+      // A closed tab, or a browser without CDP: keep going without its page metrics
+      if (!entry.page.isClosed()) entry.unavailable = true;
+    }
+  };
+
+  const sample = async () => {
+    if (sampling) return;
+    sampling = true;
+    try {
+      const now = cpuTimes();
+      const cpu = now.total > previous.total ? 1 - (now.idle - previous.idle) / (now.total - previous.total) : 0;
+      previous = now;
+      const at = Date.now();
+      samples.push({ at, cpu, memory: memoryInUse() });
+
+      const recent = samples.slice(-SMOOTHING_SAMPLES);
+      const load = { cpu: average(recent.map(s => s.cpu)), memory: average(recent.map(s => s.memory)) };
+      const reasons = [
+        load.cpu > maxCpu && `CPU ${formatShare(load.cpu)} > ${formatShare(maxCpu)}`,
+        load.memory > maxMemory && `memory ${formatShare(load.memory)} > ${formatShare(maxMemory)}`
+      ].filter(Boolean);
+      const period = current();
+      if (reasons.length && !period) {
+        periods.push({ start: recent[0].at, end: null, reason: reasons.join(', ') });
+        reportedAt = at;
+        log(`⚠️  Client overloaded (${reasons.join(', ')}): new tabs and prompts wait until it recovers`);
+      } else if (reasons.length && at - reportedAt >= STILL_OVERLOADED_LOG_MS) {
+        reportedAt = at;
+        log(`⚠️  Client still overloaded after ${((at - period.start) / 1000).toFixed(0)}s (${reasons.join(', ')}): ${waiting} new tab(s) or prompt(s) waiting; lower the load or raise --maxCpu / --maxMemory`);
+      } else if (!reasons.length && period) {
+        period.end = at;
+        log(`Client recovered after ${((at - period.start) / 1000).toFixed(1)}s; new tabs and prompts resume`);
+      }
+      onSample({ at, ...load, overloaded: Boolean(current()) });
+
+      if (count++ % PAGE_SAMPLE_EVERY === 0) await Promise.all([...pages.values()].map(samplePage));
+    } finally {
+      sampling = false;
+    }
+  };
+
+  const timer = setInterval(() => sample().catch(() => {}), SAMPLE_INTERVAL_MS);
+  timer.unref();
+
+  // Sample the page metrics of a load tab (numbered from 1); a reopened tab replaces its page
+  const watchPage = (page, tab) => {
+    pages.set(tab, { page, session: null, samples: pages.get(tab)?.samples || [] });
+  };
+
+  // Resolves once the client is not overloaded, or when signal is aborted
+  const waitUntilHealthy = async (signal) => {
+    waiting++;
+    try {
+      while (current() && !signal?.aborted) await sleep(SAMPLE_INTERVAL_MS, signal);
+    } finally {
+      waiting--;
+    }
+  };
+
+  // Flag a record whose attempt overlapped an overloaded period and add its tab's peak page metrics
+  const annotate = (record) => {
+    const start = record.timestamps.pending;
+    const end = Math.max(...Object.values(record.timestamps));
+    record.clientOverloaded = periods.some(period => period.start <= end && (period.end === null || period.end >= start));
+    const during = (pages.get(record.tab)?.samples || []).filter(s => s.at >= start && s.at <= end);
+    const peak = (field) => {
+      return maxOf(during.map(s => s[field]).filter(value => value !== null));
+    };
+    record.pageMetrics = during.length ? { jsHeapUsedMaxBytes: peak('jsHeapUsedBytes'), domNodesMax: peak('domNodes') } : null;
+  };
+
+  // Summary for the report: host usage, overloaded periods and the peak page metrics
+  const summary = () => {
+    const end = Date.now();
+    const pageSamples = [...pages.values()].flatMap(entry => entry.samples);
+    const peak = (field) => {
+      return maxOf(pageSamples.map(s => s[field]).filter(value => value !== null));
+    };
+    return {
+      thresholds: { cpu: maxCpu, memory: maxMemory },
+      host: { cpus: os.cpus().length, totalMemoryBytes: os.totalmem() },
+      samples: samples.length,
+      cpu: summarizeShares(samples.map(s => s.cpu)),
+      memory: summarizeShares(samples.map(s => s.memory)),
+      overloadedMs: periods.reduce((total, period) => total + (period.end ?? end) - period.start, 0),
+      overloadedPeriods: periods.map(period => ({
+        start: new Date(period.start).toISOString(),
+        end: new Date(period.end ?? end).toISOString(),
+        reason: period.reason
+      })),
+      pages: { jsHeapUsedMaxBytes: peak('jsHeapUsedBytes'), domNodesMax: peak('domNodes') }
+    };
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    for (const entry of pages.values()) entry.session?.detach().catch(() => {});
+  };
+
+  return { watchPage, waitUntilHealthy, annotate, summary, stop };
+};
+
+module.exports = {
+  parseThreshold,
+  formatShare,
+  createResourceMonitor
+};
@@ -0,0 +1,123 @@
+// Multi-turn scenarios (--scenario): instead of a single prompt, each tab runs a scenario, a
+// conversation with one project. Its first step creates the project from the projects page; every
+// further step is a follow-up prompt sent into the project chat once the previous generation has
+// completed. A step that fails ends the scenario run there.
+//
+// Scenario file (JSON or YAML), one scenario:
+//   name: landing-page                 # optional, defaults to the file name
+//   steps:
+//     - prompt: Generate a landing page for {{pick:a bakery|a gym}}
+//       timeout: 10m                   # optional generation timeout of the step (default --generationTimeout)
+//     - prompt: Add a pricing section
+//       think: 20s                     # optional pause before the step is sent
+//     - Make it dark mode              # a plain string is a step without options
+// or several, picked per tab like prompts (--promptStrategy, with an optional weight each):
+//   scenarios: [{ name, weight, steps }, ...]   (or a plain list of scenarios)
+//
+// Prompts take the placeholders of prompt corpora ({{tab}}, {{pick:a|b}}, ...).
+
+const path = require('path');
+const { readDataFile } = require('./files');
+const { parseDuration } = require('./duration');
+const { normalizeEntry } = require('./prompts');
+const { summarizeTabs } = require('./stats');
+const { TAB_STATES } = require('./tab-state');
+
+const SCENARIO_KEYS = ['name', 'weight', 'steps'];
+const STEP_KEYS = ['prompt', 'think', 'timeout'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseStep = (step, location) => {
+  if (typeof step === 'string') step = { prompt: step };
+  if (!isPlainObject(step)) throw new Error(`${location}: expected a prompt string or an object with a "prompt" field`);
+  const unknown = Object.keys(step).filter(key => !STEP_KEYS.includes(key));
+  if (unknown.length) throw new Error(`${location}: unknown step keys: ${unknown.join(', ')}. Supported: ${STEP_KEYS.join(', ')}`);
+  if (typeof step.prompt !== 'string' || !step.prompt.trim()) throw new Error(`${location}: "prompt" must be a non-empty string`);
+  const withLocation = (parse) => {
+    try {
+      return parse();
+    } catch (error) {
+      throw new Error(`${location}: ${error.message}`);
+    }
+  };
+  const timeoutMs = step.timeout === undefined ? null : withLocation(() => parseDuration(step.timeout));
+  if (timeoutMs !== null && timeoutMs < 10_000) throw new Error(`${location}: timeout must be at least 10s, got "${step.timeout}"`);
+  return {
+    prompt: normalizeEntry(step.prompt, location).text,
+    thinkMs: withLocation(() => parseDuration(step.think)),
+    // null: the run's --generationTimeout
+    timeoutMs
+  };
+};
+
+const parseScenario = (scenario, location, fallbackName) => {
+  if (!isPlainObject(scenario)) throw new Error(`${location}: expected a scenario object with "steps"`);
+  const unknown = Object.keys(scenario).filter(key => !SCENARIO_KEYS.includes(key));
+  if (unknown.length) throw new Error(`${location}: unknown scenario keys: ${unknown.join(', ')}. Supported: ${SCENARIO_KEYS.join(', ')}`);
+  if (!Array.isArray(scenario.steps) || !scenario.steps.length) throw new Error(`${location}: "steps" must be a non-empty list`);
+  const name = scenario.name === undefined ? fallbackName : String(scenario.name).trim();
+  if (!name) throw new Error(`${location}: name must not be empty`);
+  const weight = scenario.weight === undefined ? 1 : Number(scenario.weight);
+  if (!Number.isFinite(weight) || weight <= 0) throw new Error(`${location}: weight must be a positive number, got ${JSON.stringify(scenario.weight)}`);
+  return {
+    name,
+    weight,
+    steps: scenario.steps.map((step, i) => parseStep(step, `${location} step #${i + 1}`))
+  };
+};
+
+// Load and validate a scenario file into [{ name, weight, steps: [{ prompt, thinkMs, timeoutMs }] }]
+const loadScenarios = (file) => {
+  const doc = readDataFile(file);
+  const list = Array.isArray(doc) ? doc : Array.isArray(doc?.scenarios) ? doc.scenarios : [doc];
+  if (!list.length) throw new Error(`${file}: no scenarios`);
+  const single = list.length === 1;
+  const baseName = path.basename(file, path.extname(file));
+  const scenarios = list.map((scenario, i) => parseScenario(scenario, single ? file : `${file}: scenario #${i + 1}`, single ? baseName : `${baseName}-${i + 1}`));
+  const names = scenarios.map(scenario => scenario.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`${file}: scenario name "${duplicate}" is used twice`);
+  return scenarios;
+};
+
+// e.g. "landing-page (3 steps), bugfix (2 steps)"
+const describeScenarios = (scenarios) => scenarios.map(({ name, steps }) => `${name} (${steps.length} step${steps.length === 1 ? '' : 's'})`).join(', ');
+
+// Label of a scenario step in the summary, e.g. "landing-page #2"
+const stepLabel = (scenario, step) => `${scenario} #${step}`;
+
+// Summary for the report: scenario runs (a tab's pass through a scenario) and how many got
+// through every step, per scenario, plus summarizeTabs for every step
+const summarizeScenarios = (records, scenarios) => {
+  const runs = new Map(); // worker:tab:iteration -> the run's latest record
+  for (const record of records.filter(r => r.scenario)) runs.set(`${record.worker || ''}:${record.tab}:${record.iteration}`, record);
+
+  const byScenario = Object.fromEntries(scenarios.map(({ name, steps }) => [name, { steps: steps.length, runs: 0, completed: 0 }]));
+  for (const last of runs.values()) {
+    const scenario = byScenario[last.scenario];
+    if (!scenario) continue;
+    scenario.runs++;
+    if (last.step === scenario.steps && last.state === TAB_STATES.COMPLETE) scenario.completed++;
+  }
+  const byStep = {};
+  for (const { name, steps } of scenarios) {
+    for (let step = 1; step <= steps.length; step++) {
+      byStep[stepLabel(name, step)] = summarizeTabs(records.filter(record => record.scenario === name && record.step === step));
+    }
+  }
+  const total = Object.values(byScenario);
+  return {
+    runs: total.reduce((sum, scenario) => sum + scenario.runs, 0),
+    completed: total.reduce((sum, scenario) => sum + scenario.completed, 0),
+    byScenario,
+    byStep
+  };
+};
+
+module.exports = {
+  loadScenarios,
+  describeScenarios,
+  stepLabel,
+  summarizeScenarios
+};
@@ -0,0 +1,182 @@
+// Selector profiles: every Builder UI selector (and network endpoint pattern) the
+// tool relies on, kept in a versioned JSON/YAML file so UI drift can be fixed
+// without code changes.
+//
+// The bundled profile lives in selectors/builder-default.json. A --selectors file
+// is merged on top of it: objects merge key by key, lists and strings replace.
+
+const path = require('path');
+const { readDataFile } = require('./files');
+
+const DEFAULT_SELECTOR_PROFILE = path.join(__dirname, '..', 'selectors', 'builder-default.json');
+
+// Expected shape of a profile. Leaf types:
+//   string    a single selector or value
+//   list      non-empty list of selectors, tried in order
+//   map       name -> string
+//   pattern   regular expression source
+//   patterns  name -> regular expression source, in match order
+const SCHEMA = {
+  name: 'string',
+  version: 'string',
+  description: 'string',
+  auth: {
+    login: 'list',
+    authenticated: 'list',
+    sessionApi: 'pattern'
+  },
+  ready: {
+    appShell: 'list',
+    interactive: 'list'
+  },
+  model: {
+    dropdown: 'list',
+    menuItem: 'string',
+    labels: 'map'
+  },
+  space: {
+    switcher: 'list',
+    option: 'string',
+    apiKeyAttribute: 'string',
+    apiKeyParam: 'string'
+  },
+  prompt: {
+    input: 'list',
+    send: 'list'
+  },
+  chat: {
+    input: 'list',
+    send: 'list'
+  },
+  preview: {
+    frame: 'list'
+  },
+  toast: {
+    error: 'list'
+  },
+  generation: {
+    projectUrlPattern: 'pattern',
+    output: 'list',
+    busy: 'list',
+    error: 'list'
+  },
+  cleanup: {
+    projectMenu: 'list',
+    delete: 'list',
+    archive: 'list',
+    confirm: 'list',
+    notFound: 'list'
+  },
+  network: {
+    endpoints: 'patterns'
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const mergeProfiles = (base, override) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeProfiles(base[key], value) : value;
+  }
+  return merged;
+};
+
+// Throws on unknown keys, missing keys and wrong types, naming the offending path
+const validateProfile = (profile, schema = SCHEMA, prefix = '') => {
+  for (const key of Object.keys(profile)) {
+    if (!(key in schema)) throw new Error(`Unknown selector profile key "${prefix}${key}"`);
+  }
+  for (const [key, type] of Object.entries(schema)) {
+    const value = profile[key];
+    const where = `${prefix}${key}`;
+    if (value === undefined) throw new Error(`Selector profile is missing "${where}"`);
+    if (isPlainObject(type)) {
+      if (!isPlainObject(value)) throw new Error(`Selector profile "${where}" must be an object`);
+      validateProfile(value, type, `${where}.`);
+    } else if (type === 'list') {
+      if (!Array.isArray(value) || !value.length || value.some(item => typeof item !== 'string' || !item.trim())) {
+        throw new Error(`Selector profile "${where}" must be a non-empty list of selector strings`);
+      }
+    } else if (type === 'map') {
+      if (!isPlainObject(value) || !Object.keys(value).length || Object.values(value).some(item => typeof item !== 'string')) {
+        throw new Error(`Selector profile "${where}" must map names to strings`);
+      }
+    } else if (type === 'pattern') {
+      try {
+        new RegExp(value);
+      } catch (error) {
+        throw new Error(`Selector profile "${where}" is not a valid regular expression: ${error.message}`);
+      }
+    } else if (type === 'patterns') {
+      if (!isPlainObject(value) || !Object.keys(value).length) throw new Error(`Selector profile "${where}" must map names to regular expressions`);
+      for (const [name, source] of Object.entries(value)) {
+        try {
+          if (typeof source !== 'string') throw new Error('not a string');
+          new RegExp(source);
+        } catch (error) {
+          throw new Error(`Selector profile "${where}.${name}" is not a valid regular expression: ${error.message}`);
+        }
+      }
+    } else if (typeof value !== 'string') {
+      throw new Error(`Selector profile "${where}" must be a string`);
+    }
+  }
+};
+
+// Bundled profile, optionally overridden by a --selectors file
+const loadSelectorProfile = (overrideFile) => {
+  let profile = readDataFile(DEFAULT_SELECTOR_PROFILE);
+  if (overrideFile) {
+    const override = readDataFile(overrideFile);
+    if (!isPlainObject(override)) throw new Error(`${overrideFile}: selector profile must be an object`);
+    profile = mergeProfiles(profile, override);
+  }
+  try {
+    validateProfile(profile);
+  } catch (error) {
+    throw new Error(overrideFile ? `${overrideFile}: ${error.message}` : error.message);
+  }
+  profile.auth.sessionApiRegExp = new RegExp(profile.auth.sessionApi, 'i');
+  profile.generation.projectUrlRegExp = new RegExp(profile.generation.projectUrlPattern);
+  profile.network.endpointRegExps = Object.entries(profile.network.endpoints).map(([name, source]) => [name, new RegExp(source, 'i')]);
+  profile.source = overrideFile ? `${DEFAULT_SELECTOR_PROFILE} + ${overrideFile}` : DEFAULT_SELECTOR_PROFILE;
+  profile.overrideFile = overrideFile || null;
+  return profile;
+};
+
+// e.g. "builder-default v3 (overrides from my-selectors.yaml)"
+const describeSelectorProfile = (profile) =>
+  `${profile.name} v${profile.version}${profile.overrideFile ? ` (overrides from ${profile.overrideFile})` : ''}`;
+
+// Every selector in the profile as [group path, selector] pairs (labels and patterns excluded)
+const listSelectors = (profile, schema = SCHEMA, prefix = '') => {
+  const entries = [];
+  for (const [key, type] of Object.entries(schema)) {
+    const where = `${prefix}${key}`;
+    if (isPlainObject(type)) entries.push(...listSelectors(profile[key], type, `${where}.`));
+    else if (type === 'list') entries.push(...profile[key].map(selector => [where, selector]));
+    else if (where === 'model.menuItem' || where === 'space.option') entries.push([where, profile[key]]);
+  }
+  return entries;
+};
+
+// Returns the first selector of a list with a visible match on the page, or null
+const findFirstVisible = async (page, selectors) => {
+  for (const selector of selectors) {
+    try {
+      if (await page.locator(selector).first().isVisible()) return selector;
+    } catch (e) {
+      // Continue checking
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_SELECTOR_PROFILE,
+  loadSelectorProfile,
+  describeSelectorProfile,
+  listSelectors,
+  findFirstVisible
+};
@@ -0,0 +1,60 @@
+// Builder spaces (organizations) a run targets.
+//
+// --space takes a space name or its 32-character public API key, or a weighted
+// list of them to spread tabs across organizations, e.g. "TLF:2,ILC:1" or
+// "e785dd8d482243ef9b7f7760850e1349,ILC". Without --space the run stays in
+// whatever space the session has open.
+
+const { spreadWithinGroups } = require('./allocation');
+
+const API_KEY_PATTERN = /^[0-9a-f]{32}$/i;
+
+// Parse a --space value into [{ name, apiKey, weight }]; one of name/apiKey is null
+// until the other is learned from the space switcher
+const parseSpaceList = (spec) => {
+  const spaces = String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [target, weightText] = part.split(':').map(piece => piece.trim());
+    if (!target) throw new Error(`--space: missing space name or API key in "${part}"`);
+    const weight = weightText === undefined ? 1 : Number(weightText);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`Invalid weight for space "${target}": ${JSON.stringify(weightText)} (expected a positive number)`);
+    }
+    return API_KEY_PATTERN.test(target)
+      ? { name: null, apiKey: target.toLowerCase(), weight }
+      : { name: target, apiKey: null, weight };
+  });
+  if (!spaces.length) throw new Error('--space needs a space name or API key, e.g. --space TLF');
+  const seen = new Set();
+  for (const space of spaces) {
+    const id = space.apiKey || space.name.toLowerCase();
+    if (seen.has(id)) throw new Error(`Space "${space.apiKey || space.name}" is listed more than once in --space`);
+    seen.add(id);
+  }
+  return spaces;
+};
+
+// Does the space shown by the UI ({ name, apiKey }, either may be missing) match the target?
+const spaceMatches = (space, shown) => {
+  if (!shown) return false;
+  if (space.apiKey && shown.apiKey) return space.apiKey === shown.apiKey.toLowerCase();
+  if (space.name && shown.name) return space.name.toLowerCase() === shown.name.trim().toLowerCase();
+  return false;
+};
+
+// Name used in logs and reports
+const spaceLabel = (space) => space.name || space.apiKey;
+
+const describeSpace = (space) => space.name && space.apiKey ? `${space.name} (API key ${space.apiKey})` : spaceLabel(space);
+
+// One space per tab, in proportion to the weights. Spaces are spread within each
+// model's tabs, ordered by account, so models and accounts all get the same space mix.
+const assignSpaces = (spaces, tabModels, tabAccountNames) => spreadWithinGroups(spaces, tabModels, tabAccountNames);
+
+module.exports = {
+  API_KEY_PATTERN,
+  parseSpaceList,
+  spaceMatches,
+  spaceLabel,
+  describeSpace,
+  assignSpaces
+};
@@ -0,0 +1,78 @@
+// Aggregate statistics over per-tab records.
+
+const { TAB_STATES } = require('./tab-state');
+
+// Nearest-rank percentile; returns null for an empty sample
+const percentile = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+// Smallest and largest value, or null for an empty list. Not Math.min(...values): a long run has
+// more samples than a call takes arguments
+const minOf = (values) => (values.length ? values.reduce((min, v) => Math.min(min, v), Infinity) : null);
+const maxOf = (values) => (values.length ? values.reduce((max, v) => Math.max(max, v), -Infinity) : null);
+
+const summarizeLatency = (values) => {
+  const samples = values.filter(v => typeof v === 'number' && Number.isFinite(v));
+  if (!samples.length) return { count: 0 };
+  return {
+    count: samples.length,
+    min: minOf(samples),
+    p50: percentile(samples, 50),
+    p90: percentile(samples, 90),
+    p95: percentile(samples, 95),
+    p99: percentile(samples, 99),
+    max: maxOf(samples),
+    mean: Math.round(samples.reduce((sum, v) => sum + v, 0) / samples.length)
+  };
+};
+
+// Outcome counts plus latency percentiles for each tracked step
+const summarizeTabs = (records) => {
+  const outcomes = {};
+  for (const state of Object.values(TAB_STATES)) outcomes[state] = 0;
+  for (const record of records) outcomes[record.state] = (outcomes[record.state] || 0) + 1;
+
+  const submitted = records.filter(r => r.timestamps.submitted).length;
+  const latency = {};
+  for (const key of ['projectCreatedMs', 'firstOutputMs', 'totalMs']) {
+    // Total time is only meaningful for generations that actually finished (checked or not)
+    const source = key === 'totalMs' ? records.filter(r => r.state === TAB_STATES.COMPLETE || r.state === TAB_STATES.CHECKS_FAILED) : records;
+    latency[key] = summarizeLatency(source.map(r => r.timings[key]));
+  }
+
+  return {
+    attempts: records.length,
+    submitted,
+    outcomes,
+    completionRate: records.length ? outcomes[TAB_STATES.COMPLETE] / records.length : 0,
+    latency
+  };
+};
+
+// summarizeTabs for each distinct value of a record field (model, account), keyed by that value
+const summarizeBy = (records, field) => {
+  const groups = {};
+  for (const value of new Set(records.map(r => r[field]))) {
+    groups[value] = summarizeTabs(records.filter(r => r[field] === value));
+  }
+  return groups;
+};
+
+const summarizeByModel = (records) => summarizeBy(records, 'model');
+
+const formatMs = (ms) => (ms === null || ms === undefined) ? '-' : `${(ms / 1000).toFixed(1)}s`;
+
+module.exports = {
+  percentile,
+  minOf,
+  maxOf,
+  summarizeLatency,
+  summarizeTabs,
+  summarizeBy,
+  summarizeByModel,
+  formatMs
+};
@@ -0,0 +1,194 @@
+// Live run status: one row per tab (what it is doing, for how long, its last error), running
+// counters and latency histograms. Built from runBurst's events, so it works the same for the
+// terminal dashboard (--dashboard) and the JSON endpoint of --statusPort.
+//
+// A coordinated run (--workers) has no tab rows here: its workers report counters only, so the
+// status shows one row per worker instead.
+
+const http = require('http');
+const { TAB_STATES, isTerminal } = require('./tab-state');
+const { summarizeLatency } = require('./stats');
+const { summarizeFailures } = require('./failures');
+
+// Upper bounds of the latency histogram buckets; a last bucket takes everything slower
+const LATENCY_BUCKETS_MS = [10_000, 30_000, 60_000, 120_000, 300_000, 600_000];
+
+// Before its first prompt attempt a tab row shows the step it is at
+const TAB_PHASES = {
+  OPENING: 'opening',
+  WAITING_FOR_UI: 'waiting_for_ui',
+  NOT_SIGNED_IN: 'not_signed_in'
+};
+
+// { count, p50, p95, max, buckets: [{ upToMs, count }] } of a list of latencies (upToMs null = slower than the last bound)
+const latencyHistogram = (values) => {
+  const { count, p50 = null, p95 = null, max = null } = summarizeLatency(values);
+  const buckets = [...LATENCY_BUCKETS_MS, null].map(upToMs => ({ upToMs, count: 0 }));
+  for (const value of values) {
+    const bucket = buckets.find(b => b.upToMs === null || value <= b.upToMs);
+    bucket.count++;
+  }
+  return { count, p50, p95, max, buckets };
+};
+
+// The failure to show for a record: its own, else the last failure it retried
+const recordError = (record) => {
+  if (record.failureReason) return { code: record.failureReason, detail: record.failureDetail, at: record.timestamps[record.state] };
+  const retry = record.retries[record.retries.length - 1];
+  return retry ? { code: retry.code, detail: retry.detail, at: Date.parse(retry.at), retried: true } : null;
+};
+
+// Function to follow a run through its events. Returns { snapshot() }: the status as plain JSON
+const createRunStatus = (events) => {
+  let run = null; // the runStarted event
+  let phase = 'starting';
+  let stopReason = null;
+  const rows = new Map(); // tab -> { tab, account, phase, since, record, lastError }
+  const records = [];
+  const workers = new Map(); // worker name -> latest progress
+  let client = null; // the latest resourceSample
+
+  const row = (tab) => {
+    if (!rows.has(tab)) rows.set(tab, { tab, account: null, phase: TAB_PHASES.OPENING, since: Date.now(), record: null, lastError: null });
+    return rows.get(tab);
+  };
+
+  events.on('runStarted', (started) => { run = started; });
+  events.on('tabOpened', ({ tab, account }) => {
+    if (phase === 'starting') phase = 'running';
+    Object.assign(row(tab), { account, phase: TAB_PHASES.OPENING, since: Date.now() });
+  });
+  events.on('authChecked', ({ tab, authenticated, reason }) => {
+    if (tab === null) return;
+    const current = row(tab);
+    Object.assign(current, { phase: authenticated ? TAB_PHASES.WAITING_FOR_UI : TAB_PHASES.NOT_SIGNED_IN, since: Date.now() });
+    if (!authenticated) current.lastError = { code: 'not_authenticated', detail: reason, at: Date.now() };
+  });
+  events.on('attemptStarted', ({ tab, record }) => {
+    records.push(record);
+    const current = row(tab);
+    // Keep the previous attempt's failure as the last error until this one has its own
+    if (current.record) current.lastError = recordError(current.record) || current.lastError;
+    Object.assign(current, { record, since: Date.now() });
+  });
+  events.on('workerProgress', ({ worker, ...progress }) => {
+    if (phase === 'starting') phase = 'running';
+    workers.set(worker, { ...progress, at: Date.now() });
+  });
+  events.on('resourceSample', ({ at, ...sample }) => { client = sample; });
+  events.on('stopping', ({ reason }) => {
+    phase = 'stopping';
+    stopReason = reason;
+  });
+  events.on('reporting', () => { phase = 'reporting'; });
+  events.on('runComplete', () => { phase = 'finished'; });
+
+  const tabRow = (current, now) => {
+    const { record } = current;
+    const state = record ? record.state : current.phase;
+    // A record stamps every state it enters
+    const since = record ? record.timestamps[record.state] : current.since;
+    const attemptEnd = record && isTerminal(record.state) ? record.timestamps[record.state] : now;
+    return {
+      tab: current.tab,
+      state,
+      elapsedMs: now - since,
+      attemptElapsedMs: record ? attemptEnd - record.timestamps.pending : null,
+      iteration: record?.iteration ?? null,
+      attempt: record?.attempt ?? null,
+      step: record?.step ?? null,
+      model: record?.model ?? null,
+      account: current.account,
+      space: record?.space ?? null,
+      projectUrl: record?.projectUrl ?? null,
+      lastError: (record && recordError(record)) || current.lastError
+    };
+  };
+
+  const counters = () => {
+    if (!records.length && workers.size) {
+      // Coordinated run: the sum of the workers' progress
+      const total = { tabsOpen: null, attempts: 0, submitted: 0, inFlight: 0, complete: 0, failed: 0, timedOut: 0, retries: null, failuresByCode: null };
+      for (const progress of workers.values()) {
+        for (const key of ['attempts', 'submitted', 'inFlight', 'complete', 'failed', 'timedOut']) total[key] += progress[key] || 0;
+      }
+      return total;
+    }
+    const failures = summarizeFailures(records);
+    return {
+      tabsOpen: rows.size,
+      attempts: records.length,
+      submitted: records.filter(record => record.timestamps.submitted).length,
+      inFlight: records.filter(record => record.timestamps.submitted && !isTerminal(record.state)).length,
+      complete: records.filter(record => record.state === TAB_STATES.COMPLETE).length,
+      failed: records.filter(record => record.state === TAB_STATES.FAILED).length,
+      timedOut: records.filter(record => record.state === TAB_STATES.TIMED_OUT).length,
+      retries: failures.retries.total,
+      failuresByCode: Object.fromEntries(Object.entries(failures.byCode).map(([code, { count }]) => [code, count]))
+    };
+  };
+
+  const snapshot = () => {
+    const now = Date.now();
+    const completed = records.filter(record => record.state === TAB_STATES.COMPLETE);
+    return {
+      runId: run?.runId ?? null,
+      tabs: run?.tabs ?? null,
+      startedAt: run ? new Date(run.startedAt).toISOString() : null,
+      elapsedMs: run ? now - run.startedAt : 0,
+      phase,
+      stopReason,
+      counters: counters(),
+      client,
+      latency: {
+        firstOutput: latencyHistogram(records.map(record => record.timings.firstOutputMs).filter(ms => ms !== undefined)),
+        generation: latencyHistogram(completed.map(record => record.timings.totalMs))
+      },
+      tabRows: [...rows.values()].sort((a, b) => a.tab - b.tab).map(current => tabRow(current, now)),
+      workers: [...workers.entries()].map(([name, progress]) => ({ name, ...progress, at: new Date(progress.at).toISOString() }))
+    };
+  };
+
+  return { snapshot };
+};
+
+// Serve GET routes on host:port, e.g. { '/status': () => ({ type: 'application/json', body }) }.
+// Resolves with { server, url, close() } once listening; url is http://host:port
+const startLocalServer = (routes, { port, host = '127.0.0.1' }) => new Promise((resolve, reject) => {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://local');
+    const route = req.method === 'GET' && routes[pathname];
+    const { type, body } = route ? route() : { type: 'application/json', body: JSON.stringify({ error: `no route ${req.method} ${pathname}` }) + '\n' };
+    res.writeHead(route ? 200 : 404, { 'content-type': type, 'cache-control': 'no-store' });
+    res.end(body);
+  });
+  server.once('error', reject);
+  server.listen(port, host, () => {
+    server.off('error', reject);
+    resolve({
+      server,
+      url: `http://${host}:${server.address().port}`,
+      close: () => new Promise(done => {
+        server.closeAllConnections?.();
+        server.close(() => done());
+      })
+    });
+  });
+});
+
+// --statusPort: serve status.snapshot() as JSON on GET / and GET /status of 127.0.0.1:port.
+// Resolves with { server, url, close() } once listening
+const startStatusServer = async (status, { port, host }) => {
+  const json = () => ({ type: 'application/json', body: JSON.stringify(status.snapshot(), null, 2) + '\n' });
+  const local = await startLocalServer({ '/': json, '/status': json }, { port, host });
+  return { ...local, url: `${local.url}/status` };
+};
+
+module.exports = {
+  LATENCY_BUCKETS_MS,
+  TAB_PHASES,
+  latencyHistogram,
+  createRunStatus,
+  startLocalServer,
+  startStatusServer
+};
@@ -0,0 +1,96 @@
+// Per-tab lifecycle tracking.
+//
+// Every tab walks forward through these states after its prompt is sent and
+// ends in exactly one terminal state:
+//   pending -> submitted -> project_created -> streaming -> complete | failed | timed_out
+// Steps can be skipped (e.g. output may appear before we notice the project URL),
+// but a tab never moves backwards. With --assertions, a completed generation whose output
+// checks fail moves on once more: complete -> checks_failed (see lib/assertions.js).
+
+const TAB_STATES = {
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  PROJECT_CREATED: 'project_created',
+  STREAMING: 'streaming',
+  COMPLETE: 'complete',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed_out',
+  CHECKS_FAILED: 'checks_failed'
+};
+
+// Complete comes first: a generation's total time ends when it completed, checked or not
+const TERMINAL_STATES = [TAB_STATES.COMPLETE, TAB_STATES.FAILED, TAB_STATES.TIMED_OUT, TAB_STATES.CHECKS_FAILED];
+
+const TRANSITIONS = {
+  [TAB_STATES.PENDING]: [TAB_STATES.SUBMITTED, TAB_STATES.FAILED],
+  [TAB_STATES.SUBMITTED]: [TAB_STATES.PROJECT_CREATED, TAB_STATES.STREAMING, ...TERMINAL_STATES],
+  [TAB_STATES.PROJECT_CREATED]: [TAB_STATES.STREAMING, ...TERMINAL_STATES],
+  [TAB_STATES.STREAMING]: TERMINAL_STATES,
+  [TAB_STATES.COMPLETE]: [TAB_STATES.CHECKS_FAILED],
+  [TAB_STATES.FAILED]: [],
+  [TAB_STATES.TIMED_OUT]: [],
+  [TAB_STATES.CHECKS_FAILED]: []
+};
+
+const isTerminal = (state) => TERMINAL_STATES.includes(state);
+
+// Fresh record for one prompt submission on a tab; a recycled tab gets a new
+// record for every iteration, and a retried generation a new record with the next attempt
+const createTabRecord = (tabIndex, iteration = 1, attempt = 1) => ({
+  tab: tabIndex + 1,
+  iteration,
+  attempt,
+  state: TAB_STATES.PENDING,
+  failureReason: null, // stable failure code, see lib/failures.js
+  failureClass: null,
+  failureDetail: null,
+  retries: [], // failures before the prompt went out that were retried: { code, failureClass, detail, at }
+  retried: false, // the failed generation was retried with a new record
+  model: null,
+  account: null,
+  space: null,
+  prompt: null,
+  scenario: null, // --scenario name and 1-based step of the attempt, see lib/scenarios.js
+  step: null,
+  projectUrl: null,
+  artifacts: null, // failure artifact paths, see lib/artifacts.js
+  clientOverloaded: false, // the attempt overlapped a period the client was overloaded, see lib/resources.js
+  pageMetrics: null, // the tab's peak JS heap and DOM size during the attempt
+  faults: [], // faults injected by --chaos: { type, detail, at, count }, see lib/chaos.js
+  checks: null, // --assertions output checks of a completed generation: [{ name, passed, evidence }]
+  timestamps: { pending: Date.now() }, // epoch ms at which each state was entered
+  timings: {} // derived latencies in ms, see updateTimings
+});
+
+// Latencies are measured from the moment the prompt was submitted
+const updateTimings = (record) => {
+  const { submitted, project_created, streaming } = record.timestamps;
+  if (!submitted) return;
+  if (project_created) record.timings.projectCreatedMs = project_created - submitted;
+  if (streaming) record.timings.firstOutputMs = streaming - submitted;
+  const finishedAt = TERMINAL_STATES.map(state => record.timestamps[state]).find(Boolean);
+  if (finishedAt) record.timings.totalMs = finishedAt - submitted;
+};
+
+// Move a tab to its next state, stamping the time and merging any details
+// (failureReason, failureDetail, projectUrl, ...). Illegal transitions throw so bugs in the
+// watcher surface instead of silently corrupting the summary.
+const transition = (record, nextState, details = {}) => {
+  const allowed = TRANSITIONS[record.state] || [];
+  if (!allowed.includes(nextState)) {
+    throw new Error(`Invalid tab state transition for tab ${record.tab}: ${record.state} -> ${nextState}`);
+  }
+  record.state = nextState;
+  record.timestamps[nextState] = Date.now();
+  Object.assign(record, details);
+  updateTimings(record);
+  return record;
+};
+
+module.exports = {
+  TAB_STATES,
+  TERMINAL_STATES,
+  isTerminal,
+  createTabRecord,
+  transition
+};
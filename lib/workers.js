@@ -0,0 +1,330 @@
+// Distributed runs: a coordinator spreads the tabs of one run across worker processes.
+//
+// A worker is a child process running the normal `run` command for its share of the tabs,
+// with its own browser. Local workers are forked by the coordinator; remote workers are
+// `worker` servers on other hosts that fork the run on their side and stream everything
+// back over HTTP as newline-delimited JSON. Either way the child reports over the Node IPC
+// channel of its parent:
+//   { type: 'progress', attempts, submitted, inFlight, complete, failed, timedOut }
+//   { type: 'result', runId, records, networkEntries, delayedArrivals, aborted, interrupted }
+// Remote workers add { type: 'log', line } for every output line and { type: 'exit', exitCode }.
+// No external service is involved.
+
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { fork } = require('child_process');
+const { TAB_STATES, isTerminal } = require('./tab-state');
+
+const DEFAULT_WORKER_PORT = 7420;
+// Set in the environment of a forked worker run; its value is the worker name
+const WORKER_ENV = 'BURST_WORKER';
+
+// Options a coordinator may pass on to a worker's run. File paths (prompts, selectors,
+// accounts, ...) are resolved on the worker's host; a worker server keeps artifacts and HAR
+// files in its own output directory (see confineOutputs).
+const WORKER_OPTIONS = [
+  'tabs', 'maxTabs', 'runId', 'seed', 'baseUrl', 'headless', 'model', 'models', 'matrix',
+  'promptSelector', 'promptText', 'selectors', 'userDataDir', 'storageState', 'accounts', 'space', 'generationTimeout',
+  'prompts', 'scenario', 'assertions', 'promptStrategy', 'rampUp', 'rampShape', 'rampSteps', 'arrivalRate', 'duration',
+  'openBatchSize', 'openBatchDelay', 'promptBatchSize', 'promptBatchDelay',
+  'retries', 'retryBackoff', 'maxFailureRate', 'gracePeriod', 'artifacts', 'trace', 'har',
+  'otlpEndpoint', 'otlpInterval', 'maxCpu', 'maxMemory', 'chaos'
+];
+
+// A `worker` server writes the artifacts and HAR files of a run under this directory of its working
+// directory, whatever paths the coordinator sent: <dir>/<runId>/artifacts and <dir>/<runId>/har
+const WORKER_OUTPUT_DIR = '.burst-worker';
+const OUTPUT_OPTIONS = ['artifacts', 'har'];
+
+const isWorkerProcess = () => Boolean(process.env[WORKER_ENV] && process.send);
+
+// Send a message to the coordinator (no-op outside a worker run or once the coordinator is gone);
+// resolves once it is sent
+const sendToCoordinator = (message) => new Promise(resolve => {
+  if (!isWorkerProcess() || !process.connected) return resolve();
+  process.send(message, () => resolve());
+});
+
+// The output options of a remote job, moved into outputDir (only those the coordinator turned on)
+const confineOutputs = (options, outputDir = WORKER_OUTPUT_DIR) => {
+  const runDir = path.join(outputDir, String(options.runId || 'run').replace(/[^\w-]/g, '_'));
+  return Object.fromEntries(OUTPUT_OPTIONS.filter(key => options[key]).map(key => [key, path.join(runDir, key)]));
+};
+
+// Progress message of a worker run from its records so far
+const progressMessage = (records) => ({
+  type: 'progress',
+  attempts: records.length,
+  submitted: records.filter(record => record.timestamps.submitted).length,
+  inFlight: records.filter(record => record.timestamps.submitted && !isTerminal(record.state)).length,
+  complete: records.filter(record => record.state === TAB_STATES.COMPLETE).length,
+  failed: records.filter(record => record.state === TAB_STATES.FAILED).length,
+  timedOut: records.filter(record => record.state === TAB_STATES.TIMED_OUT).length
+});
+
+// Network entries without headers and record links, small enough to send to the coordinator
+const compactEntries = (entries) => entries.map(({ record, requestHeaders, responseHeaders, ...entry }) => entry);
+
+// --workers: "3" (three local workers) or a list of local[:count] and worker URLs,
+// e.g. local:2,http://10.0.0.5:7420. Returns [{ name, url }] with url null for local workers.
+const parseWorkerList = (spec) => {
+  const workers = [];
+  const entries = /^\d+$/.test(String(spec).trim()) ? [`local:${String(spec).trim()}`] : String(spec).split(',');
+  for (const entry of entries.map(part => part.trim()).filter(Boolean)) {
+    const local = entry.match(/^local(?::(\d+))?$/i);
+    if (local) {
+      const count = local[1] === undefined ? 1 : Number(local[1]);
+      if (count < 1) throw new Error(`--workers: "${entry}" needs at least one worker`);
+      for (let i = 0; i < count; i++) workers.push({ url: null });
+    } else if (/^https?:\/\/[^/]+/.test(entry)) {
+      workers.push({ url: entry.replace(/\/+$/, '') });
+    } else {
+      throw new Error(`--workers: expected a number, local[:count] or an http(s) worker URL, got "${entry}"`);
+    }
+  }
+  if (!workers.length) throw new Error('--workers needs at least one worker, e.g. --workers 3 or --workers local:2,http://10.0.0.5:7420');
+  const urls = workers.filter(worker => worker.url).map(worker => worker.url);
+  const duplicate = urls.find((url, i) => urls.indexOf(url) !== i);
+  if (duplicate) throw new Error(`--workers: ${duplicate} is listed more than once`);
+  return workers.map((worker, i) => ({ name: `w${i + 1}`, ...worker }));
+};
+
+// Split `total` tabs as evenly as the workers' capacities allow. Returns a count per worker.
+const splitTabs = (total, capacities) => {
+  const capacity = capacities.reduce((sum, n) => sum + n, 0);
+  if (total > capacity) {
+    throw new Error(`${total} tabs do not fit on ${capacities.length} worker(s) with room for ${capacity}; add workers or raise --maxTabs`);
+  }
+  const counts = capacities.map(() => 0);
+  let left = total;
+  while (left > 0) {
+    const open = capacities.map((_, i) => i).filter(i => counts[i] < capacities[i]);
+    const share = Math.max(1, Math.floor(left / open.length));
+    for (const i of open) {
+      const add = Math.min(share, capacities[i] - counts[i], left);
+      counts[i] += add;
+      left -= add;
+      if (!left) break;
+    }
+  }
+  return counts;
+};
+
+// Command line for a worker's run, from { option: value }; unknown options are refused
+const workerArgv = (options) => {
+  const argv = ['run'];
+  for (const [key, value] of Object.entries(options)) {
+    if (!WORKER_OPTIONS.includes(key)) throw new Error(`Option --${key} cannot be passed to a worker`);
+    if (value === undefined || value === null || value === '') continue;
+    if (value === true) argv.push(`--${key}`);
+    else if (value === false) argv.push(`--no-${key}`);
+    else argv.push(`--${key}`, String(value));
+  }
+  return argv;
+};
+
+// Fork a worker run of `script` for job { name, options, promptText }.
+// Output lines go to onLog, IPC messages to onEvent.
+// Returns { stop(signal), done } where done resolves with { result, exitCode }.
+const forkWorker = (script, job, { onLog, onEvent }) => {
+  const child = fork(script, workerArgv(job.options), {
+    env: {
+      ...process.env,
+      [WORKER_ENV]: job.name,
+      ...(typeof job.promptText === 'string' && { PROMPT_TEXT: job.promptText })
+    },
+    silent: true,
+    // Its own process group: Ctrl+C in the terminal reaches the coordinator, which forwards it
+    detached: true
+  });
+  let result = null;
+  for (const stream of [child.stdout, child.stderr]) {
+    readline.createInterface({ input: stream }).on('line', onLog);
+  }
+  child.on('message', (message) => {
+    if (message?.type === 'result') result = message;
+    else onEvent(message);
+  });
+  const done = new Promise(resolve => {
+    child.on('close', (code, signal) => resolve({ result, exitCode: code ?? 128 + (os.constants.signals[signal] || 0) }));
+  });
+  const stop = (signal = 'SIGINT') => {
+    if (child.exitCode === null && child.signalCode === null) child.kill(signal);
+  };
+  return { stop, done };
+};
+
+const httpModule = (url) => (new URL(url).protocol === 'https:' ? https : http);
+
+// Send a request to a worker; resolves with the response (a readable stream)
+const requestWorker = (url, { method = 'GET', token, body } = {}) => new Promise((resolve, reject) => {
+  const payload = body === undefined ? null : JSON.stringify(body);
+  const req = httpModule(url).request(url, {
+    method,
+    headers: {
+      ...(token && { authorization: `Bearer ${token}` }),
+      ...(payload && { 'content-type': 'application/json', 'content-length': Buffer.byteLength(payload) })
+    }
+  }, resolve);
+  req.on('error', reject);
+  req.end(payload || undefined);
+});
+
+const readBody = async (stream) => {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+};
+
+const readJson = async (response) => {
+  const text = await readBody(response);
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { error: text.trim() || `HTTP ${response.statusCode}` };
+  }
+};
+
+// GET /status of a remote worker: { busy, maxTabs, hostname, job }
+const fetchWorkerStatus = async (url, token) => {
+  const response = await requestWorker(`${url}/status`, { token });
+  const status = await readJson(response);
+  if (response.statusCode !== 200) throw new Error(status.error || `HTTP ${response.statusCode}`);
+  return status;
+};
+
+// Run a job on a remote worker. Same interface as forkWorker.
+const runRemoteWorker = (url, job, token, { onLog, onEvent }) => {
+  const done = (async () => {
+    let result = null;
+    let exitCode = null;
+    try {
+      const response = await requestWorker(`${url}/runs`, { method: 'POST', token, body: job });
+      if (response.statusCode !== 200) {
+        onLog(`Worker refused the job: ${(await readJson(response)).error}`);
+        return { result, exitCode: 1 };
+      }
+      for await (const line of readline.createInterface({ input: response })) {
+        if (!line.trim()) continue;
+        const event = JSON.parse(line);
+        if (event.type === 'log') onLog(event.line);
+        else if (event.type === 'result') result = event;
+        else if (event.type === 'exit') exitCode = event.exitCode;
+        else onEvent(event);
+      }
+    } catch (error) {
+      onLog(`Lost the connection to the worker: ${error.message}`);
+    }
+    return { result, exitCode: exitCode ?? 1 };
+  })();
+  const stop = (signal = 'SIGINT') => {
+    requestWorker(`${url}/stop`, { method: 'POST', token, body: { signal } })
+      .then(response => response.resume())
+      .catch(error => onLog(`Could not stop the worker: ${error.message}`));
+  };
+  return { stop, done };
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body) + '\n');
+};
+
+// `worker` command: run one job at a time for a coordinator, each in a forked child of `script`.
+// Jobs ask for at most maxTabs tabs; with a token, requests need "Authorization: Bearer <token>".
+// Their artifacts and HAR files go to outputDir (see confineOutputs), not to paths of the coordinator's choosing.
+// Returns { server, stop(signal), busy() }.
+const startWorkerServer = ({ script, host, port, maxTabs, token, outputDir = WORKER_OUTPUT_DIR, log = console.log }) => {
+  let current = null; // { job, worker }
+
+  const server = http.createServer(async (req, res) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`) return sendJson(res, 401, { error: 'missing or wrong worker token' });
+    const route = `${req.method} ${new URL(req.url, 'http://worker').pathname}`;
+
+    if (route === 'GET /status') {
+      return sendJson(res, 200, { busy: Boolean(current), maxTabs, hostname: os.hostname(), job: current?.job.options.runId || null });
+    }
+
+    if (route === 'POST /stop') {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req) || '{}');
+      } catch (error) {
+        return sendJson(res, 400, { error: error.message });
+      }
+      const { signal } = body !== null && typeof body === 'object' ? body : {};
+      if (current) current.worker.stop(signal === 'SIGTERM' ? 'SIGTERM' : 'SIGINT');
+      return sendJson(res, 200, { stopping: Boolean(current) });
+    }
+
+    if (route === 'POST /runs') {
+      if (current) return sendJson(res, 409, { error: `busy with run ${current.job.options.runId}` });
+      let job;
+      try {
+        job = JSON.parse(await readBody(req));
+        if (!job?.name || !job.options) throw new Error('a job needs a name and options');
+        if (Number(job.options.tabs) > maxTabs) throw new Error(`${job.options.tabs} tabs asked, this worker runs at most ${maxTabs}`);
+        job.options = { ...job.options, maxTabs, ...confineOutputs(job.options, outputDir) };
+        workerArgv(job.options);
+      } catch (error) {
+        return sendJson(res, 400, { error: error.message });
+      }
+
+      res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+      const write = (event) => {
+        if (!res.writableEnded) res.write(JSON.stringify(event) + '\n');
+      };
+      const worker = forkWorker(script, job, {
+        onLog: (line) => {
+          log(`[${job.name}] ${line}`);
+          write({ type: 'log', line });
+        },
+        onEvent: write
+      });
+      current = { job, worker };
+      log(`Started run ${job.options.runId} (${job.options.tabs} tabs) for ${req.socket.remoteAddress}`);
+      for (const key of OUTPUT_OPTIONS.filter(option => job.options[option])) write({ type: 'log', line: `--${key} is written on the worker host to ${job.options[key]}` });
+      // A coordinator that goes away stops the run gracefully
+      res.on('close', () => {
+        if (!res.writableEnded) worker.stop('SIGINT');
+      });
+      const { result, exitCode } = await worker.done;
+      current = null;
+      if (result) write(result);
+      write({ type: 'exit', exitCode });
+      res.end();
+      log(`Run ${job.options.runId} finished with exit status ${exitCode}`);
+      return;
+    }
+
+    sendJson(res, 404, { error: `no route ${route}` });
+  });
+
+  server.listen(port, host);
+  return {
+    server,
+    stop: (signal) => current?.worker.stop(signal),
+    busy: () => Boolean(current)
+  };
+};
+
+module.exports = {
+  DEFAULT_WORKER_PORT,
+  WORKER_OPTIONS,
+  WORKER_OUTPUT_DIR,
+  isWorkerProcess,
+  sendToCoordinator,
+  progressMessage,
+  compactEntries,
+  confineOutputs,
+  parseWorkerList,
+  splitTabs,
+  workerArgv,
+  forkWorker,
+  fetchWorkerStatus,
+  runRemoteWorker,
+  startWorkerServer
+};
@@ -0,0 +1,524 @@
+#!/usr/bin/env node
+/**
+ * Mock Builder app for offline runs and regression testing of burst-builder.js.
+ *
+ * Usage:
+ *   node mock/server.js --port 4100
+ *   node burst-builder.js --baseUrl http://localhost:4100 --tabs 3
+ *
+ * Serves a fake projects page with the same DOM hooks as the real app (login
+ * buttons, the "Select AI model" dropdown with li[role="menuitem"] entries, the
+ * tiptap ProseMirror textbox and a "Send message" button). Submitting a prompt
+ * creates a project, navigates to /app/projects/<id> and streams an AI reply into
+ * the project chat. A space switcher (data-testid="space-switcher") and the
+ * ?apiKey= URL parameter select the active space, kept per session in a cookie.
+ * The project page's "Project options" menu deletes or archives the project, and its preview
+ * iframe (/preview/<id>) renders the sections generated so far.
+ * Every page asks GET /api/me for the signed-in user (401 when signed out, again every
+ * 5s) and shows the user's avatar in an account menu once it answers.
+ *
+ * Options:
+ *   --port: Port to listen on (default: 4100, 0 = random free port)
+ *   --latency: Delay in ms before every page and API response (default: 0)
+ *   --createDelay: Delay in ms before a project is created (default: 500)
+ *   --chunks: Number of streamed output chunks per generation (default: 5)
+ *   --chunkInterval: Delay in ms between chunks (default: 400)
+ *   --slowRate: Share of generations (0-1) that stream --slowFactor times slower (default: 0)
+ *   --slowFactor: Slowdown for slow generations (default: 10)
+ *   --errorRate: Share of generations (0-1) that fail halfway (default: 0)
+ *   --requireLogin: Show a "Sign in" button until the (fake) login is completed
+ *   --sessionTtl: With --requireLogin, seconds until a session expires (default: 0 = never)
+ *   --spaces: Comma-separated spaces the session can switch between (default: "Mock Space,Second Space");
+ *     each space's API key is the MD5 of its name, the first one is active until another is picked
+ *   --seed: Seed for slow/error decisions (default: random)
+ *
+ * Prompts can force an outcome regardless of the rates above:
+ *   [mock:error]  the generation fails halfway
+ *   [mock:slow]   the generation streams --slowFactor times slower
+ *   [mock:hang]   the generation starts streaming and never finishes
+ *   [mock:broken] the generation completes, but its preview logs a console error and renders nothing
+ *   [mock:toast]  the generation completes, but the page shows an error toast
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { createRng, randomSeed } = require('../lib/random');
+
+// Offer the same menu labels the bundled selector profile expects
+const MODEL_LABELS = Object.values(require('../selectors/builder-default.json').model.labels);
+
+const MOCK_DEFAULTS = {
+  port: 4100,
+  latency: 0,
+  createDelay: 500,
+  chunks: 5,
+  chunkInterval: 400,
+  slowRate: 0,
+  slowFactor: 10,
+  errorRate: 0,
+  requireLogin: false,
+  sessionTtl: 0,
+  spaces: 'Mock Space,Second Space',
+  seed: null
+};
+
+const SESSION_COOKIE = 'mock_builder_session';
+const SPACE_COOKIE = 'mock_builder_space';
+
+// Spaces get a stable 32-character API key derived from the name, like Builder public API keys
+const parseSpaces = (spec) => String(spec).split(',').map(name => name.trim()).filter(Boolean)
+  .map(name => ({ name, apiKey: crypto.createHash('md5').update(name).digest('hex') }));
+
+const readCookie = (req, name) => {
+  const match = (req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${name}=([^;]*)`));
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (title, body, script = '') => `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} | Mock Builder</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; }
+    nav { padding: 12px; background: #1a1a2e; color: white; }
+    main { padding: 24px; max-width: 800px; margin: 0 auto; }
+    .tiptap.ProseMirror { border: 1px solid #ccc; min-height: 60px; padding: 8px; }
+    [role="menu"][hidden], [data-testid="user-menu"][hidden] { display: none; }
+    [data-message-author] { border-left: 3px solid #888; margin: 8px 0; padding: 4px 8px; white-space: pre-wrap; }
+    iframe[data-testid="preview-frame"] { width: 100%; height: 240px; border: 1px solid #ccc; }
+    [data-sonner-toast] { position: fixed; right: 16px; bottom: 16px; padding: 12px; background: #fee; border: 1px solid #c00; }
+  </style>
+</head>
+<body>
+  <div id="root" data-testid="app-shell">
+    <nav role="navigation">Mock Builder
+      <button type="button" data-testid="user-menu" aria-label="Account" hidden><span data-testid="user-avatar"></span></button>
+    </nav>
+    <main>${body}</main>
+  </div>
+  <script>
+    const userMenu = document.querySelector('[data-testid="user-menu"]');
+    const checkSession = async () => {
+      const response = await fetch('/api/me');
+      const user = response.ok ? await response.json() : null;
+      userMenu.hidden = !user;
+      userMenu.querySelector('[data-testid="user-avatar"]').textContent = user ? user.initials : '';
+    };
+    checkSession();
+    setInterval(checkSession, 5000);
+  </script>
+  <script>${script}</script>
+</body>
+</html>`;
+
+const loginPage = () => layout('Sign in', `
+  <h1>Sign in to Builder</h1>
+  <button type="button" id="sign-in">Sign in</button>
+`, `
+  document.getElementById('sign-in').addEventListener('click', async () => {
+    await fetch('/api/login', { method: 'POST' });
+    location.reload();
+  });
+`);
+
+// Prompt box shared by the projects page and the project chat
+const promptBox = (placeholder) => `
+  <div contenteditable="true" role="textbox" class="tiptap ProseMirror" data-placeholder="${escapeHtml(placeholder)}"></div>
+  <button type="button" title="Send message" disabled>Send</button>
+`;
+
+const promptScript = (submit) => `
+  const input = document.querySelector('.tiptap.ProseMirror');
+  const send = document.querySelector('button[title="Send message"]');
+  const sync = () => { send.disabled = !input.textContent.trim(); };
+  const submit = async () => {
+    const prompt = input.textContent.trim();
+    if (!prompt) return;
+    send.disabled = true;
+    input.setAttribute('contenteditable', 'false');
+    await (${submit})(prompt);
+  };
+  input.addEventListener('input', sync);
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) { event.preventDefault(); submit(); }
+  });
+  send.addEventListener('click', submit);
+`;
+
+// Space switcher: the button shows the active space, options switch to another one
+const spaceSwitcher = (spaces, current) => `
+  <button type="button" data-testid="space-switcher" data-api-key="${current.apiKey}">${escapeHtml(current.name)}</button>
+  <div role="listbox" data-testid="space-menu" hidden>
+    ${spaces.map(space => `<button type="button" role="option" data-testid="space-option" data-api-key="${space.apiKey}">${escapeHtml(space.name)}</button>`).join('\n    ')}
+  </div>
+`;
+
+const spaceScript = `
+  const spaceButton = document.querySelector('[data-testid="space-switcher"]');
+  const spaceMenu = document.querySelector('[data-testid="space-menu"]');
+  spaceButton.addEventListener('click', () => { spaceMenu.hidden = !spaceMenu.hidden; });
+  document.addEventListener('keydown', (event) => { if (event.key === 'Escape') spaceMenu.hidden = true; });
+  spaceMenu.querySelectorAll('[data-testid="space-option"]').forEach(option => option.addEventListener('click', async () => {
+    await fetch('/api/space', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ apiKey: option.getAttribute('data-api-key') })
+    });
+    location.reload();
+  }));
+`;
+
+const projectsPage = (spaces, currentSpace) => layout('Projects', `
+  ${spaceSwitcher(spaces, currentSpace)}
+  <h1>What should we build?</h1>
+  <button type="button" title="Select AI model"><span>Claude Sonnet 4</span></button>
+  <ul role="menu" hidden>
+    ${MODEL_LABELS.map(label => `<li role="menuitem"><span>${escapeHtml(label)}</span></li>`).join('\n    ')}
+  </ul>
+  ${promptBox('What should we build?')}
+`, `
+  ${spaceScript}
+  let model = 'Claude Sonnet 4';
+  const modelButton = document.querySelector('button[title="Select AI model"]');
+  const menu = document.querySelector('[role="menu"]');
+  modelButton.addEventListener('click', () => { menu.hidden = !menu.hidden; });
+  document.addEventListener('keydown', (event) => { if (event.key === 'Escape') menu.hidden = true; });
+  menu.querySelectorAll('li[role="menuitem"]').forEach(item => item.addEventListener('click', () => {
+    model = item.textContent.trim();
+    modelButton.querySelector('span').textContent = model;
+    menu.hidden = true;
+  }));
+  ${promptScript(`async (prompt) => {
+    const response = await fetch('/api/projects', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ prompt, model })
+    });
+    const project = await response.json();
+    location.href = '/app/projects/' + project.id;
+  }`)}
+`);
+
+// Options menu with a confirmation dialog, as used by `cleanup`
+const projectMenu = (project) => `
+  <button type="button" aria-label="Project options">⋯</button>
+  <div role="menu" hidden>
+    <button type="button" role="menuitem" data-action="delete">Delete</button>
+    <button type="button" role="menuitem" data-action="archive">Archive</button>
+  </div>
+  <div role="dialog" hidden>
+    <p>Are you sure?</p>
+    <button type="button" data-confirm>Confirm</button>
+  </div>
+`;
+
+const projectMenuScript = (project) => `
+  const optionsButton = document.querySelector('button[aria-label="Project options"]');
+  const optionsMenu = optionsButton.nextElementSibling;
+  const dialog = document.querySelector('[role="dialog"]');
+  let pendingAction = null;
+  optionsButton.addEventListener('click', () => { optionsMenu.hidden = !optionsMenu.hidden; });
+  optionsMenu.querySelectorAll('[data-action]').forEach(item => item.addEventListener('click', () => {
+    pendingAction = item.getAttribute('data-action');
+    optionsMenu.hidden = true;
+    dialog.querySelector('[data-confirm]').textContent = pendingAction === 'delete' ? 'Delete' : 'Archive';
+    dialog.hidden = false;
+  }));
+  dialog.querySelector('[data-confirm]').addEventListener('click', async () => {
+    await fetch('/api/projects/${project.id}' + (pendingAction === 'archive' ? '/archive' : ''), {
+      method: pendingAction === 'archive' ? 'POST' : 'DELETE'
+    });
+    location.href = '/app/projects';
+  });
+`;
+
+const projectPage = (project) => layout(project.prompt.slice(0, 40), `
+  <h1>Project ${escapeHtml(project.id)}${project.archived ? ' (archived)' : ''}</h1>
+  ${projectMenu(project)}
+  <div id="chat"></div>
+  <button type="button" title="Stop generating" hidden>Stop generating</button>
+  ${promptBox('Ask Fusion...')}
+  <iframe title="Preview" data-testid="preview-frame" src="/preview/${escapeHtml(project.id)}"></iframe>
+`, `
+  ${projectMenuScript(project)}
+  const chat = document.getElementById('chat');
+  const stop = document.querySelector('button[title="Stop generating"]');
+  const preview = document.querySelector('[data-testid="preview-frame"]');
+  const showErrorToast = (text) => {
+    const toast = document.createElement('div');
+    toast.setAttribute('data-sonner-toast', '');
+    toast.setAttribute('data-type', 'error');
+    toast.setAttribute('role', 'status');
+    toast.textContent = text;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 5000);
+  };
+  const addMessage = (author, text) => {
+    const el = document.createElement('div');
+    el.setAttribute('data-message-author', author);
+    el.textContent = text;
+    chat.appendChild(el);
+    return el;
+  };
+  const stream = (turn) => {
+    stop.hidden = false;
+    let reply = null;
+    const source = new EventSource('/api/projects/${project.id}/stream?turn=' + turn);
+    source.addEventListener('chunk', (event) => {
+      reply = reply || addMessage('assistant', '');
+      reply.textContent += event.data;
+    });
+    source.addEventListener('done', (event) => {
+      source.close();
+      stop.hidden = true;
+      input.setAttribute('contenteditable', 'true');
+      input.textContent = '';
+      preview.src = preview.src;
+      if (event.data === 'toast') showErrorToast('Failed to save your changes. Please try again.');
+    });
+    source.addEventListener('failed', (event) => {
+      source.close();
+      stop.hidden = true;
+      const alert = document.createElement('div');
+      alert.setAttribute('role', 'alert');
+      alert.setAttribute('data-testid', 'generation-error');
+      alert.textContent = 'Something went wrong: ' + event.data;
+      chat.appendChild(alert);
+    });
+  };
+  ${promptScript(`async (prompt) => {
+    addMessage('user', prompt);
+    const response = await fetch('/api/projects/${project.id}/messages', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ prompt })
+    });
+    const { turn } = await response.json();
+    stream(turn);
+  }`)}
+  ${JSON.stringify(project.turns.map(turn => turn.prompt))}.forEach(prompt => addMessage('user', prompt));
+  stream(${project.turns.length - 1});
+`);
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start the mock. Resolves with { server, url, projects, close }.
+const startMockServer = async (overrides = {}) => {
+  const options = { ...MOCK_DEFAULTS, ...overrides };
+  const rng = createRng(options.seed ?? randomSeed());
+  const projects = new Map();
+  const spaces = parseSpaces(options.spaces);
+  if (!spaces.length) throw new Error('--spaces needs at least one space name');
+
+  // Decide once per generation how it will behave
+  const planGeneration = (prompt) => {
+    const slow = prompt.includes('[mock:slow]') || rng() < options.slowRate;
+    return {
+      fail: prompt.includes('[mock:error]') || rng() < options.errorRate,
+      hang: prompt.includes('[mock:hang]'),
+      broken: prompt.includes('[mock:broken]'),
+      toast: prompt.includes('[mock:toast]'),
+      interval: options.chunkInterval * (slow ? options.slowFactor : 1)
+    };
+  };
+
+  // Active space of the session: an ?apiKey= parameter wins over the cookie
+  const currentSpace = (req, url) => {
+    const requested = url?.searchParams.get('apiKey') || readCookie(req, SPACE_COOKIE);
+    return spaces.find(space => space.apiKey === requested) || spaces[0];
+  };
+  const spaceCookie = (space) => `${SPACE_COOKIE}=${space.apiKey}; Path=/`;
+
+  // The session cookie holds the time of the login, so sessions can expire after --sessionTtl
+  const isLoggedIn = (req) => {
+    if (!options.requireLogin) return true;
+    const loggedInAt = Number(readCookie(req, SESSION_COOKIE));
+    if (!loggedInAt) return false;
+    return !options.sessionTtl || Date.now() - loggedInAt < options.sessionTtl * 1000;
+  };
+
+  const send = (res, status, body, type = 'text/html; charset=utf-8') => {
+    res.writeHead(status, { 'content-type': type, 'cache-control': 'no-store' });
+    res.end(body);
+  };
+  const sendJson = (res, status, body) => send(res, status, JSON.stringify(body), 'application/json');
+
+  const streamGeneration = async (req, res, turn) => {
+    res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-store', connection: 'keep-alive' });
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    const chunks = turn.hang ? Infinity : options.chunks;
+    for (let i = 0; i < chunks && !closed; i++) {
+      await sleep(turn.interval);
+      if (turn.fail && i >= Math.floor(options.chunks / 2)) {
+        turn.status = 'failed';
+        res.end('event: failed\ndata: generation failed\n\n');
+        return;
+      }
+      res.write(`event: chunk\ndata: ${i === 0 ? '' : ' '}Generated section ${i + 1} for "${turn.prompt.replace(/\n/g, ' ')}".\n\n`);
+    }
+    if (closed) return;
+    turn.status = 'complete';
+    res.end(`event: done\ndata: ${turn.toast ? 'toast' : 'ok'}\n\n`);
+  };
+
+  const routes = [
+    ['POST', /^\/api\/login$/, async (req, res) => {
+      res.writeHead(204, { 'set-cookie': `${SESSION_COOKIE}=${Date.now()}; Path=/; HttpOnly` });
+      res.end();
+    }],
+    ['GET', /^\/api\/me$/, async (req, res) => {
+      sendJson(res, 200, { name: 'Mock User', email: 'mock.user@example.com', initials: 'MU' });
+    }],
+    ['POST', /^\/api\/space$/, async (req, res) => {
+      const { apiKey } = await readJson(req);
+      const space = spaces.find(s => s.apiKey === apiKey);
+      if (!space) return sendJson(res, 403, { error: 'no access to this space' });
+      res.writeHead(204, { 'set-cookie': spaceCookie(space) });
+      res.end();
+    }],
+    ['GET', /^\/app\/projects\/?$/, async (req, res, match, url) => {
+      if (!isLoggedIn(req)) return send(res, 200, loginPage());
+      const space = currentSpace(req, url);
+      res.setHeader('set-cookie', spaceCookie(space));
+      send(res, 200, projectsPage(spaces, space));
+    }],
+    ['POST', /^\/api\/projects$/, async (req, res) => {
+      const { prompt = '', model = 'Auto' } = await readJson(req);
+      const space = currentSpace(req).name;
+      await sleep(options.createDelay);
+      const id = crypto.randomBytes(12).toString('hex');
+      projects.set(id, { id, model, space, createdAt: new Date().toISOString(), turns: [{ prompt, status: 'streaming', ...planGeneration(prompt) }] });
+      sendJson(res, 201, { id });
+    }],
+    ['GET', /^\/app\/projects\/([a-f0-9]+)$/, async (req, res, [, id]) => {
+      const project = projects.get(id);
+      if (!project) return send(res, 404, layout('Not found', '<h1>Project not found</h1>'));
+      send(res, 200, isLoggedIn(req) ? projectPage({ ...project, prompt: project.turns[0].prompt }) : loginPage());
+    }],
+    // What the project's completed turns built; a broken turn breaks the whole preview
+    ['GET', /^\/preview\/([a-f0-9]+)$/, async (req, res, [, id]) => {
+      const project = projects.get(id);
+      if (!project) return send(res, 404, '<!doctype html><title>Preview</title><body></body>');
+      const turns = project.turns.filter(turn => turn.status === 'complete');
+      const broken = turns.some(turn => turn.broken);
+      const sections = broken ? '' : turns.map(({ prompt }) => Array.from({ length: options.chunks }, (_, i) =>
+        `<section>Generated section ${i + 1} for "${escapeHtml(prompt.replace(/\n/g, ' '))}".</section>`).join('\n')).join('\n');
+      const script = broken ? `<script>console.error('TypeError: Cannot read properties of undefined (reading \\'map\\')');</script>` : '';
+      send(res, 200, `<!doctype html>\n<html><head><meta charset="utf-8"><title>Preview</title></head><body>${sections}${script}</body></html>`);
+    }],
+    ['POST', /^\/api\/projects\/([a-f0-9]+)\/messages$/, async (req, res, [, id]) => {
+      const project = projects.get(id);
+      if (!project) return sendJson(res, 404, { error: 'not found' });
+      const { prompt = '' } = await readJson(req);
+      project.turns.push({ prompt, status: 'streaming', ...planGeneration(prompt) });
+      sendJson(res, 201, { turn: project.turns.length - 1 });
+    }],
+    ['DELETE', /^\/api\/projects\/([a-f0-9]+)$/, async (req, res, [, id]) => {
+      if (!projects.delete(id)) return sendJson(res, 404, { error: 'not found' });
+      res.writeHead(204);
+      res.end();
+    }],
+    ['POST', /^\/api\/projects\/([a-f0-9]+)\/archive$/, async (req, res, [, id]) => {
+      const project = projects.get(id);
+      if (!project) return sendJson(res, 404, { error: 'not found' });
+      project.archived = true;
+      res.writeHead(204);
+      res.end();
+    }],
+    ['GET', /^\/api\/projects\/([a-f0-9]+)\/stream$/, async (req, res, [, id], url) => {
+      const turn = projects.get(id)?.turns[Number(url.searchParams.get('turn'))];
+      if (!turn) return sendJson(res, 404, { error: 'not found' });
+      await streamGeneration(req, res, turn);
+    }],
+    ['GET', /^\/api\/projects$/, async (req, res) => {
+      sendJson(res, 200, [...projects.values()].map(({ id, model, space, archived = false, createdAt, turns }) => ({
+        id, model, space, archived, createdAt, prompt: turns[0].prompt, status: turns[turns.length - 1].status
+      })));
+    }]
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (options.latency) await sleep(options.latency);
+      // Every API but the login needs a session
+      if (url.pathname.startsWith('/api/') && url.pathname !== '/api/login' && !isLoggedIn(req)) {
+        return sendJson(res, 401, { error: 'not signed in' });
+      }
+      for (const [method, pattern, handler] of routes) {
+        const match = req.method === method && url.pathname.match(pattern);
+        if (match) return await handler(req, res, match, url);
+      }
+      if (url.pathname === '/') {
+        res.writeHead(302, { location: '/app/projects' });
+        return res.end();
+      }
+      send(res, 404, layout('Not found', '<h1>Not found</h1>'));
+    } catch (error) {
+      if (!res.headersSent) sendJson(res, 500, { error: error.message });
+      else res.end();
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, '127.0.0.1', resolve);
+  });
+
+  const url = `http://localhost:${server.address().port}`;
+  return {
+    server,
+    url,
+    projects,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    })
+  };
+};
+
+module.exports = { startMockServer, MOCK_DEFAULTS };
+
+if (require.main === module) {
+  const minimist = require('minimist');
+  const args = minimist(process.argv.slice(2), {
+    boolean: ['requireLogin'],
+    string: ['seed', 'spaces'],
+    default: MOCK_DEFAULTS
+  });
+  const options = {};
+  for (const [key, fallback] of Object.entries(MOCK_DEFAULTS)) {
+    options[key] = typeof fallback === 'number' ? Number(args[key]) : args[key];
+  }
+  startMockServer(options).then(({ url, close }) => {
+    console.log(`Mock Builder listening on ${url}`);
+    console.log(`Run: node burst-builder.js --baseUrl ${url} --tabs 3`);
+    const shutdown = () => close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  }).catch(error => {
+    console.error(`❌ Could not start mock server: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAssertions, describeAssertions, checkOutput, summarizeChecks, formatFailedChecks } = require('../lib/assertions');
+const { loadSelectorProfile } = require('../lib/selectors');
+const { TAB_STATES } = require('../lib/tab-state');
+
+const selectors = loadSelectorProfile();
+
+const assertionsFile = (content) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'burst-assertions-')), 'checks.yaml');
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+// A tab whose latest AI message is `message`, with a preview iframe showing `preview` and
+// logging `consoleErrors` when preview is not null
+const fakePage = ({ message = '', preview = null, consoleErrors = [] }) => {
+  const frame = {
+    waitForLoadState: async () => {},
+    evaluate: async (fn) => (String(fn).includes('__burstEvidence') ? { consoleErrors, toasts: [] } : preview)
+  };
+  const shown = (selector) => (selector === selectors.preview.frame[0] && preview !== null) || (selector === selectors.generation.output[0] && Boolean(message));
+  const locator = (selector) => ({
+    first: () => locator(selector),
+    nth: () => locator(selector),
+    count: async () => (shown(selector) ? 1 : 0),
+    isVisible: async () => shown(selector),
+    innerText: async () => message,
+    elementHandle: async () => ({ contentFrame: async () => frame })
+  });
+  return { locator, mainFrame: () => frame };
+};
+
+test('loadAssertions reads checks and rejects unknown or empty ones', () => {
+  const assertions = loadAssertions(assertionsFile('nonEmptyPreview: true\ncontains: [pricing, "/\\\\$\\\\d+/"]\nexcludes: Something went wrong\nin: message\npreviewTimeout: 1s\n'));
+  assert.strictEqual(assertions.previewTimeoutMs, 1000);
+  assert.strictEqual(describeAssertions(assertions), 'nonEmptyPreview, contains "pricing", contains /\\$\\d+/, excludes "Something went wrong" (in message)');
+  assert.throws(() => loadAssertions(assertionsFile('notEmpty: true\n')), /unknown keys: notEmpty/);
+  assert.throws(() => loadAssertions(assertionsFile('in: [message]\n')), /no checks/);
+  assert.throws(() => loadAssertions(assertionsFile('contains: "/(/"\n')), /contains: invalid regular expression/);
+  assert.throws(() => loadAssertions(assertionsFile('excludes: x\nin: chat\n')), /in must list message and\/or preview/);
+  assert.throws(() => loadAssertions(assertionsFile('contains: x\npreviewTimeout: -5\n')), /previewTimeout: Invalid duration "-5"/);
+});
+
+test('checkOutput checks the message text with evidence for failures', async () => {
+  const assertions = loadAssertions(assertionsFile('contains: [pricing, "/\\\\$\\\\d+/"]\nexcludes: [went wrong]\nin: message\n'));
+  const record = { timestamps: { submitted: 0 } };
+  const passed = await checkOutput(fakePage({ message: 'A pricing table from $10 a month' }), record, assertions, selectors);
+  assert.ok(passed.every(check => check.passed), JSON.stringify(passed));
+  const failed = await checkOutput(fakePage({ message: 'Something went wrong' }), record, assertions, selectors);
+  assert.strictEqual(formatFailedChecks(failed), 'contains "pricing": not found in message; contains /\\$\\d+/: not found in message; excludes "went wrong": found in message: …Something went wrong…');
+});
+
+test('checkOutput checks the preview and its console errors', async () => {
+  const assertions = loadAssertions(assertionsFile('noConsoleErrors: true\nnonEmptyPreview: true\npreviewTimeout: 1s\n'));
+  const record = { timestamps: { submitted: 100 } };
+  const broken = await checkOutput(fakePage({ preview: '  ', consoleErrors: [{ at: 50, text: 'old' }, { at: 200, text: 'TypeError: x is undefined' }] }), record, assertions, selectors);
+  assert.deepStrictEqual(broken.map(check => [check.name, check.evidence]), [
+    ['noConsoleErrors', '1 console error(s): TypeError: x is undefined'],
+    ['nonEmptyPreview', 'preview rendered no text']
+  ]);
+  const missing = await checkOutput(fakePage({}), record, assertions, selectors);
+  assert.deepStrictEqual(missing.map(check => check.evidence), ['preview iframe not found', 'preview iframe not found']);
+});
+
+test('summarizeChecks counts failed attempts and checks', () => {
+  const assertions = loadAssertions(assertionsFile('nonEmptyPreview: true\ncontains: pricing\n'));
+  const summary = summarizeChecks([
+    { state: TAB_STATES.COMPLETE, checks: [{ name: 'nonEmptyPreview', passed: true }, { name: 'contains "pricing"', passed: true }] },
+    { state: TAB_STATES.CHECKS_FAILED, checks: [{ name: 'nonEmptyPreview', passed: true }, { name: 'contains "pricing"', passed: false }] },
+    { state: TAB_STATES.FAILED, checks: null }
+  ], assertions);
+  assert.deepStrictEqual(summary, { checked: 2, failed: 1, byCheck: { nonEmptyPreview: 0, 'contains "pricing"': 1 } });
+});
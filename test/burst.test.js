@@ -0,0 +1,34 @@
+// runBurst against the bundled mock Builder app; skipped like the smoke run when no browser is installed.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { runBurst } = require('../lib/burst');
+const { browserChoice } = require('../lib/browser');
+const { startMockServer } = require('../mock/server');
+
+const skip = !browserChoice().installed && 'Neither Chrome nor Chromium is installed (npm run install-browsers)';
+
+test('runBurst emits runComplete with the object it resolves with', { skip, timeout: 180_000 }, async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const mock = await startMockServer({ port: 0, createDelay: 100, chunks: 3, chunkInterval: 100 });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'burst-api-'));
+  const events = new EventEmitter();
+  let completed = null;
+  events.on('runComplete', (result) => { completed = result; });
+  // keepOpen with a status endpoint: the result's close also closes the endpoint
+  const result = await runBurst({
+    baseUrl: mock.url, tabs: 1, headless: true, generationTimeout: 60, statusPort: 0, keepOpen: true, events,
+    userDataDir: path.join(dir, 'profile'), registry: path.join(dir, 'runs'), promptText: 'A landing page'
+  });
+  try {
+    assert.strictEqual(completed, result);
+    assert.strictEqual(result.summary.outcomes.complete, 1);
+  } finally {
+    await result.close();
+    await mock.close();
+  }
+});
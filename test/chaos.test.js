@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseChaos, describeChaos, createChaos, formatFaults, summarizeFaults } = require('../lib/chaos');
+const { loadSelectorProfile } = require('../lib/selectors');
+const { TAB_STATES, createTabRecord, transition } = require('../lib/tab-state');
+
+const { endpointRegExps } = loadSelectorProfile().network;
+const endpointNames = endpointRegExps.map(([name]) => name);
+
+// A page that records its route handler and whether it was closed
+const fakePage = () => {
+  const page = {
+    closed: false,
+    handler: null,
+    isClosed: () => page.closed,
+    close: async () => { page.closed = true; },
+    route: async (match, handler) => { page.handler = handler; }
+  };
+  return page;
+};
+
+// A held request to url; resolves with how the route ended
+const routeRequest = (page, url) => new Promise(resolve => page.handler({
+  request: () => ({ url: () => url }),
+  abort: async (reason) => resolve(`abort ${reason}`),
+  fallback: async () => resolve('fallback')
+}));
+
+test('parseChaos reads key=value lists and files', () => {
+  const chaos = parseChaos('share=30%,network=Slow-3G,latency=2s,abort=0.05,endpoints=project-api', endpointNames);
+  assert.deepStrictEqual(
+    [chaos.share, chaos.network, chaos.latencyMs, chaos.abort, chaos.endpoints, chaos.offlineForMs],
+    [0.3, 'slow-3g', 2000, 0.05, ['project-api'], 3000]
+  );
+  assert.strictEqual(describeChaos(chaos), '30% of tabs: slow-3g network; +2.0s latency and 5% aborted on project-api');
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'burst-chaos-')), 'chaos.yaml');
+  fs.writeFileSync(file, 'reload: 20%\nclose: 10%\nendpoints: [generation-stream]\n');
+  assert.deepStrictEqual([parseChaos(file, endpointNames).reload, parseChaos(file, endpointNames).close], [0.2, 0.1]);
+});
+
+test('parseChaos rejects unknown keys, endpoints and values', () => {
+  assert.throws(() => parseChaos('slow=1', endpointNames), /--chaos: unknown keys: slow/);
+  assert.throws(() => parseChaos('network=2g', endpointNames), /--chaos network must be one of: slow-3g, fast-3g/);
+  assert.throws(() => parseChaos('latency=1s,endpoints=nope', endpointNames), /--chaos endpoints: unknown endpoint nope/);
+  assert.throws(() => parseChaos('share=0,reload=1', endpointNames), /--chaos share must be a fraction above 0/);
+  assert.throws(() => parseChaos('reload=70%,close=40%', endpointNames), /reload and close may add up to 100% at most/);
+  assert.throws(() => parseChaos('share=50%', endpointNames), /no faults given/);
+  assert.throws(() => parseChaos('latency', endpointNames), /expected key=value, got "latency"/);
+});
+
+test('createChaos picks the same share of tabs for the same seed', () => {
+  const chaos = parseChaos('share=40%,reload=1', endpointNames);
+  const pick = (seed) => createChaos(chaos, { tabs: 10, seed, endpoints: endpointRegExps }).tabs;
+  assert.strictEqual(pick('s1').length, 4);
+  assert.deepStrictEqual(pick('s1'), pick('s1'));
+  assert.strictEqual(createChaos(parseChaos('share=1%,reload=1', endpointNames), { tabs: 3, seed: 's', endpoints: endpointRegExps }).tabs.length, 1);
+});
+
+test('createChaos aborts targeted requests and records the faults on the attempt', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const injector = createChaos(parseChaos('abort=1,endpoints=project-api', endpointNames), { tabs: 1, seed: 's', endpoints: endpointRegExps });
+  const page = fakePage();
+  await injector.attach(page, 1);
+  // Before the attempt, the fault waits for the tab's next record
+  assert.strictEqual(await routeRequest(page, 'https://builder.io/api/v1/projects'), 'abort connectionreset');
+  const record = createTabRecord(0);
+  injector.claim(1, record);
+  await routeRequest(page, 'https://builder.io/api/v1/projects');
+  assert.deepStrictEqual(record.faults.map(fault => [fault.type, fault.detail, fault.count]), [['abort', 'project-api', 2]]);
+  assert.strictEqual(formatFaults(record.faults), 'abort x2');
+  injector.stop();
+});
+
+test('createChaos closes a tab mid-generation', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const injector = createChaos(parseChaos('close=1,disruptWithin=10ms', endpointNames), { tabs: 1, seed: 's', endpoints: endpointRegExps });
+  const page = fakePage();
+  const record = createTabRecord(0);
+  transition(record, TAB_STATES.SUBMITTED);
+  transition(record, TAB_STATES.STREAMING);
+  await injector.disrupt(page, 1, record);
+  assert.strictEqual(page.closed, true);
+  assert.strictEqual(injector.wasClosed(1), true);
+  assert.deepStrictEqual(record.faults.map(fault => fault.type), ['close']);
+  injector.stop();
+});
+
+test('summarizeFaults compares faulted attempts with the rest', () => {
+  const record = (state, faults) => ({ state, faults, timestamps: { pending: 0, submitted: 1 }, timings: {} });
+  const summary = summarizeFaults([
+    record(TAB_STATES.COMPLETE, []),
+    record(TAB_STATES.FAILED, [{ type: 'abort', count: 3 }]),
+    record(TAB_STATES.COMPLETE, [{ type: 'abort', count: 1 }, { type: 'latency', count: 2 }])
+  ]);
+  assert.strictEqual(summary.faultedAttempts, 2);
+  assert.deepStrictEqual(summary.injected, { abort: 4, latency: 2 });
+  assert.deepStrictEqual([summary.byFault.none.outcomes.complete, summary.byFault.abort.outcomes.failed], [1, 1]);
+});
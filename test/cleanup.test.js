@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunRegistry, loadRuns, selectRuns, projectIdFromUrl } = require('../lib/registry');
+const { removeProject, runCleanup } = require('../lib/cleanup');
+const { loadSelectorProfile } = require('../lib/selectors');
+
+const selectors = loadSelectorProfile();
+const BASE_URL = 'https://builder.io';
+
+// A registry with one run that created two projects
+const registryWithRun = (startedAt = new Date()) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'burst-registry-'));
+  const registry = createRunRegistry(dir, { runId: 'r1', baseUrl: BASE_URL, startedAt, accounts: [{ name: 'default', userDataDir: './p' }], projectUrlRegExp: selectors.generation.projectUrlRegExp });
+  const record = (tab, id) => ({ tab, iteration: 1, account: 'default', space: null, projectUrl: `${BASE_URL}/app/projects/${id}`, timestamps: { project_created: Date.now() } });
+  registry.addProject(record(1, 'abc123'));
+  registry.addProject(record(1, 'abc123'));
+  registry.addProject(record(2, 'def456'));
+  registry.addProject({ ...record(3, 'x'), projectUrl: null });
+  registry.finish();
+  return dir;
+};
+
+// A page whose `visible` selectors are shown; clicks are recorded in `clicked`
+const fakePage = ({ status = 200, visible = [] } = {}) => {
+  const page = {
+    clicked: [],
+    goto: async () => ({ status: () => status }),
+    waitForTimeout: async () => {},
+    keyboard: { press: async () => {} },
+    locator: (selector) => ({
+      first: () => ({ isVisible: async () => visible.includes(selector), click: async () => { page.clicked.push(selector); } })
+    })
+  };
+  return page;
+};
+
+test('the run registry records every project once', () => {
+  const [run] = loadRuns(registryWithRun());
+  assert.deepStrictEqual(run.projects.map(project => [project.projectId, project.tab, project.status]), [['abc123', 1, 'created'], ['def456', 2, 'created']]);
+  assert.ok(run.endedAt);
+  assert.strictEqual(projectIdFromUrl(`${BASE_URL}/app/projects/abc123?x=1`, selectors.generation.projectUrlRegExp), 'abc123');
+});
+
+test('selectRuns picks runs by ID and age', () => {
+  const runs = [{ runId: 'old', startedAt: '2025-01-01T00:00:00Z' }, { runId: 'new', startedAt: '2025-01-09T00:00:00Z' }];
+  const now = Date.parse('2025-01-10T00:00:00Z');
+  assert.deepStrictEqual(selectRuns(runs, { olderThanMs: 7 * 24 * 60 * 60 * 1000, now }).map(run => run.runId), ['old']);
+  assert.deepStrictEqual(selectRuns(runs, { runIds: ['new'], now }).map(run => run.runId), ['new']);
+  assert.throws(() => selectRuns(runs, { runIds: ['nope'] }), /Run "nope" is not in the registry. Known runs: old, new/);
+});
+
+test('runCleanup lists a dry run without changing the registry', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const registry = registryWithRun();
+  assert.strictEqual(await runCleanup({ run: 'r1', dryRun: true, registry }), true);
+  assert.ok(log.mock.calls.some(call => /Dry run: would delete 2 project\(s\)/.test(call.arguments[0])));
+  assert.ok(loadRuns(registry)[0].projects.every(project => project.status === 'created'));
+  assert.strictEqual(await runCleanup({ run: 'r1', registry, baseUrl: 'http://127.0.0.1:4000' }), false, 'another target');
+  assert.strictEqual(await runCleanup({ run: 'nope', registry }), false);
+});
+
+test('removeProject deletes through the project menu and reports missing projects', async () => {
+  const page = fakePage({ visible: [selectors.cleanup.projectMenu[0], selectors.cleanup.delete[0], selectors.cleanup.confirm[0]] });
+  assert.deepStrictEqual(await removeProject(page, { projectUrl: 'u' }, 'delete', { selectors }), { status: 'deleted' });
+  assert.deepStrictEqual(page.clicked, [selectors.cleanup.projectMenu[0], selectors.cleanup.delete[0], selectors.cleanup.confirm[0]]);
+  assert.deepStrictEqual(await removeProject(fakePage({ status: 404 }), { projectUrl: 'u' }, 'delete', { selectors }), { status: 'missing' });
+  assert.deepStrictEqual(await removeProject(fakePage(), { projectUrl: 'u' }, 'archive', { selectors }), { status: null, reason: 'project_menu_not_found' });
+  const noArchive = fakePage({ visible: [selectors.cleanup.projectMenu[0]] });
+  assert.deepStrictEqual(await removeProject(noArchive, { projectUrl: 'u' }, 'archive', { selectors }), { status: null, reason: 'archive_option_not_found' });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseThresholds, compareReports, saveBaseline, loadComparable, DEFAULT_THRESHOLDS } = require('../lib/baselines');
+const { runCompare } = require('../lib/compare');
+const { summarizeTabs, summarizeByModel } = require('../lib/stats');
+
+// A JSON run report of `count` tabs per model, `failed` of them failing with generation_error
+const report = ({ models = ['gpt-5-mini'], count = 10, failed = 0, totalMs = 60_000 } = {}) => {
+  const tabs = models.flatMap(model => Array.from({ length: count }, (_, i) => {
+    const failure = i < failed;
+    return {
+      model,
+      state: failure ? 'failed' : 'complete',
+      outcome: failure ? 'failed' : 'complete',
+      failureReason: failure ? 'generation_error' : null,
+      timestamps: { pending: 0, submitted: 1 },
+      timings: { projectCreatedMs: 2000, firstOutputMs: 5000, ...(failure ? {} : { totalMs: totalMs + i }) }
+    };
+  }));
+  return { meta: { runId: 'r1', startedAt: '2025-01-01T00:00:00Z' }, summary: { ...summarizeTabs(tabs), byModel: summarizeByModel(tabs) }, tabs };
+};
+
+test('parseThresholds overrides the defaults and turns checks off', () => {
+  assert.deepStrictEqual(parseThresholds(undefined), DEFAULT_THRESHOLDS);
+  const thresholds = parseThresholds('p95=10%, failures=off, minSamples=20, completionRate=0.02');
+  assert.strictEqual(thresholds.p95, 0.1);
+  assert.strictEqual(thresholds.failures, null);
+  assert.strictEqual(thresholds.minSamples, 20);
+  assert.strictEqual(thresholds.completionRate, 0.02);
+  assert.throws(() => parseThresholds('foo=1'), /expected key=value pairs/);
+  assert.throws(() => parseThresholds('p95=abc'), /p95 must be a percentage/);
+  assert.throws(() => parseThresholds('minSamples=0'), /minSamples must be a whole number of at least 1/);
+});
+
+test('compareReports finds no regressions between equal runs', () => {
+  assert.deepStrictEqual(compareReports(report(), report()).regressions, []);
+});
+
+test('compareReports flags completion, failure and latency regressions', () => {
+  const { regressions, scopes } = compareReports(report(), report({ failed: 2, totalMs: 90_000 }));
+  assert.deepStrictEqual(scopes.map(scope => scope.name), ['Overall']);
+  assert.ok(regressions.some(line => line.startsWith('Overall: Completion rate 100% -> 80%')), regressions.join('\n'));
+  assert.ok(regressions.some(line => line.startsWith('Overall: Failure generation_error 0% -> 20%')));
+  assert.ok(regressions.some(line => line.startsWith('Overall: Generation p95')));
+  const lenient = parseThresholds('completionRate=off,failures=off,p50=off,p95=off,p99=off');
+  assert.deepStrictEqual(compareReports(report(), report({ failed: 2, totalMs: 90_000 }), lenient).regressions, []);
+});
+
+test('compareReports compares per model and skips latencies with too few samples', () => {
+  const models = ['gpt-5-mini', 'gpt-5'];
+  const { scopes } = compareReports(report({ models, count: 3 }), report({ models, count: 3, totalMs: 120_000 }));
+  assert.deepStrictEqual(scopes.map(scope => scope.name), ['Overall', 'Model gpt-5-mini', 'Model gpt-5']);
+  const p95 = scopes[1].rows.find(row => row.metric === 'Generation p95');
+  assert.strictEqual(p95.change, 'n=3/3');
+  assert.strictEqual(p95.regressed, false);
+});
+
+test('baselines are saved by name and loaded back like report files', () => {
+  const registry = fs.mkdtempSync(path.join(os.tmpdir(), 'burst-registry-'));
+  saveBaseline(registry, 'pre-deploy', report());
+  assert.strictEqual(loadComparable('pre-deploy', registry).label, 'baseline "pre-deploy"');
+  assert.throws(() => loadComparable('nope', registry), /"nope" is neither a report file nor a baseline .* \(baselines: pre-deploy\)/);
+  const notReport = path.join(registry, 'x.json');
+  fs.writeFileSync(notReport, '{"tabs": 1}');
+  assert.throws(() => loadComparable(notReport, registry), /is not a JSON run report/);
+});
+
+test('runCompare resolves false on a regression and true without', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const registry = fs.mkdtempSync(path.join(os.tmpdir(), 'burst-registry-'));
+  saveBaseline(registry, 'base', report());
+  const current = path.join(registry, 'current.json');
+  fs.writeFileSync(current, JSON.stringify(report({ failed: 5 })));
+  assert.strictEqual(await runCompare({ baseline: 'base', current, registry }), false);
+  assert.strictEqual(await runCompare({ baseline: 'base', current: 'base', registry }), true);
+  await assert.rejects(runCompare({ baseline: 'base', registry }), /compare needs a baseline and a current run report/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findConfigFile, loadConfigFile, applyConfigFile } = require('../lib/config-file');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'burst-config-'));
+
+const writeConfig = (content, name = 'burst.config.yaml') => {
+  const file = path.join(tempDir(), name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+const CONFIG = `
+headless: true
+promptText: From the file
+tabs: 2
+profiles:
+  smoke:
+    tabs: 3
+  nightly-soak:
+    tabs: 20
+    duration: 8h
+`;
+
+test('applyConfigFile lays the file and its profile under the given options', () => {
+  const file = writeConfig(CONFIG);
+  const { options, profile } = applyConfigFile({ config: file, profile: 'nightly-soak', promptText: 'From env', tabs: undefined });
+  assert.strictEqual(profile, 'nightly-soak');
+  assert.deepStrictEqual(options, { headless: true, promptText: 'From env', tabs: 20, duration: '8h' });
+  assert.strictEqual(applyConfigFile({ config: file, tabs: 5 }).options.tabs, 5);
+});
+
+test('applyConfigFile rejects unknown profiles and a profile without a file', () => {
+  const file = writeConfig(CONFIG);
+  assert.throws(() => applyConfigFile({ config: file, profile: 'prod' }), (error) =>
+    error.code === 'invalid_options' && /has no profile "prod" \(profiles: smoke, nightly-soak\)/.test(error.message));
+  assert.throws(() => applyConfigFile({ config: '', profile: 'smoke' }), /--profile smoke needs a config file/);
+  assert.throws(() => applyConfigFile({ config: path.join(tempDir(), 'missing.yaml') }), /Config file not found/);
+});
+
+test('loadConfigFile validates the options of the file and of every profile', () => {
+  assert.throws(() => loadConfigFile(writeConfig('tabz: 3\n')), /unknown option "tabz"/);
+  assert.throws(() => loadConfigFile(writeConfig('profiles:\n  smoke:\n    tabs: abc\n')), /profile "smoke": tabs must be a whole number of at least 1, got "abc"/);
+  assert.throws(() => loadConfigFile(writeConfig('profiles:\n  smoke: 3\n')), /profile "smoke" must be an object of options/);
+  assert.throws(() => loadConfigFile(writeConfig('- a\n')), /expected an object of options/);
+  assert.deepStrictEqual(loadConfigFile(writeConfig('{"tabs": 4}', 'burst.config.json')).options, { tabs: 4 });
+});
+
+test('loadConfigFile resolves relative paths against the directory of the file', () => {
+  const file = writeConfig('prompts: prompts.txt\nregistry: /var/runs\naccounts: alice=./alice, bob=states/bob.json\nprofiles:\n  nightly:\n    report: reports/nightly.json\n');
+  const dir = path.dirname(file);
+  const { options, profiles } = loadConfigFile(file);
+  assert.strictEqual(options.prompts, path.join(dir, 'prompts.txt'));
+  assert.strictEqual(options.registry, '/var/runs');
+  assert.strictEqual(options.accounts, `alice=${path.join(dir, 'alice')},bob=${path.join(dir, 'states/bob.json')}`);
+  assert.strictEqual(profiles.nightly.report, path.join(dir, 'reports', 'nightly.json'));
+});
+
+test('findConfigFile finds one config file and refuses two', () => {
+  const dir = tempDir();
+  assert.strictEqual(findConfigFile(dir), null);
+  fs.writeFileSync(path.join(dir, 'burst.config.yml'), 'tabs: 2\n');
+  assert.strictEqual(findConfigFile(dir), path.join(dir, 'burst.config.yml'));
+  fs.writeFileSync(path.join(dir, 'burst.config.json'), '{}');
+  assert.throws(() => findConfigFile(dir), /Found both burst.config.json and burst.config.yml/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_TABS, validateOptions, resolveConfig } = require('../lib/config');
+
+test('validateOptions accepts known options of the right type', () => {
+  assert.doesNotThrow(() => validateOptions({ tabs: '10', headless: true, seed: 42, report: 'out.json', arrivalRate: 0.5 }));
+});
+
+test('validateOptions rejects unknown options, with a hint for near misses', () => {
+  assert.throws(() => validateOptions({ tabz: 5 }), /^Error: Unknown option --tabz$/);
+  assert.throws(() => validateOptions({ 'auto-close': '5s' }), /did you mean --autoClose\?/);
+  assert.throws(() => validateOptions({ prompt_text: 'x' }, 'burst.config.yaml'), /burst.config.yaml: unknown option "prompt_text" \(did you mean "promptText"\?\)/);
+});
+
+test('validateOptions rejects repeated flags and file lists', () => {
+  assert.throws(() => validateOptions({ tabs: [5, 6] }), /--tabs was given more than once \(5, 6\)/);
+  assert.throws(() => validateOptions({ models: ['gpt-5'] }, 'f.yaml'), /f.yaml: models must be a single value/);
+});
+
+test('validateOptions checks types and ranges', () => {
+  assert.throws(() => validateOptions({ tabs: 'abc' }), /--tabs must be a whole number of at least 1, got "abc"/);
+  assert.throws(() => validateOptions({ tabs: 2.5 }), /--tabs must be a whole number/);
+  assert.throws(() => validateOptions({ tabs: '' }), /--tabs must be a whole number/);
+  assert.throws(() => validateOptions({ maxTabs: MAX_TABS + 1 }), new RegExp(`--maxTabs must be a whole number from 1 to ${MAX_TABS}`));
+  assert.throws(() => validateOptions({ generationTimeout: 5 }), /--generationTimeout must be a number of at least 10/);
+  assert.throws(() => validateOptions({ statusPort: 70000 }), /--statusPort must be a whole number from 0 to 65535/);
+  assert.throws(() => validateOptions({ headless: 'yes' }), /--headless must be true or false/);
+  assert.throws(() => validateOptions({ report: true }), /--report needs a value/);
+});
+
+test('resolveConfig rejects bad options with code invalid_options', () => {
+  assert.throws(() => resolveConfig({ tabs: 'abc' }), (error) => error.code === 'invalid_options' && /--tabs/.test(error.message));
+});
+
+test('resolveConfig rejects more tabs than a browser process runs instead of clamping', () => {
+  assert.throws(() => resolveConfig({ tabs: MAX_TABS + 1 }), new RegExp(`--tabs must be at most ${MAX_TABS}, got ${MAX_TABS + 1}`));
+  assert.throws(() => resolveConfig({ tabs: 30, maxTabs: 20 }), /--tabs must be at most 20, got 30 \(the --maxTabs of this run\)/);
+});
+
+test('resolveConfig names the option of an invalid duration', () => {
+  assert.throws(() => resolveConfig({ gracePeriod: -5 }), /^Error: --gracePeriod: Invalid duration "-5"/);
+  assert.throws(() => resolveConfig({ otlpInterval: 'soon' }), /^Error: --otlpInterval: Invalid duration "soon"/);
+  assert.throws(() => resolveConfig({ run: 'r1', olderThan: -1 }, 'cleanup'), /^Error: --olderThan: Invalid duration "-1"/);
+});
+
+test('resolveConfig applies defaults and numeric strings', () => {
+  const config = resolveConfig({ tabs: '3', generationTimeout: '120' });
+  assert.strictEqual(config.tabs, 3);
+  assert.strictEqual(config.generationTimeoutMs, 120_000);
+  assert.strictEqual(config.baseUrl, 'https://builder.io');
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDuration } = require('../lib/duration');
+
+test('parseDuration reads units and bare numbers', () => {
+  assert.strictEqual(parseDuration('90'), 90_000);
+  assert.strictEqual(parseDuration('45s'), 45_000);
+  assert.strictEqual(parseDuration('2h'), 2 * 60 * 60 * 1000);
+  assert.strictEqual(parseDuration(1.5), 1500);
+  assert.strictEqual(parseDuration(7, 'd'), 7 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(parseDuration(''), 0);
+});
+
+test('parseDuration rejects negative and non-finite numbers like invalid strings', () => {
+  for (const value of [-30, -0.5, Infinity, NaN, '-30', '5 minutes']) {
+    assert.throws(() => parseDuration(value), /^Error: Invalid duration/, String(value));
+  }
+});
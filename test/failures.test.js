@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FAILURE_CLASSES, DEFAULT_RETRIES, failureClassOf, failureFields, parseRetryPolicy, backoffMs, parseFailureRate, createFailureRateGuard, summarizeFailures } = require('../lib/failures');
+
+test('failure codes belong to a class, or to none when a retry cannot help', () => {
+  assert.strictEqual(failureClassOf('page_not_ready'), 'navigation');
+  assert.strictEqual(failureClassOf('generation_timeout'), 'generation');
+  assert.strictEqual(failureClassOf('checks_failed'), null);
+  assert.strictEqual(failureClassOf('tab_closed'), null);
+  assert.deepStrictEqual(failureFields('session_expired', 'login page'), { failureReason: 'session_expired', failureClass: 'auth', failureDetail: 'login page' });
+});
+
+test('parseRetryPolicy takes a count for every class or per class', () => {
+  const defaults = parseRetryPolicy();
+  assert.deepStrictEqual(FAILURE_CLASSES.map(failureClass => defaults[failureClass].retries), FAILURE_CLASSES.map(failureClass => DEFAULT_RETRIES[failureClass]));
+  const policy = parseRetryPolicy({ retries: 'generation=1,3', retryBackoff: 'navigation=2s' });
+  assert.strictEqual(policy.generation.retries, 1);
+  assert.strictEqual(policy.navigation.retries, 3);
+  assert.strictEqual(policy.navigation.backoffMs, 2000);
+  assert.strictEqual(policy.auth.backoffMs, 5000);
+  assert.throws(() => parseRetryPolicy({ retries: 'network=1' }), /--retries: unknown failure class "network"/);
+  assert.throws(() => parseRetryPolicy({ retries: '11' }), /retry counts must be whole numbers from 0 to 10/);
+  assert.throws(() => parseRetryPolicy({ retryBackoff: '5m' }), /--retryBackoff: backoff must be at most 120s/);
+});
+
+test('backoffMs doubles with every retry up to the limit', () => {
+  const policy = parseRetryPolicy({ retryBackoff: '10s' });
+  assert.deepStrictEqual([1, 2, 3, 10].map(retry => backoffMs(policy, 'navigation', retry)), [10_000, 20_000, 40_000, 120_000]);
+});
+
+test('the failure rate guard trips after the minimum sample', () => {
+  assert.strictEqual(parseFailureRate('50%'), 0.5);
+  assert.strictEqual(parseFailureRate(''), null);
+  assert.throws(() => parseFailureRate('0'), /--maxFailureRate must be a fraction above 0/);
+  const guard = createFailureRateGuard(0.5, 3);
+  assert.deepStrictEqual([true, true, false, false].map(guard.add), [false, false, true, false]);
+  assert.strictEqual(guard.describe(), '2/4 finished prompts failed (50%)');
+});
+
+test('summarizeFailures counts codes and retries per class', () => {
+  const summary = summarizeFailures([
+    { ...failureFields('generation_error'), retries: [{ failureClass: 'navigation' }], retried: true },
+    { ...failureFields('generation_error'), retries: [], retried: false },
+    { failureReason: null, failureClass: null, retries: [{ failureClass: 'navigation' }, { failureClass: 'model' }], retried: false }
+  ]);
+  assert.deepStrictEqual(summary.byCode, { generation_error: { failureClass: 'generation', count: 2 } });
+  assert.deepStrictEqual(summary.retries, { total: 4, byClass: { navigation: 2, generation: 1, model: 1 } });
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveLoadProfile, rampOffsetMs, describeProfile } = require('../lib/load-profile');
+
+test('resolveLoadProfile defaults to a burst', () => {
+  const profile = resolveLoadProfile({ tabs: 20 });
+  assert.strictEqual(profile.type, 'burst');
+  assert.strictEqual(profile.openBatchSize, 10);
+  assert.strictEqual(profile.openBatchDelayMs, 2000);
+  assert.strictEqual(describeProfile(profile), 'burst, open batches of 10, prompt batches of 15, single pass');
+});
+
+test('resolveLoadProfile lets CLI values override the profile file', () => {
+  const profile = resolveLoadProfile({ fileProfile: { rampUp: '1m', rampShape: 'stepped' }, cliOptions: { rampUp: '30s', duration: '2h' }, tabs: 10 });
+  assert.strictEqual(profile.type, 'ramp');
+  assert.strictEqual(profile.rampUpMs, 30_000);
+  assert.strictEqual(profile.rampShape, 'stepped');
+  assert.strictEqual(profile.durationMs, 2 * 60 * 60 * 1000);
+  assert.strictEqual(resolveLoadProfile({ cliOptions: { arrivalRate: 12 }, tabs: 5 }).type, 'arrival');
+});
+
+test('resolveLoadProfile names the key of an invalid value', () => {
+  assert.throws(() => resolveLoadProfile({ cliOptions: { rampUp: '5 minutes' }, tabs: 5 }), /^Error: rampUp: Invalid duration "5 minutes"/);
+  assert.throws(() => resolveLoadProfile({ fileProfile: { promptBatchDelay: 'soon' }, tabs: 5 }), /^Error: promptBatchDelay: Invalid duration/);
+  assert.throws(() => resolveLoadProfile({ cliOptions: { duration: -30, rampUp: '1m' }, tabs: 5 }), /^Error: duration: Invalid duration "-30"/);
+  assert.throws(() => resolveLoadProfile({ cliOptions: { rampSteps: 0 }, tabs: 5 }), /rampSteps must be a positive integer/);
+  assert.throws(() => resolveLoadProfile({ cliOptions: { arrivalRate: -1 }, tabs: 5 }), /arrivalRate must be a non-negative number/);
+  assert.throws(() => resolveLoadProfile({ cliOptions: { rampShape: 'sine' }, tabs: 5 }), /rampShape must be one of linear, stepped/);
+});
+
+test('rampOffsetMs spreads tabs linearly or in steps', () => {
+  const linear = resolveLoadProfile({ cliOptions: { rampUp: '10s' }, tabs: 11 });
+  assert.deepStrictEqual([0, 5, 10].map(i => rampOffsetMs(linear, i)), [0, 5000, 10_000]);
+  const stepped = resolveLoadProfile({ cliOptions: { rampUp: '10s', rampShape: 'stepped', rampSteps: 2 }, tabs: 4 });
+  assert.deepStrictEqual([0, 1, 2, 3].map(i => rampOffsetMs(stepped, i)), [0, 0, 10_000, 10_000]);
+});
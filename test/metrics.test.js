@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createRunMetrics, renderPrometheus, otlpPayload, GENERATION_BUCKETS } = require('../lib/metrics');
+const { TAB_STATES, createTabRecord, transition } = require('../lib/tab-state');
+const { failureFields } = require('../lib/failures');
+
+// A run of three tabs: one completes, one fails, one fails its output checks
+const runEvents = () => {
+  const events = new EventEmitter();
+  const metrics = createRunMetrics(events);
+  events.emit('runStarted', { runId: 'r1' });
+  const page = new EventEmitter();
+  for (const [i, end] of [TAB_STATES.COMPLETE, TAB_STATES.FAILED, TAB_STATES.CHECKS_FAILED].entries()) {
+    events.emit('tabOpened', { tab: i + 1, model: 'gpt-5', space: null, page });
+    events.emit('tabLoaded', { tab: i + 1, navigationMs: 1500 });
+    const record = Object.assign(createTabRecord(i), { model: 'gpt-5' });
+    events.emit('attemptStarted', { tab: i + 1, record });
+    transition(record, TAB_STATES.SUBMITTED);
+    if (end === TAB_STATES.FAILED) {
+      transition(record, end, failureFields('generation_error'));
+    } else {
+      transition(record, TAB_STATES.COMPLETE);
+      if (end === TAB_STATES.CHECKS_FAILED) transition(record, end, failureFields('checks_failed'));
+    }
+  }
+  return { metrics, page };
+};
+
+test('createRunMetrics counts prompts, completions and failures with checks_failed', () => {
+  const { metrics } = runEvents();
+  const families = Object.fromEntries(metrics.collect().map(family => [family.name, family]));
+  const labels = { run_id: 'r1', model: 'gpt-5', space: 'current' };
+  assert.deepStrictEqual(families.prompts_submitted.samples, [{ labels, value: 3 }]);
+  assert.deepStrictEqual(families.generations_completed.samples, [{ labels, value: 1 }]);
+  assert.deepStrictEqual(families.failures.samples.map(sample => [sample.labels.reason, sample.value]), [['generation_error', 1], ['checks_failed', 1]]);
+  assert.deepStrictEqual(families.open_tabs.samples, [{ labels, value: 3 }]);
+  assert.deepStrictEqual(families.navigation_duration.samples, [{ labels, values: [1.5, 1.5, 1.5] }]);
+});
+
+test('renderPrometheus writes counters and cumulative histogram buckets', () => {
+  const { metrics, page } = runEvents();
+  page.emit('close');
+  const text = renderPrometheus(metrics.collect());
+  assert.match(text, /^# TYPE burst_failures_total counter$/m);
+  assert.match(text, /^burst_prompts_submitted_total\{run_id="r1",model="gpt-5",space="current"\} 3$/m);
+  assert.match(text, /^burst_open_tabs\{run_id="r1",model="gpt-5",space="current"\} 0$/m);
+  assert.match(text, /^burst_navigation_duration_seconds_bucket\{run_id="r1",model="gpt-5",space="current",le="\+Inf"\} 3$/m);
+  assert.match(text, /^burst_navigation_duration_seconds_count\{run_id="r1",model="gpt-5",space="current"\} 3$/m);
+});
+
+test('otlpPayload takes histograms of a long soak', () => {
+  const values = Array.from({ length: 300_000 }, (_, i) => (i % 1200) + 1);
+  const families = [{ name: 'generation_duration', type: 'histogram', unit: 's', bounds: GENERATION_BUCKETS, help: 'h', samples: [{ labels: { run_id: 'r1' }, values }] }];
+  const [point] = otlpPayload(families, { startTimeMs: 1, timeMs: 2 }).resourceMetrics[0].scopeMetrics[0].metrics[0].histogram.dataPoints;
+  assert.strictEqual(point.count, '300000');
+  assert.strictEqual(point.min, 1);
+  assert.strictEqual(point.max, 1200);
+  assert.strictEqual(point.bucketCounts.length, GENERATION_BUCKETS.length + 1);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toHar, summarizeNetwork } = require('../lib/network');
+
+const entry = (fields) => ({
+  tab: 1,
+  url: 'https://builder.io/api/projects?space=abc',
+  method: 'POST',
+  resourceType: 'fetch',
+  endpoint: 'createProject',
+  startedAt: Date.parse('2025-01-01T00:00:00Z'),
+  status: 201,
+  statusText: 'Created',
+  latencyMs: 120,
+  durationMs: 200,
+  bytes: 512,
+  mimeType: 'application/json',
+  failure: null,
+  aborted: false,
+  ...fields
+});
+
+test('toHar writes a HAR 1.2 entry per request', () => {
+  const har = toHar([entry({}), entry({ resourceType: 'websocket' })], { creatorVersion: '1.0.0', comment: 'run r1, tab 1' });
+  assert.strictEqual(har.log.version, '1.2');
+  assert.deepStrictEqual(har.log.creator, { name: 'builder-burst', version: '1.0.0' });
+  assert.strictEqual(har.log.entries.length, 1, 'WebSockets are left out');
+  const [{ startedDateTime, time, request, response, timings, _endpoint }] = har.log.entries;
+  assert.strictEqual(startedDateTime, '2025-01-01T00:00:00.000Z');
+  assert.strictEqual(time, 200);
+  assert.deepStrictEqual(request.queryString, [{ name: 'space', value: 'abc' }]);
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(response.content.size, 512);
+  assert.deepStrictEqual(timings, { send: 0, wait: 120, receive: 80 });
+  assert.strictEqual(_endpoint, 'createProject');
+});
+
+test('toHar records failed and aborted requests', () => {
+  const [failed, aborted] = toHar([
+    entry({ status: null, statusText: '', latencyMs: null, durationMs: null, bytes: null, failure: 'net::ERR_CONNECTION_RESET' }),
+    entry({ status: null, statusText: '', latencyMs: null, durationMs: null, bytes: null, aborted: true })
+  ]).log.entries;
+  assert.strictEqual(failed.response.status, 0);
+  assert.strictEqual(failed.response.statusText, 'net::ERR_CONNECTION_RESET');
+  assert.strictEqual(failed._failure, 'net::ERR_CONNECTION_RESET');
+  assert.deepStrictEqual(failed.timings, { send: 0, wait: -1, receive: -1 });
+  assert.strictEqual(aborted.response.statusText, 'net::ERR_ABORTED');
+});
+
+test('summarizeNetwork counts per endpoint, busiest first', () => {
+  const summary = summarizeNetwork([entry({}), entry({ endpoint: 'stream', status: 503 }), entry({ endpoint: 'stream', status: 429 })]);
+  assert.deepStrictEqual(Object.keys(summary.byEndpoint), ['stream', 'createProject']);
+  assert.strictEqual(summary.totals.requests, 3);
+  assert.strictEqual(summary.byEndpoint.stream.http5xx, 1);
+  assert.strictEqual(summary.byEndpoint.stream.http429, 1);
+  assert.deepStrictEqual(summary.byEndpoint.stream.statuses, { '5xx': 1, '4xx': 1 });
+});
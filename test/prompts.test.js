@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeEntry, loadPromptCorpus, corpusFromText, createPromptPicker, renderPrompt } = require('../lib/prompts');
+const { createRng } = require('../lib/random');
+
+const corpusFile = (name, content) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'burst-prompts-')), name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+test('loadPromptCorpus reads text, JSONL and YAML corpora', () => {
+  assert.deepStrictEqual(loadPromptCorpus(corpusFile('p.txt', '# comment\nA landing page\n\nA blog\n')), [
+    { text: 'A landing page', weight: 1 },
+    { text: 'A blog', weight: 1 }
+  ]);
+  assert.deepStrictEqual(loadPromptCorpus(corpusFile('p.jsonl', '"A shop"\n{"text": "A gym", "weight": 3}\n')), [
+    { text: 'A shop', weight: 1 },
+    { text: 'A gym', weight: 3 }
+  ]);
+  assert.deepStrictEqual(loadPromptCorpus(corpusFile('p.yaml', 'prompts:\n  - A bakery\n  - { text: A café, weight: 2 }\n')), [
+    { text: 'A bakery', weight: 1 },
+    { text: 'A café', weight: 2 }
+  ]);
+});
+
+test('loadPromptCorpus names the location of a bad entry', () => {
+  assert.throws(() => loadPromptCorpus(corpusFile('p.jsonl', '"ok"\n{oops\n')), /p.jsonl:2: invalid JSON/);
+  assert.throws(() => loadPromptCorpus(corpusFile('p.txt', '# only a comment\n')), /prompt corpus is empty/);
+  assert.throws(() => normalizeEntry({ text: 'x', weight: 0 }, 'here'), /here: weight must be a positive number/);
+  assert.throws(() => normalizeEntry('Hello {{name}}', 'here'), /here: unknown placeholder \{\{name\}\}/);
+  assert.throws(() => normalizeEntry('{{pick:}}', 'here'), /\{\{pick:\.\.\.\}\} needs at least one option/);
+});
+
+test('createPromptPicker assigns round-robin and reproducible random picks', () => {
+  const corpus = [{ text: 'a', weight: 1 }, { text: 'b', weight: 1 }, { text: 'c', weight: 1 }];
+  const roundRobin = createPromptPicker(corpus, 'round-robin');
+  assert.deepStrictEqual([0, 1, 2, 3].map(i => roundRobin(i).text), ['a', 'b', 'c', 'a']);
+  const picks = (seed) => {
+    const pick = createPromptPicker(corpus, 'random', createRng(seed));
+    return Array.from({ length: 10 }, (_, i) => pick(i).text);
+  };
+  assert.deepStrictEqual(picks('42'), picks('42'));
+  const weighted = createPromptPicker([{ text: 'never', weight: 1e-9 }, { text: 'always', weight: 1e9 }], 'weighted', createRng('1'));
+  assert.strictEqual(weighted(0).text, 'always');
+  assert.throws(() => createPromptPicker(corpus, 'shuffle'), /Unknown prompt strategy "shuffle"/);
+});
+
+test('renderPrompt fills in the placeholders', () => {
+  const [{ text }] = corpusFromText('Tab {{tab}} of {{runId}}: {{pick:red}}');
+  assert.strictEqual(renderPrompt(text, { tab: 3, runId: 'r1' }, createRng('s')), 'Tab 3 of r1: red');
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScenarios, describeScenarios, summarizeScenarios } = require('../lib/scenarios');
+const { TAB_STATES } = require('../lib/tab-state');
+
+const scenarioFile = (content, name = 'landing-page.yaml') => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'burst-scenarios-')), name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+test('loadScenarios reads one scenario named after its file', () => {
+  const [scenario] = loadScenarios(scenarioFile('steps:\n  - prompt: A landing page for {{pick:a bakery|a gym}}\n    timeout: 10m\n  - prompt: Add pricing\n    think: 20s\n  - Make it dark\n'));
+  assert.strictEqual(scenario.name, 'landing-page');
+  assert.deepStrictEqual(scenario.steps.map(step => [step.thinkMs, step.timeoutMs]), [[0, 600_000], [20_000, null], [0, null]]);
+  assert.strictEqual(scenario.steps[2].prompt, 'Make it dark');
+});
+
+test('loadScenarios reads a weighted list of scenarios', () => {
+  const scenarios = loadScenarios(scenarioFile('{"scenarios": [{"name": "a", "weight": 3, "steps": ["x"]}, {"steps": ["y", "z"]}]}', 'mix.json'));
+  assert.deepStrictEqual(scenarios.map(({ name, weight }) => [name, weight]), [['a', 3], ['mix-2', 1]]);
+  assert.strictEqual(describeScenarios(scenarios), 'a (1 step), mix-2 (2 steps)');
+});
+
+test('loadScenarios names the step of an invalid value', () => {
+  assert.throws(() => loadScenarios(scenarioFile('steps: []\n')), /"steps" must be a non-empty list/);
+  assert.throws(() => loadScenarios(scenarioFile('steps:\n  - ok\n  - prompt: x\n    wait: 5s\n')), /step #2: unknown step keys: wait/);
+  assert.throws(() => loadScenarios(scenarioFile('steps:\n  - prompt: x\n    think: soon\n')), /step #1: Invalid duration "soon"/);
+  assert.throws(() => loadScenarios(scenarioFile('steps:\n  - prompt: x\n    timeout: 5s\n')), /step #1: timeout must be at least 10s/);
+  assert.throws(() => loadScenarios(scenarioFile('- { name: a, steps: [x] }\n- { name: a, steps: [y] }\n')), /scenario name "a" is used twice/);
+});
+
+test('summarizeScenarios counts the runs that got through every step', () => {
+  const record = (tab, step, state) => ({ tab, iteration: 1, scenario: 'landing-page', step, state, timestamps: { pending: 0, submitted: 1 }, timings: {} });
+  const summary = summarizeScenarios([
+    record(1, 1, TAB_STATES.COMPLETE), record(1, 2, TAB_STATES.COMPLETE),
+    record(2, 1, TAB_STATES.COMPLETE), record(2, 2, TAB_STATES.FAILED)
+  ], [{ name: 'landing-page', steps: [{}, {}] }]);
+  assert.deepStrictEqual([summary.runs, summary.completed], [2, 1]);
+  assert.deepStrictEqual(summary.byScenario['landing-page'], { steps: 2, runs: 2, completed: 1 });
+  assert.strictEqual(summary.byStep['landing-page #2'].outcomes.failed, 1);
+});
@@ -0,0 +1,48 @@
+// End-to-end smoke run: the CLI against the bundled mock Builder app in a headless browser,
+// Google Chrome or else Playwright's Chromium. Skipped when neither is installed (npm run install-browsers).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { browserChoice } = require('../lib/browser');
+const { startMockServer } = require('../mock/server');
+
+const CLI = path.join(__dirname, '..', 'burst-builder.js');
+
+// Resolves with { code, output } once the CLI exits
+const runCli = (args, cwd) => new Promise((resolve) => {
+  execFile(process.execPath, [CLI, ...args], { cwd, timeout: 120_000, env: { ...process.env, PROMPT_TEXT: '' } }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, output: stdout + stderr });
+  });
+});
+
+test('a burst against the mock app completes every tab', { skip: !browserChoice().installed && 'Neither Chrome nor Chromium is installed (npm run install-browsers)', timeout: 180_000 }, async () => {
+  const mock = await startMockServer({ port: 0, createDelay: 100, chunks: 3, chunkInterval: 100 });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'burst-smoke-'));
+  try {
+    const { code, output } = await runCli([
+      '--baseUrl', mock.url, '--tabs', '2', '--headless', '--generationTimeout', '60', '--autoClose', '1',
+      '--userDataDir', path.join(dir, 'profile'), '--registry', path.join(dir, 'runs'), '--report', path.join(dir, 'report.json')
+    ], dir);
+    assert.strictEqual(code, 0, output);
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'));
+    assert.strictEqual(report.summary.attempts, 2, output);
+    assert.strictEqual(report.summary.outcomes.complete, 2, output);
+    assert.ok(report.tabs.every(tab => tab.projectUrl?.startsWith(`${mock.url}/app/projects/`)), output);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('invalid options fail before any browser starts', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'burst-smoke-'));
+  for (const args of [['--tabs', 'abc'], ['--tabs', '100'], ['--tabs', '2', '--tabs', '3'], ['--tabz', '2'], ['--profile', 'smoke']]) {
+    const { code, output } = await runCli(args, dir);
+    assert.strictEqual(code, 1, output);
+    assert.match(output, /^❌ /m);
+    assert.doesNotMatch(output, /Run ID:/, `${args.join(' ')} started a run`);
+  }
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { minOf, maxOf, percentile, summarizeLatency } = require('../lib/stats');
+
+test('minOf and maxOf take more samples than a call takes arguments', () => {
+  const values = Array.from({ length: 500_000 }, (_, i) => i % 1000);
+  assert.strictEqual(minOf(values), 0);
+  assert.strictEqual(maxOf(values), 999);
+  assert.strictEqual(maxOf([]), null);
+  assert.strictEqual(summarizeLatency(values).max, 999);
+});
+
+test('percentile uses the nearest rank', () => {
+  assert.strictEqual(percentile([5, 1, 4, 2, 3], 50), 3);
+  assert.strictEqual(percentile([5, 1, 4, 2, 3], 95), 5);
+  assert.strictEqual(percentile([], 95), null);
+  assert.deepStrictEqual(summarizeLatency([null, 'x']), { count: 0 });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { TAB_PHASES, latencyHistogram, createRunStatus, startStatusServer } = require('../lib/status');
+const { TAB_STATES, createTabRecord, transition } = require('../lib/tab-state');
+const { failureFields } = require('../lib/failures');
+
+// Two tabs: the first completes its prompt, the second is not signed in
+const runEvents = () => {
+  const events = new EventEmitter();
+  const status = createRunStatus(events);
+  events.emit('runStarted', { runId: 'r1', tabs: 2, startedAt: Date.now() - 1000, workers: null });
+  events.emit('tabOpened', { tab: 1, account: 'alice' });
+  events.emit('tabOpened', { tab: 2, account: 'bob' });
+  events.emit('authChecked', { tab: 2, authenticated: false, reason: 'login page' });
+  const record = Object.assign(createTabRecord(0), { model: 'gpt-5' });
+  events.emit('attemptStarted', { tab: 1, record });
+  transition(record, TAB_STATES.SUBMITTED);
+  transition(record, TAB_STATES.STREAMING);
+  transition(record, TAB_STATES.COMPLETE);
+  return { events, status };
+};
+
+test('createRunStatus keeps a row per tab and running counters', () => {
+  const { status } = runEvents();
+  const snapshot = status.snapshot();
+  assert.strictEqual(snapshot.runId, 'r1');
+  assert.strictEqual(snapshot.phase, 'running');
+  assert.deepStrictEqual(snapshot.tabRows.map(row => [row.tab, row.state, row.account]), [[1, 'complete', 'alice'], [2, TAB_PHASES.NOT_SIGNED_IN, 'bob']]);
+  assert.strictEqual(snapshot.tabRows[1].lastError.code, 'not_authenticated');
+  assert.deepStrictEqual(snapshot.counters, { tabsOpen: 2, attempts: 1, submitted: 1, inFlight: 0, complete: 1, failed: 0, timedOut: 0, retries: 0, failuresByCode: {} });
+  assert.strictEqual(snapshot.latency.generation.count, 1);
+});
+
+test('createRunStatus keeps the last failure of a tab across attempts and follows the phases', () => {
+  const { events, status } = runEvents();
+  const failed = Object.assign(createTabRecord(1), { model: 'gpt-5' });
+  events.emit('attemptStarted', { tab: 2, record: failed });
+  transition(failed, TAB_STATES.FAILED, failureFields('prompt_input_not_found'));
+  events.emit('attemptStarted', { tab: 2, record: Object.assign(createTabRecord(1, 1, 2), { model: 'gpt-5' }) });
+  assert.strictEqual(status.snapshot().tabRows[1].lastError.code, 'prompt_input_not_found');
+  assert.deepStrictEqual(status.snapshot().counters.failuresByCode, { prompt_input_not_found: 1 });
+  events.emit('stopping', { reason: 'duration', inFlight: 0 });
+  assert.deepStrictEqual([status.snapshot().phase, status.snapshot().stopReason], ['stopping', 'duration']);
+  events.emit('runComplete', {});
+  assert.strictEqual(status.snapshot().phase, 'finished');
+});
+
+test('createRunStatus sums the progress of workers in a coordinated run', () => {
+  const events = new EventEmitter();
+  const status = createRunStatus(events);
+  events.emit('workerProgress', { worker: 'w1', attempts: 2, submitted: 2, inFlight: 1, complete: 1, failed: 0, timedOut: 0 });
+  events.emit('workerProgress', { worker: 'w2', attempts: 3, submitted: 3, inFlight: 0, complete: 2, failed: 1, timedOut: 0 });
+  const { counters, workers } = status.snapshot();
+  assert.deepStrictEqual([counters.attempts, counters.complete, counters.failed, counters.tabsOpen], [5, 3, 1, null]);
+  assert.deepStrictEqual(workers.map(worker => worker.name), ['w1', 'w2']);
+});
+
+test('latencyHistogram buckets latencies up to each bound', () => {
+  const histogram = latencyHistogram([5000, 10_000, 45_000, 900_000]);
+  assert.strictEqual(histogram.count, 4);
+  assert.deepStrictEqual(histogram.buckets.map(bucket => bucket.count), [2, 0, 1, 0, 0, 0, 1]);
+});
+
+test('startStatusServer serves the snapshot as JSON', async () => {
+  const { status } = runEvents();
+  const server = await startStatusServer(status, { port: 0, host: '127.0.0.1' });
+  try {
+    const response = await fetch(server.url);
+    assert.strictEqual(response.headers.get('content-type'), 'application/json');
+    assert.strictEqual((await response.json()).runId, 'r1');
+    assert.strictEqual((await fetch(server.url.replace('/status', '/nope'))).status, 404);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseWorkerList, splitTabs, workerArgv, confineOutputs, startWorkerServer, runRemoteWorker } = require('../lib/workers');
+
+// Stands in for burst-builder.js under a worker server: reports its command line as the run result,
+// and for a --runId wait-* run waits for the signal of /stop first
+const WORKER_SCRIPT = `
+const argv = process.argv.slice(2);
+const option = (name) => argv[argv.indexOf('--' + name) + 1];
+const report = (interrupted) => process.send({ type: 'result', runId: option('runId'), argv, records: [{ tab: 1, state: 'complete' }], networkEntries: [], aborted: null, interrupted }, () => process.exit(0));
+const wait = option('runId').startsWith('wait-');
+if (wait) {
+  process.once('SIGINT', () => report('SIGINT'));
+  setInterval(() => {}, 1000);
+}
+console.log('run ' + option('runId'));
+process.send({ type: 'progress', attempts: 1, submitted: 1, inFlight: 0, complete: 1, failed: 0, timedOut: 0 });
+if (!wait) report(null);
+`;
+
+// A worker server on a free port running WORKER_SCRIPT; resolves with { url, outputDir, close }
+const startServer = async ({ token } = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'burst-worker-'));
+  const script = path.join(dir, 'run.js');
+  fs.writeFileSync(script, WORKER_SCRIPT);
+  const outputDir = path.join(dir, 'output');
+  const worker = startWorkerServer({ script, host: '127.0.0.1', port: 0, maxTabs: 10, token, outputDir, log: () => {} });
+  await new Promise(resolve => worker.server.once('listening', resolve));
+  const url = `http://127.0.0.1:${worker.server.address().port}`;
+  return { url, outputDir, close: () => new Promise(resolve => worker.server.close(resolve)) };
+};
+
+const post = (url, body, token = 'secret') => fetch(url, { method: 'POST', headers: { authorization: `Bearer ${token}` }, body });
+
+test('parseWorkerList names local and remote workers', () => {
+  assert.deepStrictEqual(parseWorkerList('2'), [{ name: 'w1', url: null }, { name: 'w2', url: null }]);
+  assert.deepStrictEqual(parseWorkerList('local,http://10.0.0.5:7420/').map(worker => worker.url), [null, 'http://10.0.0.5:7420']);
+  assert.throws(() => parseWorkerList('ftp://x'), /expected a number, local\[:count\] or an http\(s\) worker URL/);
+  assert.throws(() => parseWorkerList('http://a:1,http://a:1'), /listed more than once/);
+});
+
+test('splitTabs spreads tabs within the capacities', () => {
+  assert.deepStrictEqual(splitTabs(10, [55, 55, 55]), [4, 3, 3]);
+  assert.deepStrictEqual(splitTabs(12, [2, 20]), [2, 10]);
+  assert.throws(() => splitTabs(30, [10, 10]), /30 tabs do not fit on 2 worker\(s\) with room for 20/);
+});
+
+test('workerArgv passes known options and refuses others', () => {
+  assert.deepStrictEqual(workerArgv({ tabs: 3, headless: true, trace: false, har: '' }), ['run', '--tabs', '3', '--headless', '--no-trace']);
+  assert.throws(() => workerArgv({ report: 'x.json' }), /Option --report cannot be passed to a worker/);
+});
+
+test('confineOutputs keeps artifacts and HAR files in the output directory', () => {
+  assert.deepStrictEqual(confineOutputs({ runId: 'r1-w1', artifacts: '/etc', har: '../../x', prompts: 'p.txt' }, 'out'), {
+    artifacts: path.join('out', 'r1-w1', 'artifacts'),
+    har: path.join('out', 'r1-w1', 'har')
+  });
+  assert.deepStrictEqual(confineOutputs({ runId: '..', artifacts: 'a' }, 'out'), { artifacts: path.join('out', '__', 'artifacts') });
+  assert.deepStrictEqual(confineOutputs({ runId: 'r1' }, 'out'), {});
+});
+
+test('a worker server streams a run as NDJSON with output paths of its own', async () => {
+  const server = await startServer({ token: 'secret' });
+  try {
+    const logs = [];
+    const events = [];
+    const job = { name: 'w1', options: { runId: 'r1-w1', tabs: 2, artifacts: '/tmp/elsewhere', har: '../har' } };
+    const { result, exitCode } = await runRemoteWorker(server.url, job, 'secret', { onLog: line => logs.push(line), onEvent: event => events.push(event) }).done;
+    assert.strictEqual(exitCode, 0);
+    assert.deepStrictEqual(events.map(event => event.type), ['progress']);
+    assert.ok(logs.includes('run r1-w1'), logs.join('\n'));
+    assert.deepStrictEqual(result.records, [{ tab: 1, state: 'complete' }]);
+    const option = (name) => result.argv[result.argv.indexOf(`--${name}`) + 1];
+    assert.strictEqual(option('artifacts'), path.join(server.outputDir, 'r1-w1', 'artifacts'));
+    assert.strictEqual(option('har'), path.join(server.outputDir, 'r1-w1', 'har'));
+    assert.strictEqual(option('maxTabs'), '10');
+  } finally {
+    await server.close();
+  }
+});
+
+test('a worker server refuses bad tokens, jobs and /stop bodies', async () => {
+  const server = await startServer({ token: 'secret' });
+  try {
+    assert.strictEqual((await post(`${server.url}/stop`, '{}', 'wrong')).status, 401);
+    assert.strictEqual((await post(`${server.url}/stop`, '{bad')).status, 400);
+    for (const body of ['', 'null', '"SIGTERM"', '{"signal":"SIGKILL"}']) {
+      const response = await post(`${server.url}/stop`, body);
+      assert.strictEqual(response.status, 200, body);
+      assert.deepStrictEqual(await response.json(), { stopping: false });
+    }
+    const tooMany = await post(`${server.url}/runs`, JSON.stringify({ name: 'w1', options: { runId: 'r1', tabs: 11 } }));
+    assert.strictEqual(tooMany.status, 400);
+    assert.match((await tooMany.json()).error, /11 tabs asked, this worker runs at most 10/);
+    const unknown = await post(`${server.url}/runs`, JSON.stringify({ name: 'w1', options: { runId: 'r1', tabs: 1, report: 'x' } }));
+    assert.match((await unknown.json()).error, /Option --report cannot be passed to a worker/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('POST /stop stops the current run, which still reports', async () => {
+  const server = await startServer();
+  try {
+    let progressed;
+    const progress = new Promise(resolve => { progressed = resolve; });
+    const run = runRemoteWorker(server.url, { name: 'w1', options: { runId: 'wait-1', tabs: 1 } }, undefined, { onLog: () => {}, onEvent: progressed });
+    // Stop once the run reported progress
+    await progress;
+    const stopped = await post(`${server.url}/stop`, JSON.stringify({ signal: 'SIGINT' }));
+    assert.deepStrictEqual(await stopped.json(), { stopping: true });
+    const { result, exitCode } = await run.done;
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(result.interrupted, 'SIGINT');
+  } finally {
+    await server.close();
+  }
+});